@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Reference search benchmark - Compare the single-pass UUID scan against the old per-asset indexOf search
+ * Generates a synthetic page export, runs both matchers and checks they agree.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { program } = require('commander');
+const MagnoliaAssetChecker = require('../magnolia_asset_checker');
+
+/**
+ * The search findReferencedAssetUUIDs used before the single-pass scan
+ */
+function legacyIndexOfSearch(pageContent, assetUUIDs) {
+    const referencedUUIDs = new Set();
+    for (const uuid of assetUUIDs) {
+        if (pageContent.indexOf(uuid) !== -1) {
+            referencedUUIDs.add(uuid);
+        }
+    }
+    return referencedUUIDs;
+}
+
+/**
+ * Build a system-view page export of roughly targetBytes that references some of the assets
+ */
+function buildPageExport(assetUUIDs, targetBytes, referenceRatio) {
+    const parts = ['<?xml version="1.0" encoding="UTF-8"?>\n<sv:node sv:name="home" xmlns:sv="http://www.jcp.org/jcr/sv/1.0">\n'];
+    let size = parts[0].length;
+    let component = 0;
+
+    while (size < targetBytes) {
+        const referenced = Math.random() < referenceRatio;
+        const value = referenced
+            ? `jcr:${assetUUIDs[Math.floor(Math.random() * assetUUIDs.length)]}`
+            : crypto.randomUUID();
+        const part = `  <sv:node sv:name="${component++}">\n` +
+            `    <sv:property sv:name="jcr:uuid" sv:type="String"><sv:value>${crypto.randomUUID()}</sv:value></sv:property>\n` +
+            `    <sv:property sv:name="image" sv:type="String"><sv:value>${value}</sv:value></sv:property>\n` +
+            `    <sv:property sv:name="text" sv:type="String"><sv:value>&lt;p&gt;Lorem ipsum dolor sit amet&lt;/p&gt;</sv:value></sv:property>\n` +
+            `  </sv:node>\n`;
+        parts.push(part);
+        size += part.length;
+    }
+
+    parts.push('</sv:node>\n');
+    return parts.join('');
+}
+
+function timeIt(fn) {
+    const start = process.hrtime.bigint();
+    return Promise.resolve(fn()).then(result => ({
+        result,
+        ms: Number(process.hrtime.bigint() - start) / 1e6
+    }));
+}
+
+async function main() {
+    program
+        .name('reference-search-benchmark')
+        .description('Benchmark the page reference search against the legacy indexOf scan')
+        .option('--assets <count>', 'Number of asset UUIDs to search for', '5000')
+        .option('--page-mb <size>', 'Approximate page export size in MB', '10')
+        .option('--reference-ratio <ratio>', 'Share of page components that reference an asset', '0.2')
+        .parse();
+    const options = program.opts();
+
+    const assetCount = parseInt(options.assets, 10);
+    const pageBytes = parseFloat(options.pageMb) * 1024 * 1024;
+    const assetUUIDs = Array.from({ length: assetCount }, () => crypto.randomUUID());
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mac-bench-'));
+    const pageFile = path.join(dir, 'website.xml');
+
+    try {
+        const pageContent = buildPageExport(assetUUIDs, pageBytes, parseFloat(options.referenceRatio));
+        await fs.writeFile(pageFile, pageContent, 'utf8');
+        console.log(`Fixture: ${assetCount} assets, ${(pageContent.length / 1024 / 1024).toFixed(1)}MB page export`);
+
+        // Keep the checker's own progress lines out of the benchmark output
+        const checker = new MagnoliaAssetChecker({ logger: { log() {}, warn() {}, error() {} } });
+        const scan = await timeIt(() => checker.findReferencedAssetUUIDs(pageFile, assetUUIDs));
+
+        const legacy = await timeIt(async () => {
+            const content = await fs.readFile(pageFile, 'utf8');
+            return legacyIndexOfSearch(content, assetUUIDs);
+        });
+
+        const identical = scan.result.size === legacy.result.size &&
+            [...legacy.result].every(uuid => scan.result.has(uuid));
+
+        console.log(`Legacy indexOf search: ${legacy.ms.toFixed(0)}ms (${legacy.result.size} referenced)`);
+        console.log(`Single-pass scan:      ${scan.ms.toFixed(0)}ms (${scan.result.size} referenced)`);
+        console.log(`Speedup: ${(legacy.ms / scan.ms).toFixed(1)}x`);
+        console.log(`Results identical: ${identical ? 'yes' : 'NO'}`);
+
+        if (!identical) {
+            process.exitCode = 1;
+        }
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,265 @@
+/**
+ * Magnolia Asset Checker - Programmatic API
+ * analyze() runs the same pipeline as the CLI and the web interface, without console output or report files.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+const MagnoliaAssetChecker = require('./magnolia_asset_checker');
+const MagnoliaAssetExtractor = require('./magnolia_asset_extractor');
+const MagnoliaExportBundle = require('./magnolia_export_bundle');
+const MagnoliaInput = require('./magnolia_input');
+const MagnoliaSystemViewReader = require('./magnolia_system_view_reader');
+const MagnoliaReferenceParser = require('./magnolia_reference_parser');
+const MagnoliaDeletionManifest = require('./magnolia_deletion_manifest');
+const MagnoliaAssetBackup = require('./magnolia_asset_backup');
+const MagnoliaBinaryExtractor = require('./magnolia_binary_extractor');
+const MagnoliaHtmlReport = require('./magnolia_html_report');
+const MagnoliaXlsxWorkbook = require('./magnolia_xlsx_workbook');
+const MagnoliaAssetDiff = require('./magnolia_asset_diff');
+const MagnoliaAssetConfig = require('./magnolia_asset_config');
+const errors = require('./magnolia_errors');
+
+const { MagnoliaInputError, MagnoliaCancelledError } = errors;
+
+const pipeline = util.promisify(stream.pipeline);
+
+const DAM_EXPORT_FORMATS = ['.xml', '.yaml', '.yml', '.json'];
+const PAGE_EXPORT_FORMATS = ['.xml', '.yaml', '.yml'];
+
+/**
+ * Find unused assets in Magnolia exports
+ *
+ * @param {Object} params
+ *   assets - DAM export(s): a file path, Buffer, readable stream or {name, path | data | stream} object, or an array of them
+ *   pages - page/workspace export(s), in the same forms
+ *   inputs - ZIP archives or export directories (paths), sorted into DAM and page exports like the CLI's -i
+ *   modules - light-modules directories or ZIP archives (paths) whose templates, definitions and styles count as references
+ *   options.logger - object with log, warn and error methods (default: silent)
+ *   options.onProgress - called with {phase, file, fileIndex, fileCount, bytesRead, totalBytes, assetsParsed | matchesFound}
+ *   options.signal - AbortSignal that cancels the analysis
+ *   options.config - ignore rules: a MagnoliaAssetConfig, a config file path or the parsed config object
+ * @returns {Promise<Object>} {summary, assets: {all, referenced, unused, ignored}, storage, folderRollup, duplicates, brokenReferences,
+ *   inputs, warnings}
+ * @throws {MagnoliaInputError} missing, unreadable or unsupported inputs, or no DAM/page export at all
+ * @throws {MagnoliaParseError} an export or config that cannot be parsed
+ * @throws {MagnoliaCancelledError} the signal was aborted
+ */
+async function analyze({ assets = [], pages = [], inputs = [], modules = [], options = {} } = {}) {
+    const warnings = [];
+    const logger = createLogger(options.logger, warnings);
+    const config = await resolveConfig(options.config);
+    const checker = new MagnoliaAssetChecker({ logger, onProgress: options.onProgress, strict: true, config });
+    const staging = { directory: null, count: 0 };
+    const bundle = new MagnoliaExportBundle();
+
+    const { signal } = options;
+    const onAbort = () => checker.cancel();
+    if (signal) {
+        if (signal.aborted) {
+            throw new MagnoliaCancelledError();
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+        const assetFiles = [];
+        for (const input of toList(assets)) {
+            assetFiles.push(await resolveInput(input, 'dam', DAM_EXPORT_FORMATS, staging));
+        }
+
+        const pageFiles = [];
+        for (const input of toList(pages)) {
+            pageFiles.push(await resolveInput(input, 'website', PAGE_EXPORT_FORMATS, staging));
+        }
+
+        for (const input of toList(inputs)) {
+            try {
+                await bundle.add(input);
+            } catch (error) {
+                throw new MagnoliaInputError(`Cannot open input '${input}': ${error.message}`, { file: input, cause: error });
+            }
+        }
+        for (const file of bundle.unrecognized) {
+            warnings.push(`Skipped ${file.name}: ${file.reason}`);
+        }
+        assetFiles.push(...bundle.assetFiles);
+        pageFiles.push(...bundle.pageFiles);
+
+        for (const input of toList(modules)) {
+            try {
+                await bundle.addModules(input);
+            } catch (error) {
+                throw new MagnoliaInputError(`Cannot open light modules '${input}': ${error.message}`, { file: input, cause: error });
+            }
+        }
+
+        if (assetFiles.length === 0 || pageFiles.length === 0) {
+            throw new MagnoliaInputError('At least one DAM export and one page export are required');
+        }
+
+        const analysis = await checker.analyzeExports(assetFiles, pageFiles, bundle.moduleDirs);
+
+        return {
+            summary: {
+                totalAssets: analysis.allAssets.length,
+                referencedAssets: analysis.referencedAssets.length,
+                unusedAssets: analysis.unusedAssets.length,
+                ignoredAssets: analysis.ignoredAssets.length,
+                brokenReferences: analysis.brokenReferences.length,
+                duplicateGroups: analysis.duplicates.length,
+                assetUUIDsSearched: analysis.assetUUIDsSearched
+            },
+            assets: {
+                all: analysis.allAssets,
+                referenced: analysis.referencedAssets,
+                unused: analysis.unusedAssets,
+                ignored: analysis.ignoredAssets
+            },
+            storage: analysis.storage,
+            folderRollup: analysis.folderRollup,
+            duplicates: analysis.duplicates,
+            brokenReferences: analysis.brokenReferences,
+            inputs: {
+                assets: assetFiles.map(file => file.name),
+                pages: pageFiles.map(file => file.name),
+                modules: bundle.moduleDirs.map(dir => dir.name)
+            },
+            warnings: warnings
+        };
+    } finally {
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+        await bundle.cleanup();
+        if (staging.directory) {
+            await fs.rm(staging.directory, { recursive: true, force: true });
+        }
+    }
+}
+
+/**
+ * Forward to the given logger (if any) and collect warnings for the result
+ */
+function createLogger(logger, warnings) {
+    const forward = (method, args) => {
+        if (logger && typeof logger[method] === 'function') {
+            logger[method](...args);
+        }
+    };
+
+    return {
+        log: (...args) => forward('log', args),
+        warn: (...args) => {
+            warnings.push(args.join(' '));
+            forward('warn', args);
+        },
+        error: (...args) => forward('error', args)
+    };
+}
+
+async function resolveConfig(config) {
+    if (!config || config instanceof MagnoliaAssetConfig) {
+        return config || null;
+    }
+    return typeof config === 'string' ? MagnoliaAssetConfig.load(config) : new MagnoliaAssetConfig(config);
+}
+
+function toList(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Turn one input into a {path, name} file the checker can read
+ * Buffers and streams are written to a temporary file; without a name their format is sniffed from the content.
+ */
+async function resolveInput(input, kind, formats, staging) {
+    const isStream = (value) => value && typeof value.pipe === 'function';
+    const spec = typeof input === 'string' || Buffer.isBuffer(input) || isStream(input) ? { source: input } : { ...input };
+    const source = spec.source || spec.path || spec.data || spec.stream;
+
+    if (typeof source === 'string') {
+        const name = spec.name || path.basename(source);
+        try {
+            await fs.access(source);
+        } catch (error) {
+            throw new MagnoliaInputError(`Input file '${source}' not found`, { file: name, cause: error });
+        }
+        checkFormat(name, formats);
+        return { path: source, name };
+    }
+
+    if (!Buffer.isBuffer(source) && !isStream(source)) {
+        throw new MagnoliaInputError(`Unsupported ${kind === 'dam' ? 'DAM' : 'page'} export input: expected a path, Buffer, readable stream or {name, path | data | stream}`);
+    }
+
+    if (!staging.directory) {
+        staging.directory = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-api-'));
+    }
+    const index = staging.count++;
+    let filePath = path.join(staging.directory, `${index}-${spec.name ? path.basename(spec.name) : kind}`);
+
+    if (Buffer.isBuffer(source)) {
+        await fs.writeFile(filePath, source);
+    } else {
+        await pipeline(source, fsSync.createWriteStream(filePath));
+    }
+
+    if (spec.name) {
+        checkFormat(spec.name, formats);
+        return { path: filePath, name: spec.name };
+    }
+
+    // The extension decides how an export is parsed, so give unnamed content one
+    const extension = await sniffFormat(filePath);
+    checkFormat(extension, formats);
+    await fs.rename(filePath, filePath + extension);
+    filePath += extension;
+    return { path: filePath, name: `${kind}-${index}${extension}` };
+}
+
+function checkFormat(name, formats) {
+    const extension = name.startsWith('.') ? name : MagnoliaInput.getFormatExtension(name);
+    if (!formats.includes(extension)) {
+        throw new MagnoliaInputError(`Unsupported export format '${extension || name}' (supported: ${formats.join(', ')})`, { file: name });
+    }
+}
+
+/**
+ * Guess the export format of unnamed content: XML, JSON or YAML
+ */
+async function sniffFormat(filePath) {
+    const head = (await MagnoliaInput.readHead(filePath, 1024)).replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('<')) {
+        return '.xml';
+    }
+    if (head.startsWith('{') || head.startsWith('[')) {
+        return '.json';
+    }
+    return '.yaml';
+}
+
+module.exports = {
+    analyze,
+    MagnoliaAssetChecker,
+    MagnoliaAssetExtractor,
+    MagnoliaExportBundle,
+    MagnoliaInput,
+    MagnoliaSystemViewReader,
+    MagnoliaReferenceParser,
+    MagnoliaDeletionManifest,
+    MagnoliaAssetBackup,
+    MagnoliaBinaryExtractor,
+    MagnoliaHtmlReport,
+    MagnoliaXlsxWorkbook,
+    MagnoliaAssetDiff,
+    MagnoliaAssetConfig,
+    ...errors
+};
@@ -0,0 +1,125 @@
+/**
+ * Magnolia Analysis Job - Run an analysis in the background and publish its progress
+ * Emits 'progress' (throttled) while running and 'finished' once it completed, failed or was cancelled.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const MagnoliaAssetChecker = require('./magnolia_asset_checker');
+
+// Share of the overall percentage given to each phase: [start, end]
+const PHASE_RANGES = {
+    queued: [0, 0],
+    unpacking: [0, 5],
+    extracting: [5, 40],
+    scanning: [40, 95],
+    analyzing: [95, 100]
+};
+
+// Minimum time between two 'progress' events of the same phase and file
+const PROGRESS_INTERVAL_MS = 250;
+
+class MagnoliaAnalysisJob extends EventEmitter {
+    /**
+     * @param {Object} options
+     *   config - MagnoliaAssetConfig passed on to the job's checker
+     *   logger - receives log/warn/error calls instead of the console, also from the job's checker
+     */
+    constructor(options = {}) {
+        super();
+        this.id = crypto.randomBytes(8).toString('hex');
+        this.status = 'queued';
+        this.createdAt = new Date().toISOString();
+        this.finishedAt = null;
+        this.progress = { phase: 'queued', percent: 0, assetsParsed: 0, matchesFound: 0 };
+        this.result = null;
+        this.error = null;
+        this.lastProgressAt = 0;
+        this.logger = options.logger || console;
+        this.checker = new MagnoliaAssetChecker({
+            config: options.config,
+            logger: this.logger,
+            onProgress: progress => this.updateProgress(progress)
+        });
+    }
+
+    /**
+     * Run task(job) and keep its resolved value as the job result
+     * Never rejects: failures and cancellation are recorded in status and error.
+     */
+    async run(task) {
+        this.status = 'running';
+        try {
+            this.result = await task(this);
+            this.status = 'completed';
+            this.updateProgress({ phase: 'analyzing', bytesRead: 1, totalBytes: 1 });
+        } catch (error) {
+            if (error.code === 'CANCELLED') {
+                this.status = 'cancelled';
+            } else {
+                this.status = 'failed';
+                this.logger.error(`Job ${this.id} failed: ${error.message}`);
+            }
+            // Extra fields such as unrecognizedFiles are passed on to the client
+            this.error = { ...error, message: error.message };
+        } finally {
+            this.finishedAt = new Date().toISOString();
+            this.emit('finished', this.toJSON());
+        }
+    }
+
+    /**
+     * Merge a progress report ({phase, file, bytesRead, totalBytes, ...}) and work out the overall percentage
+     */
+    updateProgress(progress) {
+        const previous = this.progress;
+        const [start, end] = PHASE_RANGES[progress.phase] || [previous.percent, previous.percent];
+        const fraction = progress.totalBytes > 0 ? Math.min(progress.bytesRead / progress.totalBytes, 1) : 0;
+
+        this.progress = {
+            ...previous,
+            ...progress,
+            percent: Math.max(previous.percent, Math.round((start + (end - start) * fraction) * 10) / 10)
+        };
+
+        const now = Date.now();
+        const changedStep = previous.phase !== progress.phase || previous.file !== progress.file;
+        if (changedStep || now - this.lastProgressAt >= PROGRESS_INTERVAL_MS) {
+            this.lastProgressAt = now;
+            this.emit('progress', this.toJSON());
+        }
+    }
+
+    /**
+     * Ask a queued or running job to stop; returns false if it has already finished
+     */
+    cancel() {
+        if (this.isFinished()) {
+            return false;
+        }
+        this.checker.cancel();
+        return true;
+    }
+
+    isFinished() {
+        return ['completed', 'failed', 'cancelled'].includes(this.status);
+    }
+
+    /**
+     * Status of the job without its (possibly large) result
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            status: this.status,
+            createdAt: this.createdAt,
+            finishedAt: this.finishedAt,
+            progress: this.progress,
+            error: this.error
+        };
+    }
+}
+
+MagnoliaAnalysisJob.PHASE_RANGES = PHASE_RANGES;
+
+module.exports = MagnoliaAnalysisJob;
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Magnolia Asset Backup - Write a re-importable DAM export containing only selected (e.g. unused) assets
+ * Keeps each selected mgnl:asset node with its whole subtree, including jcr:content binaries,
+ * plus the properties of every ancestor folder so Magnolia's import tool can restore it in place.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const sax = require('sax');
+const { program } = require('commander');
+const MagnoliaSystemViewReader = require('./magnolia_system_view_reader');
+const MagnoliaInput = require('./magnolia_input');
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+class MagnoliaAssetBackup {
+    /**
+     * @param {Object} options
+     *   logger - receives log/warn/error calls instead of the console
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Write a filtered copy of a system-view DAM export that keeps only the assets with the given UUIDs
+     * Works in two streaming passes, so neither the export nor its binaries are ever held in memory.
+     * Returns the number of asset nodes written.
+     */
+    async writeBackup(damExportPath, assetUUIDs, outputFile) {
+        const uuids = new Set(assetUUIDs);
+        const keptNodes = await this._findAssetNodes(damExportPath, uuids);
+
+        // Every ancestor of a kept asset stays as a skeleton node
+        const ancestorNodes = new Set();
+        for (const key of keptNodes) {
+            const indexes = key.split('/');
+            for (let i = 1; i < indexes.length; i++) {
+                ancestorNodes.add(indexes.slice(0, i).join('/'));
+            }
+        }
+
+        await fs.mkdir(path.dirname(outputFile), { recursive: true });
+        await this._writeFilteredExport(damExportPath, keptNodes, ancestorNodes, outputFile);
+
+        this.logger.log(`Backed up ${keptNodes.size} of ${uuids.size} assets to: ${outputFile}`);
+        return keptNodes.size;
+    }
+
+    /**
+     * First pass: find the position keys ("0/2/5", child indexes from the export root) of the asset nodes to keep
+     */
+    async _findAssetNodes(damExportPath, uuids) {
+        const keptNodes = new Set();
+
+        const reader = new MagnoliaSystemViewReader({
+            nodeStart: (node) => {
+                node.key = MagnoliaAssetBackup._nextNodeKey(node.parent);
+                node.childCount = 0;
+            },
+            nodeEnd: (node) => {
+                if (node.properties['jcr:primaryType'] === 'mgnl:asset' && uuids.has(node.properties['jcr:uuid'])) {
+                    keptNodes.add(node.key);
+                }
+            }
+        });
+
+        await reader.read(damExportPath);
+        return keptNodes;
+    }
+
+    /**
+     * Second pass: copy the export, dropping every node that is neither kept, inside a kept subtree, nor an ancestor
+     * Ancestors keep their own properties but only the child nodes that lead to kept assets.
+     */
+    async _writeFilteredExport(damExportPath, keptNodes, ancestorNodes, outputFile) {
+        const output = fsSync.createWriteStream(outputFile, { encoding: 'utf8' });
+        const parser = sax.parser(true, { trim: false, normalize: false });
+
+        // Frames for open sv:node elements: {key, childCount, mode: 'keep' | 'ancestor' | 'skip'}
+        const nodes = [];
+        const pending = ['<?xml version="1.0" encoding="UTF-8"?>\n'];
+        let depthInSkipped = 0;
+        let rootWritten = false;
+        // Whitespace is held back until the next tag and dropped together with a skipped node,
+        // so removed siblings do not leave blank lines
+        let indentation = '';
+
+        const write = (markup) => {
+            pending.push(indentation, markup);
+            indentation = '';
+        };
+
+        parser.onopentag = (tag) => {
+            if (depthInSkipped > 0) {
+                depthInSkipped++;
+                return;
+            }
+
+            if (tag.name === 'sv:node') {
+                const parent = nodes[nodes.length - 1];
+                const key = MagnoliaAssetBackup._nextNodeKey(parent);
+                let mode = 'skip';
+                if ((parent && parent.mode === 'keep') || keptNodes.has(key)) {
+                    mode = 'keep';
+                } else if (ancestorNodes.has(key) || !parent) {
+                    // The export root is always written so the file stays a valid export
+                    mode = 'ancestor';
+                }
+
+                if (mode === 'skip') {
+                    depthInSkipped = 1;
+                    indentation = '';
+                    return;
+                }
+                nodes.push({ key, childCount: 0, mode });
+                rootWritten = true;
+            }
+
+            write(MagnoliaAssetBackup._openTag(tag));
+        };
+
+        const onText = (text) => {
+            if (depthInSkipped > 0 || !rootWritten) return;
+
+            if (/^\s*$/.test(text)) {
+                indentation += text;
+            } else {
+                write(MagnoliaAssetBackup._escapeText(text));
+            }
+        };
+        parser.ontext = onText;
+        parser.oncdata = onText;
+
+        parser.onclosetag = (tagName) => {
+            if (depthInSkipped > 0) {
+                depthInSkipped--;
+                return;
+            }
+            if (tagName === 'sv:node') {
+                nodes.pop();
+            }
+            write(`</${tagName}>`);
+        };
+
+        const flush = async () => {
+            if (pending.length === 0) return;
+            const canContinue = output.write(pending.join(''));
+            pending.length = 0;
+            if (!canContinue) {
+                await new Promise(resolve => output.once('drain', resolve));
+            }
+        };
+
+        try {
+            await MagnoliaSystemViewReader.pump(parser, await MagnoliaInput.createReadStream(damExportPath), flush);
+            pending.push('\n');
+            await flush();
+        } finally {
+            await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+        }
+    }
+
+    /**
+     * Position key of the next child of parent ("0" for the export root)
+     */
+    static _nextNodeKey(parent) {
+        if (!parent) {
+            return '0';
+        }
+        return `${parent.key}/${parent.childCount++}`;
+    }
+
+    static _openTag(tag) {
+        const attributes = Object.entries(tag.attributes)
+            .map(([name, value]) => ` ${name}="${MagnoliaAssetBackup._escapeAttribute(value)}"`)
+            .join('');
+        return `<${tag.name}${attributes}>`;
+    }
+
+    static _escapeText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    static _escapeAttribute(value) {
+        return MagnoliaAssetBackup._escapeText(value).replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Read the UUIDs to back up from an analysis report
+     * JSON reports are read by their uuid field; CSV, TXT and plain lists by every UUID-shaped token.
+     */
+    static async readUUIDs(reportPath) {
+        const data = await MagnoliaInput.readText(reportPath);
+
+        if (MagnoliaInput.getFormatExtension(reportPath) === '.json') {
+            const report = JSON.parse(data);
+            const assets = Array.isArray(report) ? report : (report.assets && report.assets.unused) || [];
+            return assets.map(asset => asset.uuid).filter(Boolean);
+        }
+
+        return [...new Set(data.match(UUID_PATTERN) || [])];
+    }
+
+    /**
+     * Generate output filename with timestamp in output directory
+     */
+    generateOutputFilename(baseName) {
+        const timestamp = new Date().toISOString()
+            .replace(/[-:]/g, '')
+            .replace(/\..+/, '')
+            .replace('T', '_');
+        return `output/${baseName}_${timestamp}.xml`;
+    }
+}
+
+async function main() {
+    program
+        .name('magnolia-asset-backup')
+        .description('Write a re-importable DAM export containing only the assets listed in an analysis report')
+        .version('1.0.0')
+        .requiredOption('-a, --assets <file>', 'Original Magnolia DAM system-view XML export (optionally .gz)')
+        .requiredOption('-u, --unused <file>', 'Unused assets report from magnolia_asset_checker.js (JSON, CSV or TXT), or a list of UUIDs')
+        .requiredOption('-o, --output <name>', 'Output file base name (timestamp will be added)')
+        .addHelpText('after', `
+Examples:
+  node magnolia_asset_checker.js -a dam.xml -p website.xml -o audit -f json
+  node magnolia_asset_backup.js -a dam.xml -u output/audit_unused_20240101_120000.json -o dam_unused_backup
+        `);
+
+    program.parse();
+    const options = program.opts();
+
+    for (const file of [options.assets, options.unused]) {
+        try {
+            await fs.access(file);
+        } catch (error) {
+            console.error(`Error: File '${file}' not found.`);
+            process.exit(1);
+        }
+    }
+
+    if (MagnoliaInput.getFormatExtension(options.assets) !== '.xml') {
+        console.error('Error: Backups can only be written from system-view XML DAM exports.');
+        process.exit(1);
+    }
+
+    const uuids = await MagnoliaAssetBackup.readUUIDs(options.unused);
+    if (uuids.length === 0) {
+        console.error(`Error: No asset UUIDs found in '${options.unused}'.`);
+        process.exit(1);
+    }
+
+    const backup = new MagnoliaAssetBackup();
+    const outputFile = backup.generateOutputFilename(options.output);
+    const written = await backup.writeBackup(options.assets, uuids, outputFile);
+
+    if (written < uuids.length) {
+        console.warn(`⚠️  ${uuids.length - written} UUID(s) from the report were not found as mgnl:asset nodes in the export.`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = MagnoliaAssetBackup;
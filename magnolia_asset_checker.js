@@ -10,56 +10,625 @@ const path = require('path');
 const { DOMParser } = require('xmldom');
 const yaml = require('js-yaml');
 const { program } = require('commander');
+const fg = require('fast-glob');
+const sax = require('sax');
 const MagnoliaAssetExtractor = require('./magnolia_asset_extractor');
+const MagnoliaSystemViewReader = require('./magnolia_system_view_reader');
+const MagnoliaReferenceParser = require('./magnolia_reference_parser');
+const MagnoliaExportBundle = require('./magnolia_export_bundle');
+const MagnoliaInput = require('./magnolia_input');
+const MagnoliaDeletionManifest = require('./magnolia_deletion_manifest');
+const MagnoliaAssetBackup = require('./magnolia_asset_backup');
+const MagnoliaBinaryExtractor = require('./magnolia_binary_extractor');
+const MagnoliaHtmlReport = require('./magnolia_html_report');
+const MagnoliaXlsxWorkbook = require('./magnolia_xlsx_workbook');
+const MagnoliaAssetConfig = require('./magnolia_asset_config');
+const MagnoliaModuleScanner = require('./magnolia_module_scanner');
+const { MagnoliaAssetCheckerError, MagnoliaInputError, MagnoliaParseError, MagnoliaCancelledError } = require('./magnolia_errors');
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+const UUID_LENGTH = 36;
+
+// When one value references an asset in several ways, report the most specific one
+const REFERENCE_TYPE_PRIORITY = { uuid: 1, path: 2, url: 3, link: 4 };
+
+// Storage breakdown categories, matched by MIME type first and file extension second
+const ASSET_CATEGORIES = [
+    { category: 'images', label: 'Images', mimePrefix: 'image/', extensions: ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp', 'bmp', 'tif', 'tiff', 'ico', 'avif', 'heic'] },
+    { category: 'pdf', label: 'PDFs', mimePrefix: 'application/pdf', extensions: ['pdf'] },
+    { category: 'video', label: 'Video', mimePrefix: 'video/', extensions: ['mp4', 'mov', 'webm', 'avi', 'mkv', 'm4v', 'wmv', 'mpg', 'mpeg'] },
+    { category: 'other', label: 'Other', mimePrefix: null, extensions: [] }
+];
+
+// Column order of the broken references report
+const BROKEN_REFERENCE_FIELDS = ['uuid', 'type', 'source', 'path', 'property', 'value'];
+
+// Longest property value kept in a broken reference, e.g. for rich text with an embedded image
+const MAX_BROKEN_VALUE_LENGTH = 200;
+
+// Column order of the folder rollup report
+const FOLDER_ROLLUP_FIELDS = ['folder', 'depth', 'totalAssets', 'unusedAssets', 'percentUnused', 'unusedBytes', 'totalBytes'];
+
+// Columns the analysis adds to each asset record, selectable with --fields
+const ANALYSIS_FIELDS = ['referencedIn', 'referenceTypes', 'referenceCount', 'references', 'ignoreRule', 'ignoreReason'];
+
+// Asset columns of the HTML report when no --fields are given
+const HTML_ASSET_FIELDS = ['fileName', 'location', 'mimeType', 'size', 'lastModified', 'uuid'];
+
+// Columns of the storage table in the HTML report
+const STORAGE_FIELDS = ['label', 'totalAssets', 'totalBytes', 'referencedAssets', 'referencedBytes', 'unusedAssets', 'unusedBytes', 'ignoredAssets', 'ignoredBytes'];
+
+// Reports whose assets --extract-binaries can write to disk
+const EXTRACT_REPORTS = ['unused', 'referenced', 'ignored', 'all'];
+
+// Column order of the duplicates report, one row per copy
+const DUPLICATE_FIELDS = ['group', 'match', 'key', 'copies', 'uuid', 'fileName', 'location', 'size', 'status', 'referenceCount'];
+
+// Ways assets are grouped as duplicates, in report order
+const DUPLICATE_MATCHES = {
+    content: 'Identical content (SHA-256 of jcr:data)',
+    'name-size': 'Same file name and size',
+    'similar-name': 'Similar file name'
+};
+
+// Suffixes added to a file name when it is uploaded or copied again: "hero (1)", "hero copy", "hero-copy-2"
+const COPY_SUFFIX_PATTERN = /(?:\s*\(\d+\)|[\s_-]+copy(?:[\s_-]*\d+)?)$/i;
 
 class MagnoliaAssetChecker {
-    constructor() {
+    /**
+     * @param {Object} options
+     *   onProgress - called with {phase, file, fileIndex, fileCount, bytesRead, totalBytes, assetsParsed | matchesFound}
+     *                while DAM exports are extracted ('extracting') and page exports scanned ('scanning')
+     *   logger - receives log/warn/error calls instead of the console
+     *   strict - throw a MagnoliaInputError/MagnoliaParseError for an unreadable DAM export instead of logging it
+     *            and treating the export as empty
+     *   config - MagnoliaAssetConfig whose rules move matching unused assets into ignoredAssets
+     */
+    constructor(options = {}) {
         this.supportedFormats = ['.xml', '.yaml', '.yml'];
+        this.referenceParser = new MagnoliaReferenceParser();
+        this.onProgress = options.onProgress || null;
+        this.logger = options.logger || console;
+        this.strict = Boolean(options.strict);
+        this.config = options.config || null;
+        this.cancelled = false;
+    }
+
+    /**
+     * Stop a running extraction or page scan at the next chunk; it rejects with a MagnoliaCancelledError
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new MagnoliaCancelledError();
+        }
+    }
+
+    /**
+     * Run the whole pipeline on DAM and page exports (paths or {path, name} objects)
+     * Returns the result of analyzeAssets plus assetUUIDsSearched, the folderRollup, duplicates and brokenReferences.
+     * moduleDirs are light-modules directories whose templates, definitions and styles count as references too.
+     */
+    async analyzeExports(assetFiles, pageFiles, moduleDirs = []) {
+        this.logger.log(`1. Extracting assets from ${assetFiles.length} asset export(s)...`);
+        const assets = await this.extractAssetsFromFiles(assetFiles);
+
+        this.logger.log(`2. Searching for asset UUIDs in ${pageFiles.length} page export(s)...`);
+        const brokenReferences = [];
+        const references = await this.findReferencedAssetsInPages(pageFiles, assets, brokenReferences);
+
+        if (moduleDirs.length > 0) {
+            this.logger.log(`Searching for asset references in ${moduleDirs.length} light-modules director${moduleDirs.length === 1 ? 'y' : 'ies'}...`);
+            const codeReferences = await this.findReferencedAssetsInModules(moduleDirs, assets);
+            for (const [uuid, sites] of codeReferences) {
+                references.set(uuid, [...(references.get(uuid) || []), ...sites]);
+            }
+        }
+
+        this.logger.log('3. Comparing assets against page references...');
+        this._reportProgress({ phase: 'analyzing', file: null, bytesRead: 0, totalBytes: 1 });
+        const analysis = this.analyzeAssets(assets, references);
+
+        return {
+            ...analysis,
+            assetUUIDsSearched: assets.length,
+            folderRollup: this.buildFolderRollup(analysis),
+            duplicates: this.findDuplicates(analysis),
+            brokenReferences: brokenReferences
+        };
+    }
+
+    _reportProgress(progress) {
+        this.throwIfCancelled();
+        if (this.onProgress) {
+            this.onProgress(progress);
+        }
     }
 
     /**
-     * Find which asset UUIDs are referenced in page content (simple indexOf search)
+     * Find which asset UUIDs are referenced in page content
+     * Streams the page export once, collecting every UUID-shaped token and checking it
+     * against the asset set, instead of scanning the whole file once per asset.
      */
     async findReferencedAssetUUIDs(pageFilePath, assetUUIDs) {
         try {
-            const pageContent = await fs.readFile(pageFilePath, 'utf8');
-            const referencedUUIDs = new Set();
-            
-            console.log(`Searching for ${assetUUIDs.length} asset UUIDs in page content...`);
-            console.log(`Page content length: ${pageContent.length} characters`);
-            
-            // Search for each asset UUID using indexOf
-            let foundCount = 0;
-            for (let i = 0; i < assetUUIDs.length; i++) {
-                const uuid = assetUUIDs[i];
-                const position = pageContent.indexOf(uuid);
-                
-                if (position !== -1) {
-                    referencedUUIDs.add(uuid);
-                    foundCount++;
-                    console.log(`✓ Found UUID: ${uuid} at position ${position}`);
-                } else {
-                    // Show first few not found for debugging
-                    if (i < 3) {
-                        console.log(`✗ UUID not found: ${uuid}`);
+            this.logger.log(`Searching for ${assetUUIDs.length} asset UUIDs in page content...`);
+
+            const { referencedUUIDs, contentLength } = await this._scanForAssetUUIDs(
+                await MagnoliaInput.createReadStream(pageFilePath, { encoding: 'utf8' }),
+                assetUUIDs
+            );
+
+            this.logger.log(`Page content length: ${contentLength} characters`);
+            this.logger.log(`Found ${referencedUUIDs.size} asset UUIDs referenced in page export`);
+            return referencedUUIDs;
+        } catch (error) {
+            this.logger.error(`Error reading page file: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Find which asset UUIDs are referenced across several page/workspace exports
+     * Accepts file paths or {path, name} objects and returns a Map of UUID -> reference sites,
+     * where each site is {source, path, property, type} and source is the export it came from.
+     * Pass asset records (not just UUIDs) so DAM path references can be resolved too.
+     * If brokenReferences is an array, DAM references to UUIDs missing from the assets are added to it
+     * as {uuid, type, source, path, property, value}.
+     */
+    async findReferencedAssetsInPages(pageFiles, assets, brokenReferences = null) {
+        const matcher = this._createAssetMatcher(assets);
+        const referenceSites = new Map();
+        const seenSites = new Set();
+        const seenBrokenSites = new Set();
+        const fileSizes = await this._getFileSizes(pageFiles);
+        const totalBytes = fileSizes.reduce((sum, size) => sum + size, 0);
+        let bytesDone = 0;
+
+        for (const [fileIndex, pageFile] of pageFiles.entries()) {
+            const filePath = typeof pageFile === 'string' ? pageFile : pageFile.path;
+            const sourceName = typeof pageFile === 'string' ? pageFile : (pageFile.name || pageFile.path);
+            const report = (bytesRead) => this._reportProgress({
+                phase: 'scanning',
+                file: sourceName,
+                fileIndex: fileIndex,
+                fileCount: pageFiles.length,
+                bytesRead: bytesDone + bytesRead,
+                totalBytes: totalBytes,
+                matchesFound: referenceSites.size
+            });
+
+            this.logger.log(`Scanning page export: ${sourceName}`);
+            report(0);
+            const sourceUUIDs = new Set();
+
+            await this.traceAssetReferences(filePath, sourceName, matcher, (uuid, site) => {
+                const siteKey = `${uuid}|${site.source}|${site.path}|${site.property}`;
+                if (seenSites.has(siteKey)) return;
+                seenSites.add(siteKey);
+
+                if (!referenceSites.has(uuid)) {
+                    referenceSites.set(uuid, []);
+                }
+                referenceSites.get(uuid).push(site);
+                sourceUUIDs.add(uuid);
+            }, report, brokenReferences && ((uuid, site) => {
+                const siteKey = `${uuid}|${site.source}|${site.path}|${site.property}`;
+                if (seenBrokenSites.has(siteKey)) return;
+                seenBrokenSites.add(siteKey);
+                brokenReferences.push({ uuid, ...site });
+            })).catch((error) => {
+                throw MagnoliaAssetChecker._toTypedError(error, sourceName, 'page export');
+            });
+
+            bytesDone += fileSizes[fileIndex];
+            report(0);
+            this.logger.log(`Found ${sourceUUIDs.size} asset UUIDs referenced in ${sourceName}`);
+        }
+
+        this.logger.log(`Found ${referenceSites.size} asset UUIDs referenced across ${pageFiles.length} page exports`);
+        if (brokenReferences && brokenReferences.length > 0) {
+            this.logger.log(`Found ${brokenReferences.length} references to DAM assets missing from the asset exports`);
+        }
+        return referenceSites;
+    }
+
+    /**
+     * Find asset references in light modules (FreeMarker templates, YAML definitions, CSS, JS, HTML)
+     * Accepts directory paths or {path, name} objects and returns a Map of UUID -> reference sites,
+     * where each site is {source: 'code', path, line, property: null, type: 'code'} and path is relative to the directory.
+     * DAM paths must be full workspace paths, so the asset exports should start at a top-level DAM folder.
+     */
+    async findReferencedAssetsInModules(moduleDirs, assets) {
+        const matcher = this._createAssetMatcher(assets);
+        const scanner = new MagnoliaModuleScanner();
+        const referenceSites = new Map();
+
+        for (const [dirIndex, moduleDir] of moduleDirs.entries()) {
+            const dirPath = typeof moduleDir === 'string' ? moduleDir : moduleDir.path;
+            const dirName = typeof moduleDir === 'string' ? moduleDir : (moduleDir.name || moduleDir.path);
+            const files = await scanner.listFiles(dirPath);
+            const sourceUUIDs = new Set();
+
+            for (const [fileIndex, file] of files.entries()) {
+                this._reportProgress({
+                    phase: 'scanning',
+                    file: `${dirName}/${file}`,
+                    fileIndex: dirIndex,
+                    fileCount: moduleDirs.length,
+                    bytesRead: fileIndex,
+                    totalBytes: files.length,
+                    matchesFound: referenceSites.size
+                });
+
+                const seenSites = new Set();
+                for (const snippet of await scanner.readSnippets(path.join(dirPath, file))) {
+                    // Module code is full of paths that are not DAM paths (/.resources/..., images in the module),
+                    // so a path only counts when it names an asset from the DAM root, not by its trailing file name
+                    for (const uuid of this._matchAssetReferences(snippet.text, matcher, { fullPaths: true }).keys()) {
+                        const siteKey = `${uuid}|${snippet.line}`;
+                        if (seenSites.has(siteKey)) continue;
+                        seenSites.add(siteKey);
+
+                        if (!referenceSites.has(uuid)) {
+                            referenceSites.set(uuid, []);
+                        }
+                        referenceSites.get(uuid).push({ source: 'code', path: file, line: snippet.line, property: null, type: 'code' });
+                        sourceUUIDs.add(uuid);
                     }
                 }
             }
-            
-            console.log(`Found ${referencedUUIDs.size} asset UUIDs referenced in page export`);
-            return referencedUUIDs;
+
+            this.logger.log(`Found ${sourceUUIDs.size} asset UUIDs referenced in ${files.length} module file(s) in ${dirName}`);
+        }
+
+        return referenceSites;
+    }
+
+    /**
+     * Trace asset references in one page export, calling onReference(uuid, {source, path, property, type})
+     * for every match. XML sites come from the sv:node/sv:property ancestry, YAML sites from the key path.
+     * If the export cannot be parsed structurally, falls back to a plain text scan without paths.
+     * onProgress(bytesRead, totalBytes), if given, follows how far a streamed export has been read.
+     * onBrokenReference(uuid, {type, source, path, property, value}), if given, is called for DAM identifiers
+     * (jcr: item keys, /dam/jcr: URLs, dam link macros) that are not in the matcher; the text fallback skips these.
+     */
+    async traceAssetReferences(pageFilePath, sourceName, matcher, onReference, onProgress = null, onBrokenReference = null) {
+        const found = new Set();
+        const report = (uuid, nodePath, property, type) => {
+            found.add(uuid);
+            onReference(uuid, {
+                source: sourceName,
+                path: nodePath,
+                property: property,
+                type: type
+            });
+        };
+        const reportBroken = onBrokenReference && ((uuid, nodePath, property, type, value) => {
+            onBrokenReference(uuid, {
+                type: type,
+                source: sourceName,
+                path: nodePath,
+                property: property,
+                value: value.length > MAX_BROKEN_VALUE_LENGTH ? value.slice(0, MAX_BROKEN_VALUE_LENGTH) + '…' : value
+            });
+        });
+
+        try {
+            const ext = MagnoliaInput.getFormatExtension(pageFilePath);
+            if (ext === '.yaml' || ext === '.yml') {
+                const data = await MagnoliaInput.readText(pageFilePath);
+                this._traceObjectReferences(yaml.load(data), [], matcher, report, reportBroken);
+            } else {
+                await this._traceXmlReferences(
+                    await MagnoliaInput.createReadStream(pageFilePath, { onProgress }),
+                    matcher,
+                    report,
+                    reportBroken
+                );
+            }
         } catch (error) {
-            console.error(`Error reading page file: ${error.message}`);
-            throw error;
+            this.throwIfCancelled();
+            this.logger.warn(`Could not trace reference paths in ${sourceName} (${error.message}); falling back to a plain text scan`);
+
+            const { referencedUUIDs } = await this._scanForAssetUUIDs(
+                await MagnoliaInput.createReadStream(pageFilePath, { encoding: 'utf8', onProgress }),
+                matcher
+            );
+            for (const uuid of referencedUUIDs) {
+                if (!found.has(uuid)) {
+                    report(uuid, null, null, 'uuid');
+                }
+            }
+        }
+    }
+
+    /**
+     * Stream an XML page export, reporting matches with their node path and property name
+     * Handles system view (sv:node/sv:property) and document view (elements/attributes) exports.
+     */
+    async _traceXmlReferences(input, matcher, report, reportBroken = null) {
+        const parser = sax.parser(true, { trim: false, normalize: false });
+        const frames = [];
+        let property = null;
+        let valueParts = null;
+
+        const nodePath = () => '/' + frames.filter(frame => frame.isNode).map(frame => frame.name).join('/');
+        const scan = (text, propertyName) => {
+            for (const [uuid, type] of this._matchAssetReferences(text, matcher)) {
+                report(uuid, nodePath(), propertyName, type);
+            }
+            if (reportBroken) {
+                for (const { uuid, type } of this._findMissingDamUUIDs(text, matcher)) {
+                    reportBroken(uuid, nodePath(), propertyName, type, text);
+                }
+            }
+        };
+
+        parser.onopentag = (tag) => {
+            if (tag.name === 'sv:node') {
+                frames.push({ name: tag.attributes['sv:name'] || '', isNode: true });
+                scan(tag.attributes['sv:name'] || '', '(node name)');
+            } else if (tag.name === 'sv:property') {
+                frames.push({ name: tag.name, isNode: false });
+                property = {
+                    name: tag.attributes['sv:name'] || '(unnamed)',
+                    binary: tag.attributes['sv:type'] === 'Binary'
+                };
+            } else if (tag.name === 'sv:value') {
+                frames.push({ name: tag.name, isNode: false });
+                valueParts = property && !property.binary ? [] : null;
+            } else {
+                // Document view: elements are nodes and attributes are properties
+                frames.push({ name: tag.name, isNode: true });
+                for (const [name, value] of Object.entries(tag.attributes)) {
+                    if (!name.startsWith('xmlns')) {
+                        scan(value, name);
+                    }
+                }
+            }
+        };
+
+        const onText = (text) => {
+            if (valueParts) {
+                valueParts.push(text);
+            } else if (!property) {
+                scan(text, '(text)');
+            }
+        };
+        parser.ontext = onText;
+        parser.oncdata = onText;
+
+        parser.onclosetag = (tagName) => {
+            if (tagName === 'sv:value' && valueParts) {
+                scan(valueParts.join(''), property.name);
+                valueParts = null;
+            } else if (tagName === 'sv:property') {
+                property = null;
+            }
+            frames.pop();
+        };
+
+        await MagnoliaSystemViewReader.pump(parser, input);
+    }
+
+    /**
+     * Walk a parsed YAML page export, reporting matches with their key path
+     * Mappings are nodes; scalars and scalar lists are properties of the enclosing node.
+     */
+    _traceObjectReferences(obj, keyPath, matcher, report, reportBroken = null) {
+        if (!obj || typeof obj !== 'object') return;
+
+        const nodePath = '/' + keyPath.join('/');
+        const scan = (text, property) => {
+            for (const [uuid, type] of this._matchAssetReferences(text, matcher)) {
+                report(uuid, nodePath, property, type);
+            }
+            if (reportBroken) {
+                for (const { uuid, type } of this._findMissingDamUUIDs(text, matcher)) {
+                    reportBroken(uuid, nodePath, property, type, text);
+                }
+            }
+        };
+
+        for (const [key, value] of Object.entries(obj)) {
+            for (const [uuid, type] of this._matchAssetReferences(key, matcher)) {
+                report(uuid, nodePath, '(key)', type);
+            }
+
+            if (typeof value === 'string') {
+                scan(value, key);
+            } else if (Array.isArray(value)) {
+                value.forEach((item, index) => {
+                    if (typeof item === 'string') {
+                        scan(item, key);
+                    } else {
+                        this._traceObjectReferences(item, [...keyPath, key, String(index)], matcher, report, reportBroken);
+                    }
+                });
+            } else {
+                this._traceObjectReferences(value, [...keyPath, key], matcher, report, reportBroken);
+            }
         }
     }
 
+    /**
+     * Prepare asset identifiers (and, for asset records, DAM paths) for repeated single-pass scans
+     */
+    _createAssetMatcher(assets) {
+        const uuidSet = new Set();
+        const otherIds = [];
+        const pathIndex = new Map();
+
+        for (const asset of assets) {
+            const uuid = typeof asset === 'string' ? asset : asset.uuid;
+            if (asset && typeof asset === 'object' && uuid) {
+                for (const assetPath of this._getAssetPathKeys(asset)) {
+                    if (!pathIndex.has(assetPath)) {
+                        pathIndex.set(assetPath, uuid);
+                    }
+                }
+            }
+
+            if (this._isUUID(uuid)) {
+                uuidSet.add(uuid);
+            } else if (uuid) {
+                // Identifiers that are not UUID-shaped fall back to a plain substring search
+                otherIds.push(uuid);
+            }
+        }
+
+        return {
+            uuidSet,
+            otherIds,
+            pathIndex,
+            overlap: otherIds.reduce((max, id) => Math.max(max, id.length), UUID_LENGTH) - 1
+        };
+    }
+
+    /**
+     * DAM paths an asset can be referenced by, relative to the export root
+     * Built from the extractor's location plus the node name and the file name.
+     */
+    _getAssetPathKeys(asset) {
+        const folders = !asset.location || asset.location === 'root' ? [] : asset.location.split('/');
+        if (folders[0] === 'jcr:root') {
+            folders.shift();
+        }
+
+        const names = new Set([asset.assetName, asset.fileName].filter(Boolean));
+        return [...names].map(name => [...folders, name].join('/'));
+    }
+
+    /**
+     * Resolve a DAM path reference to an asset UUID
+     * The export root's own parent path is not part of the export, so the longest
+     * trailing part of the reference that names an exported asset wins.
+     * With options.fullPaths only the whole path counts, as a workspace path from the DAM root.
+     */
+    _resolveAssetPath(damPath, matcher, options = {}) {
+        let decodedPath = damPath;
+        try {
+            decodedPath = decodeURIComponent(damPath);
+        } catch (error) {
+            // Keep the raw path if it is not valid URI encoding
+        }
+
+        const segments = decodedPath.split('/').filter(Boolean);
+        if (segments.length === 0) return null;
+
+        const withoutExtension = [...segments];
+        withoutExtension[withoutExtension.length - 1] = withoutExtension[withoutExtension.length - 1].replace(/\.[^.]+$/, '');
+
+        const lastStart = options.fullPaths ? 0 : segments.length - 1;
+        for (let start = 0; start <= lastStart; start++) {
+            for (const candidate of [segments, withoutExtension]) {
+                const uuid = matcher.pathIndex.get(candidate.slice(start).join('/'));
+                if (uuid) {
+                    return uuid;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the assets a piece of text references, as a Map of UUID -> reference type
+     * Uses the reference parser, so link macros and DAM paths count alongside bare UUIDs.
+     * options.fullPaths is passed on to _resolveAssetPath.
+     */
+    _matchAssetReferences(text, matcher, options = {}) {
+        const matches = new Map();
+        const addMatch = (uuid, type) => {
+            const current = matches.get(uuid);
+            if (!current || REFERENCE_TYPE_PRIORITY[type] > REFERENCE_TYPE_PRIORITY[current]) {
+                matches.set(uuid, type);
+            }
+        };
+
+        for (const reference of this.referenceParser.parse(text)) {
+            if (reference.uuid && matcher.uuidSet.has(reference.uuid)) {
+                addMatch(reference.uuid, reference.type);
+            } else if (reference.path && matcher.pathIndex.size > 0) {
+                const uuid = this._resolveAssetPath(reference.path, matcher, options);
+                if (uuid) {
+                    addMatch(uuid, reference.type);
+                }
+            }
+        }
+
+        for (const id of matcher.otherIds) {
+            if (text.includes(id)) {
+                addMatch(id, 'uuid');
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Find DAM identifiers in a piece of text that point at no asset of the matcher, as a list of {uuid, type}
+     */
+    _findMissingDamUUIDs(text, matcher) {
+        return this.referenceParser.findDamUUIDs(text).filter(reference => !matcher.uuidSet.has(reference.uuid));
+    }
+
+    /**
+     * Find asset identifiers in a piece of text
+     * Matches the old per-asset indexOf search exactly: case-sensitive substring matches,
+     * including tokens that touch or overlap other UUIDs.
+     */
+    _matchAssetUUIDs(text, matcher) {
+        const matches = new Set();
+
+        for (const uuid of this.referenceParser.findUUIDs(text)) {
+            if (matcher.uuidSet.has(uuid)) {
+                matches.add(uuid);
+            }
+        }
+
+        for (const id of matcher.otherIds) {
+            if (text.includes(id)) {
+                matches.add(id);
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Scan a text stream for asset UUIDs in a single pass
+     */
+    async _scanForAssetUUIDs(textStream, assetUUIDs) {
+        const matcher = Array.isArray(assetUUIDs) ? this._createAssetMatcher(assetUUIDs) : assetUUIDs;
+        const referencedUUIDs = new Set();
+        let carry = '';
+        let contentLength = 0;
+
+        for await (const chunk of textStream) {
+            contentLength += chunk.length;
+            const text = carry + chunk;
+
+            for (const uuid of this._matchAssetUUIDs(text, matcher)) {
+                referencedUUIDs.add(uuid);
+            }
+
+            carry = text.slice(-matcher.overlap);
+        }
+
+        return { referencedUUIDs, contentLength };
+    }
+
     /**
      * Extract all UUIDs referenced in XML page content
      */
     async extractPageUUIDsFromXML(pageXmlPath) {
         try {
-            const data = await fs.readFile(pageXmlPath, 'utf8');
+            const data = await MagnoliaInput.readText(pageXmlPath);
             const parser = new DOMParser();
             const doc = parser.parseFromString(data, 'text/xml');
             
@@ -71,53 +640,25 @@ class MagnoliaAssetChecker {
             
             for (const element of allElements) {
                 if (element.tagName === 'sv:value' && element.textContent) {
-                    const text = element.textContent.trim();
-                    
-                    // Check if this looks like a UUID (36 characters with hyphens)
-                    if (this._isUUID(text)) {
-                        referencedUUIDs.add(text);
-                    }
-                    
-                    // Look for DAM asset references in the format /dam/jcr:UUID or /dam/jcr:UUID/filename
-                    const damMatches = text.match(/\/dam\/jcr:([a-f0-9-]{36})/gi);
-                    if (damMatches) {
-                        for (const match of damMatches) {
-                            const uuid = match.replace('/dam/jcr:', '');
-                            if (this._isUUID(uuid)) {
-                                referencedUUIDs.add(uuid);
-                            }
-                        }
-                    }
+                    this._collectReferencedUUIDs(element.textContent.trim(), referencedUUIDs);
                 }
                 
                 // Also check attributes for UUID references
                 if (element.attributes) {
                     for (let i = 0; i < element.attributes.length; i++) {
                         const attr = element.attributes[i];
-                        if (attr.value && this._isUUID(attr.value)) {
-                            referencedUUIDs.add(attr.value);
-                        }
-                        // Check for DAM references in attributes too
                         if (attr.value) {
-                            const damMatches = attr.value.match(/\/dam\/jcr:([a-f0-9-]{36})/gi);
-                            if (damMatches) {
-                                for (const match of damMatches) {
-                                    const uuid = match.replace('/dam/jcr:', '');
-                                    if (this._isUUID(uuid)) {
-                                        referencedUUIDs.add(uuid);
-                                    }
-                                }
-                            }
+                            this._collectReferencedUUIDs(attr.value, referencedUUIDs);
                         }
                     }
                 }
             }
             
-            console.log(`Found ${referencedUUIDs.size} UUID references in XML page export`);
+            this.logger.log(`Found ${referencedUUIDs.size} UUID references in XML page export`);
             return Array.from(referencedUUIDs);
             
         } catch (error) {
-            console.error(`Error reading XML page file: ${error.message}`);
+            this.logger.error(`Error reading XML page file: ${error.message}`);
             return [];
         }
     }
@@ -127,7 +668,7 @@ class MagnoliaAssetChecker {
      */
     async extractPageUUIDsFromYAML(pageYamlPath) {
         try {
-            const data = await fs.readFile(pageYamlPath, 'utf8');
+            const data = await MagnoliaInput.readText(pageYamlPath);
             const yamlData = yaml.load(data);
             
             const referencedUUIDs = new Set();
@@ -135,11 +676,11 @@ class MagnoliaAssetChecker {
             // Recursively search for UUIDs in the YAML structure
             this._findUUIDsInObject(yamlData, referencedUUIDs);
             
-            console.log(`Found ${referencedUUIDs.size} UUID references in YAML page export`);
+            this.logger.log(`Found ${referencedUUIDs.size} UUID references in YAML page export`);
             return Array.from(referencedUUIDs);
             
         } catch (error) {
-            console.error(`Error reading YAML page file: ${error.message}`);
+            this.logger.error(`Error reading YAML page file: ${error.message}`);
             return [];
         }
     }
@@ -149,20 +690,7 @@ class MagnoliaAssetChecker {
      */
     _findUUIDsInObject(obj, uuidSet) {
         if (typeof obj === 'string') {
-            // Look for standalone UUIDs
-            if (this._isUUID(obj)) {
-                uuidSet.add(obj);
-            }
-            // Look for DAM asset references in the format /dam/jcr:UUID or /dam/jcr:UUID/filename
-            const damMatches = obj.match(/\/dam\/jcr:([a-f0-9-]{36})/gi);
-            if (damMatches) {
-                for (const match of damMatches) {
-                    const uuid = match.replace('/dam/jcr:', '');
-                    if (this._isUUID(uuid)) {
-                        uuidSet.add(uuid);
-                    }
-                }
-            }
+            this._collectReferencedUUIDs(obj, uuidSet);
         } else if (Array.isArray(obj)) {
             for (const item of obj) {
                 this._findUUIDsInObject(item, uuidSet);
@@ -177,6 +705,105 @@ class MagnoliaAssetChecker {
         }
     }
 
+    /**
+     * Add every UUID a value references to uuidSet: bare UUIDs, jcr:/dam/jcr: identifiers
+     * and the uuid field of ${link:{...}} macros (also when HTML-escaped)
+     */
+    _collectReferencedUUIDs(text, uuidSet) {
+        for (const reference of this.referenceParser.parse(text)) {
+            if (reference.uuid) {
+                uuidSet.add(reference.uuid);
+            }
+        }
+    }
+
+    /**
+     * Extract assets from a DAM export in any format the extractor supports (XML, YAML, JSON)
+     * options.onProgress and options.onAsset are passed on to the extractor.
+     */
+    async extractAssets(assetPath, options = {}) {
+        try {
+            const extractor = new MagnoliaAssetExtractor({ logger: this.logger });
+            const assets = await extractor.extractAssets(assetPath, options);
+            
+            this.logger.log(`Found ${assets.length} assets in asset export`);
+            return assets;
+            
+        } catch (error) {
+            if (this.strict || error instanceof MagnoliaCancelledError) {
+                throw MagnoliaAssetChecker._toTypedError(error, options.name || assetPath, 'DAM export');
+            }
+            this.logger.error(`Error reading asset file: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Turn an error from reading an input into a MagnoliaInputError (file system errors) or MagnoliaParseError
+     */
+    static _toTypedError(error, fileName, kind) {
+        if (error instanceof MagnoliaAssetCheckerError) {
+            return error;
+        }
+        if (error.code && /^E[A-Z]+$/.test(error.code)) {
+            return new MagnoliaInputError(`Cannot read ${kind} '${fileName}': ${error.message}`, { file: fileName, cause: error });
+        }
+        return new MagnoliaParseError(`Cannot parse ${kind} '${fileName}': ${error.message}`, { file: fileName, cause: error });
+    }
+
+    /**
+     * Extract assets from several DAM exports (e.g. split dam.*.xml files from a bundle)
+     * Accepts file paths or {path, name} objects; duplicates are removed later by analyzeAssets.
+     */
+    async extractAssetsFromFiles(assetFiles) {
+        const assets = [];
+        const fileSizes = await this._getFileSizes(assetFiles);
+        const totalBytes = fileSizes.reduce((sum, size) => sum + size, 0);
+        let bytesDone = 0;
+
+        for (const [fileIndex, assetFile] of assetFiles.entries()) {
+            const filePath = typeof assetFile === 'string' ? assetFile : assetFile.path;
+            let assetsParsed = assets.length;
+            const report = (bytesRead) => this._reportProgress({
+                phase: 'extracting',
+                file: typeof assetFile === 'string' ? assetFile : (assetFile.name || assetFile.path),
+                fileIndex: fileIndex,
+                fileCount: assetFiles.length,
+                bytesRead: bytesDone + bytesRead,
+                totalBytes: totalBytes,
+                assetsParsed: assetsParsed
+            });
+
+            report(0);
+            assets.push(...await this.extractAssets(filePath, {
+                name: typeof assetFile === 'string' ? assetFile : assetFile.name,
+                onProgress: report,
+                onAsset: () => assetsParsed++
+            }));
+            // Outside strict mode read errors become an empty result, so make sure a cancelled read still stops here
+            this.throwIfCancelled();
+
+            bytesDone += fileSizes[fileIndex];
+            assetsParsed = assets.length;
+            report(0);
+        }
+
+        return assets;
+    }
+
+    /**
+     * Sizes in bytes (as stored) of input files given as paths or {path} objects
+     */
+    async _getFileSizes(files) {
+        const sizes = [];
+        for (const file of files) {
+            // Unreadable files are reported by the extraction or scan itself
+            const stats = await fs.stat(typeof file === 'string' ? file : file.path).catch(() => null);
+            sizes.push(stats ? stats.size : 0);
+        }
+        return sizes;
+    }
+
     /**
      * Extract assets from asset export (using working magnolia_asset_extractor)
      */
@@ -185,11 +812,11 @@ class MagnoliaAssetChecker {
             const extractor = new MagnoliaAssetExtractor();
             const assets = await extractor.extractAssetsFromXml(assetXmlPath);
             
-            console.log(`Found ${assets.length} assets in asset export`);
+            this.logger.log(`Found ${assets.length} assets in asset export`);
             return assets;
             
         } catch (error) {
-            console.error(`Error reading asset XML file: ${error.message}`);
+            this.logger.error(`Error reading asset XML file: ${error.message}`);
             return [];
         }
     }
@@ -300,8 +927,7 @@ class MagnoliaAssetChecker {
      * Check if a string looks like a UUID
      */
     _isUUID(str) {
-        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-        return uuidRegex.test(str);
+        return typeof str === 'string' && str.length === UUID_LENGTH && UUID_PATTERN.test(str);
     }
 
     /**
@@ -323,11 +949,16 @@ class MagnoliaAssetChecker {
 
     /**
      * Find unused assets and get referenced assets by comparing asset UUIDs against page references
+     * referencedUUIDs may be a Set/array of UUIDs, or the Map from findReferencedAssetsInPages,
+     * in which case referenced assets also get their reference sites and referencedIn source exports.
+     * Unused assets matching a rule of the config go into ignoredAssets with ignoreRule and ignoreReason.
      */
     analyzeAssets(assets, referencedUUIDs) {
-        const referencedUUIDSet = new Set(referencedUUIDs);
+        const referenceSources = referencedUUIDs instanceof Map ? referencedUUIDs : null;
+        const referencedUUIDSet = new Set(referenceSources ? referenceSources.keys() : referencedUUIDs);
         const unusedAssets = [];
         const referencedAssets = [];
+        const ignoredAssets = [];
         
         // Create unique asset list (remove duplicates by UUID)
         const uniqueAssets = [];
@@ -339,7 +970,22 @@ class MagnoliaAssetChecker {
                 uniqueAssets.push(asset);
                 
                 if (referencedUUIDSet.has(asset.uuid)) {
+                    if (referenceSources) {
+                        const sites = referenceSources.get(asset.uuid);
+                        asset.referencedIn = [...new Set(sites.map(site => site.source))];
+                        asset.referenceTypes = [...new Set(sites.map(site => site.type))];
+                        asset.referenceCount = sites.length;
+                        asset.references = sites;
+                    }
                     referencedAssets.push(asset);
+                    continue;
+                }
+
+                const rule = this.config ? this.config.match(asset) : null;
+                if (rule) {
+                    asset.ignoreRule = rule.type;
+                    asset.ignoreReason = rule.reason;
+                    ignoredAssets.push(asset);
                 } else {
                     unusedAssets.push(asset);
                 }
@@ -349,14 +995,245 @@ class MagnoliaAssetChecker {
         return {
             allAssets: uniqueAssets,
             referencedAssets: referencedAssets,
-            unusedAssets: unusedAssets
+            unusedAssets: unusedAssets,
+            ignoredAssets: ignoredAssets,
+            storage: this._summarizeStorage(uniqueAssets, new Set(unusedAssets.map(asset => asset.uuid)),
+                new Set(ignoredAssets.map(asset => asset.uuid)))
         };
     }
 
     /**
-     * Generate output filename with timestamp in output directory
+     * Sum asset sizes into total/referenced/unused/ignored bytes, overall and per category (images, pdf, video, other)
      */
-    generateOutputFilename(baseName, suffix, extension = 'csv') {
+    _summarizeStorage(assets, unusedUUIDs, ignoredUUIDs = new Set()) {
+        const emptyTotals = () => ({
+            totalAssets: 0,
+            totalBytes: 0,
+            referencedAssets: 0,
+            referencedBytes: 0,
+            unusedAssets: 0,
+            unusedBytes: 0,
+            ignoredAssets: 0,
+            ignoredBytes: 0
+        });
+
+        const storage = emptyTotals();
+        const categories = ASSET_CATEGORIES.map(({ category, label }) => ({ category, label, ...emptyTotals() }));
+
+        for (const asset of assets) {
+            const size = parseInt(asset.size, 10) || 0;
+            const usage = unusedUUIDs.has(asset.uuid) ? 'unused' : ignoredUUIDs.has(asset.uuid) ? 'ignored' : 'referenced';
+            const category = categories.find(entry => entry.category === this._getAssetCategory(asset));
+
+            for (const totals of [storage, category]) {
+                totals.totalAssets++;
+                totals.totalBytes += size;
+                totals[`${usage}Assets`]++;
+                totals[`${usage}Bytes`] += size;
+            }
+        }
+
+        storage.categories = categories;
+        return storage;
+    }
+
+    /**
+     * Keep the assets below any of the given DAM folders (e.g. "/site/images") and of any of the given
+     * storage categories (images, pdf, video, other). Empty filters keep everything.
+     */
+    filterAssets(assets, { folders = [], types = [] } = {}) {
+        const folderPrefixes = folders.map(folder => MagnoliaDeletionManifest.normalizePath(folder));
+
+        return assets.filter(asset => {
+            if (types.length > 0 && !types.includes(this._getAssetCategory(asset))) {
+                return false;
+            }
+            if (folderPrefixes.length === 0) {
+                return true;
+            }
+
+            const segments = !asset.location || asset.location === 'root' ? [] : asset.location.split('/');
+            if (segments[0] === 'jcr:root') {
+                segments.shift();
+            }
+            const location = '/' + segments.join('/');
+            return folderPrefixes.some(prefix => location === prefix || location.startsWith(prefix + '/'));
+        });
+    }
+
+    /**
+     * Get the storage category of an asset from its MIME type, falling back to the file extension
+     */
+    _getAssetCategory(asset) {
+        const mimeType = (asset.mimeType || '').toLowerCase();
+        const extension = (asset.extension || path.extname(asset.fileName || '').slice(1)).toLowerCase();
+
+        const match = ASSET_CATEGORIES.find(entry => entry.mimePrefix && mimeType.startsWith(entry.mimePrefix)) ||
+            ASSET_CATEGORIES.find(entry => entry.extensions.includes(extension));
+        return match ? match.category : 'other';
+    }
+
+    /**
+     * Roll asset counts up the DAM folder tree, one row per folder including the DAM root ("/")
+     * Every row counts its whole subtree, so a folder's numbers include all of its subfolders.
+     */
+    buildFolderRollup(analysis) {
+        const unusedUUIDs = new Set(analysis.unusedAssets.map(asset => asset.uuid));
+        const folders = new Map();
+
+        const getFolder = (folderPath, depth) => {
+            if (!folders.has(folderPath)) {
+                folders.set(folderPath, {
+                    folder: folderPath,
+                    depth: depth,
+                    totalAssets: 0,
+                    totalBytes: 0,
+                    unusedAssets: 0,
+                    unusedBytes: 0,
+                    percentUnused: 0
+                });
+            }
+            return folders.get(folderPath);
+        };
+
+        for (const asset of analysis.allAssets) {
+            const segments = !asset.location || asset.location === 'root' ? [] : asset.location.split('/');
+            if (segments[0] === 'jcr:root') {
+                segments.shift();
+            }
+
+            const size = parseInt(asset.size, 10) || 0;
+            const isUnused = unusedUUIDs.has(asset.uuid);
+
+            // Count the asset in its own folder and every ancestor up to the root
+            for (let depth = 0; depth <= segments.length; depth++) {
+                const folder = getFolder('/' + segments.slice(0, depth).join('/'), depth);
+                folder.totalAssets++;
+                folder.totalBytes += size;
+                if (isUnused) {
+                    folder.unusedAssets++;
+                    folder.unusedBytes += size;
+                }
+            }
+        }
+
+        // Sort segment by segment so every folder is directly followed by its subfolders
+        const rollup = [...folders.values()].sort((a, b) => {
+            const aSegments = a.folder.split('/');
+            const bSegments = b.folder.split('/');
+            for (let i = 0; i < Math.min(aSegments.length, bSegments.length); i++) {
+                const order = aSegments[i].localeCompare(bSegments[i]);
+                if (order !== 0) return order;
+            }
+            return aSegments.length - bSegments.length;
+        });
+        for (const folder of rollup) {
+            folder.percentUnused = folder.totalAssets > 0
+                ? Math.round((folder.unusedAssets / folder.totalAssets) * 1000) / 10
+                : 0;
+        }
+
+        return rollup;
+    }
+
+    /**
+     * Group assets that look like copies of each other: identical content, same file name and size, or similar names
+     * Returns groups of {group, match, key, copies, referencedCopies, unusedCopies, unusedBytes, assets}, where each
+     * asset is {uuid, fileName, location, size, status, referenceCount} and status is referenced, unused or ignored.
+     * Content groups need the jcr:data binaries, so they are only found in system-view XML exports that include them.
+     */
+    findDuplicates(analysis) {
+        const status = new Map();
+        for (const [list, value] of [[analysis.referencedAssets, 'referenced'], [analysis.unusedAssets, 'unused'], [analysis.ignoredAssets || [], 'ignored']]) {
+            for (const asset of list) {
+                status.set(asset.uuid, value);
+            }
+        }
+
+        const groupBy = (getKey) => {
+            const groups = new Map();
+            for (const asset of analysis.allAssets) {
+                const key = getKey(asset);
+                if (key) {
+                    groups.set(key, [...(groups.get(key) || []), asset]);
+                }
+            }
+            return [...groups].filter(([, assets]) => assets.length > 1);
+        };
+
+        const nameSizeKey = asset => asset.fileName && asset.size ? `${asset.fileName.toLowerCase()} (${asset.size} bytes)` : null;
+        const candidates = {
+            content: groupBy(asset => asset.sha256),
+            'name-size': groupBy(nameSizeKey),
+            // Only worth reporting when the copies are not all the same file name and size already
+            'similar-name': groupBy(asset => this._getSimilarNameKey(asset.fileName))
+                .filter(([, assets]) => new Set(assets.map(nameSizeKey)).size > 1)
+        };
+
+        const duplicates = [];
+        for (const match of Object.keys(DUPLICATE_MATCHES)) {
+            const groups = candidates[match].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+            for (const [key, assets] of groups) {
+                const copies = assets.map(asset => ({
+                    uuid: asset.uuid,
+                    fileName: asset.fileName,
+                    location: asset.location,
+                    size: asset.size,
+                    status: status.get(asset.uuid) || 'unused',
+                    referenceCount: asset.referenceCount || 0
+                }));
+                const unused = copies.filter(copy => copy.status === 'unused');
+
+                duplicates.push({
+                    group: duplicates.length + 1,
+                    match: match,
+                    key: key,
+                    copies: copies.length,
+                    referencedCopies: copies.filter(copy => copy.status === 'referenced').length,
+                    unusedCopies: unused.length,
+                    unusedBytes: unused.reduce((sum, copy) => sum + (parseInt(copy.size, 10) || 0), 0),
+                    assets: copies
+                });
+            }
+        }
+
+        return duplicates;
+    }
+
+    /**
+     * Flatten duplicate groups into report rows, one per copy, with the DUPLICATE_FIELDS columns
+     */
+    flattenDuplicates(duplicates) {
+        return duplicates.flatMap(group => group.assets.map(asset => ({
+            group: group.group,
+            match: group.match,
+            key: group.key,
+            copies: group.copies,
+            ...asset
+        })));
+    }
+
+    /**
+     * Reduce a file name to what copies of it have in common: "Hero (1).JPG" and "hero copy.jpg" -> "hero.jpg"
+     */
+    _getSimilarNameKey(fileName) {
+        if (!fileName) {
+            return null;
+        }
+
+        const extension = path.extname(fileName);
+        let name = path.basename(fileName, extension);
+        while (COPY_SUFFIX_PATTERN.test(name)) {
+            name = name.replace(COPY_SUFFIX_PATTERN, '');
+        }
+        name = name.trim().replace(/[\s_-]+/g, '-');
+        return name ? (name + extension).toLowerCase() : null;
+    }
+
+    /**
+     * Generate output filename with timestamp in output directory
+     */
+    generateOutputFilename(baseName, suffix, extension = 'csv') {
         const now = new Date();
         const timestamp = now.toISOString()
             .replace(/[-:]/g, '')
@@ -368,7 +1245,7 @@ class MagnoliaAssetChecker {
     /**
      * Write results to output file
      */
-    async writeResults(results, outputFile, formatType = 'csv', title = 'Assets') {
+    async writeResults(results, outputFile, formatType = 'csv', title = 'Assets', fields = null) {
         // Ensure output directory exists
         const dir = path.dirname(outputFile);
         await fs.mkdir(dir, { recursive: true });
@@ -382,24 +1259,38 @@ class MagnoliaAssetChecker {
                 case 'json':
                     await fs.writeFile(outputFile, '[]');
                     break;
+                case 'html':
+                    await this._writeHtml([], outputFile, title, fields);
+                    break;
+                case 'xlsx':
+                    await this._writeXlsx([], outputFile, title, fields);
+                    break;
                 case 'txt':
                     const timestamp = new Date().toISOString();
                     await fs.writeFile(outputFile, `${title} Report\nGenerated: ${timestamp}\nTotal ${title.toLowerCase()}: 0\n\nNo ${title.toLowerCase()} found.`);
                     break;
             }
-            console.log(`No ${title.toLowerCase()} found - empty file created: ${outputFile}`);
+            this.logger.log(`No ${title.toLowerCase()} found - empty file created: ${outputFile}`);
             return;
         }
 
+        const rows = MagnoliaAssetExtractor.selectFields(results, fields);
+
         switch (formatType.toLowerCase()) {
             case 'csv':
-                await this._writeCsv(results, outputFile);
+                await this._writeCsv(rows, outputFile, fields);
                 break;
             case 'json':
-                await this._writeJson(results, outputFile);
+                await this._writeJson(rows, outputFile);
+                break;
+            case 'html':
+                await this._writeHtml(rows, outputFile, title, fields);
+                break;
+            case 'xlsx':
+                await this._writeXlsx(rows, outputFile, title, fields);
                 break;
             default:
-                await this._writeText(results, outputFile, title);
+                await this._writeText(rows, outputFile, title);
                 break;
         }
     }
@@ -407,15 +1298,15 @@ class MagnoliaAssetChecker {
     /**
      * Write results as CSV
      */
-    async _writeCsv(results, outputFile) {
+    async _writeCsv(results, outputFile, columns = null) {
         if (!results || results.length === 0) return;
 
-        // Get all unique keys from all results
+        // Get all unique keys from all results, unless the columns were chosen explicitly
         const allKeys = new Set();
         results.forEach(result => {
             Object.keys(result).forEach(key => allKeys.add(key));
         });
-        const sortedKeys = Array.from(allKeys).sort();
+        const sortedKeys = columns && columns.length > 0 ? columns : Array.from(allKeys).sort();
 
         // Create CSV content
         let csvContent = sortedKeys.join(',') + '\n';
@@ -426,7 +1317,7 @@ class MagnoliaAssetChecker {
                 if (value === null || value === undefined) return '';
                 
                 // Escape quotes and wrap in quotes if contains comma, quote, or newline
-                let stringValue = String(value);
+                let stringValue = this._formatValue(value);
                 if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
                     stringValue = '"' + stringValue.replace(/"/g, '""') + '"';
                 }
@@ -436,7 +1327,7 @@ class MagnoliaAssetChecker {
         });
 
         await fs.writeFile(outputFile, csvContent, 'utf8');
-        console.log(`Results written to: ${outputFile}`);
+        this.logger.log(`Results written to: ${outputFile}`);
     }
 
     /**
@@ -445,7 +1336,140 @@ class MagnoliaAssetChecker {
     async _writeJson(results, outputFile) {
         const jsonContent = JSON.stringify(results, null, 2);
         await fs.writeFile(outputFile, jsonContent, 'utf8');
-        console.log(`Results written to: ${outputFile}`);
+        this.logger.log(`Results written to: ${outputFile}`);
+    }
+
+    /**
+     * Write results as a self-contained HTML page with one sortable, filterable table
+     */
+    async _writeHtml(results, outputFile, title = 'Assets', columns = null) {
+        const report = new MagnoliaHtmlReport({ title: `${title} Report`, formatValue: value => this._formatValue(value) });
+        report.addTable(title, results, columns);
+        await report.write(outputFile);
+        if (results.length > 0) {
+            this.logger.log(`Results written to: ${outputFile}`);
+        }
+    }
+
+    /**
+     * Write the whole analysis as one self-contained HTML report for people who will not open a CSV
+     * Has a summary header, storage by type, the asset tables, the folder breakdown, broken references and duplicates.
+     * @param {Object} details
+     *   inputs - {assets, pages, modules} names of the analyzed exports and light modules
+     *   config - config file the ignore rules came from, if any
+     *   fields - asset columns (default: HTML_ASSET_FIELDS)
+     */
+    async writeHtmlReport(analysis, outputFile, details = {}) {
+        const inputs = details.inputs || {};
+        const { storage } = analysis;
+        const fields = details.fields && details.fields.length > 0 ? details.fields : HTML_ASSET_FIELDS;
+        const withFields = (extraFields) => [...fields, ...extraFields.filter(field => !fields.includes(field))];
+        const formatPercent = (part, total) => total > 0 ? `${Math.round((part / total) * 1000) / 10}%` : '0%';
+
+        const report = new MagnoliaHtmlReport({
+            title: 'Magnolia Asset Usage Report',
+            subtitle: `Generated ${new Date().toISOString()}`,
+            formatValue: value => this._formatValue(value)
+        });
+
+        report.addSummary([
+            { label: 'Total assets', value: analysis.allAssets.length },
+            { label: 'Referenced assets', value: analysis.referencedAssets.length },
+            { label: 'Unused assets', value: analysis.unusedAssets.length },
+            ...(details.config || analysis.ignoredAssets.length > 0 ? [{ label: 'Ignored / protected', value: analysis.ignoredAssets.length }] : []),
+            { label: 'Usage rate', value: formatPercent(analysis.referencedAssets.length, analysis.allAssets.length) },
+            { label: 'Total storage', value: formatBytes(storage.totalBytes) },
+            { label: 'Reclaimable storage', value: formatBytes(storage.unusedBytes) },
+            { label: 'Broken references', value: analysis.brokenReferences.length },
+            { label: 'Duplicate groups', value: analysis.duplicates.length }
+        ]);
+
+        report.addDetails('Inputs', [
+            { label: 'DAM exports', value: (inputs.assets || []).join(', ') || '-' },
+            { label: 'Page exports', value: (inputs.pages || []).join(', ') || '-' },
+            ...(inputs.modules && inputs.modules.length > 0 ? [{ label: 'Light modules', value: inputs.modules.join(', ') }] : []),
+            { label: 'Config', value: details.config || 'none' },
+            { label: 'Generated', value: new Date().toISOString() }
+        ]);
+
+        report.addTable('Storage by type', [
+            ...storage.categories.filter(category => category.totalAssets > 0),
+            { ...storage, label: 'Total' }
+        ], STORAGE_FIELDS);
+        report.addTable('Unused assets', analysis.unusedAssets, fields);
+        report.addTable('Referenced assets', analysis.referencedAssets, withFields(['referenceCount', 'references']));
+        report.addTable('All assets', analysis.allAssets, fields);
+        if (analysis.ignoredAssets.length > 0) {
+            report.addTable('Ignored / protected assets', analysis.ignoredAssets, withFields(['ignoreReason']));
+        }
+        report.addTable('Folders', analysis.folderRollup, FOLDER_ROLLUP_FIELDS);
+        report.addTable('Broken references', analysis.brokenReferences, BROKEN_REFERENCE_FIELDS);
+        report.addTable('Duplicates', this.flattenDuplicates(analysis.duplicates), DUPLICATE_FIELDS);
+
+        await report.write(outputFile);
+        this.logger.log(`Report written to: ${outputFile}`);
+    }
+
+    /**
+     * Write results as an Excel workbook with one sheet
+     */
+    async _writeXlsx(results, outputFile, title = 'Assets', columns = null) {
+        const workbook = new MagnoliaXlsxWorkbook({ formatValue: value => this._formatValue(value) });
+        workbook.addSheet(title, results, columns);
+        await workbook.write(outputFile);
+        if (results.length > 0) {
+            this.logger.log(`Results written to: ${outputFile}`);
+        }
+    }
+
+    /**
+     * Build an Excel workbook of the whole analysis: a Summary sheet, then one sheet per report
+     * Sizes and counts are numbers and dates are dates (in UTC), every sheet has a frozen header and an autofilter.
+     * @param {Object} details
+     *   inputs - {assets, pages, modules} names of the analyzed exports and light modules
+     *   config - config file the ignore rules came from, if any
+     *   fields - asset columns (default: all)
+     *   generated - when the analysis ran (default: now)
+     */
+    buildWorkbook(analysis, details = {}) {
+        const inputs = details.inputs || {};
+        const { storage } = analysis;
+        const fields = details.fields && details.fields.length > 0 ? details.fields : null;
+        const withFields = (extraFields) => fields ? [...fields, ...extraFields.filter(field => !fields.includes(field))] : null;
+
+        const workbook = new MagnoliaXlsxWorkbook({ formatValue: value => this._formatValue(value) });
+        workbook.addSummarySheet('Summary', [
+            { label: 'Generated', value: details.generated ? new Date(details.generated) : new Date() },
+            { label: 'DAM exports', value: (inputs.assets || []).join(', ') },
+            { label: 'Page exports', value: (inputs.pages || []).join(', ') },
+            ...(inputs.modules && inputs.modules.length > 0 ? [{ label: 'Light modules', value: inputs.modules.join(', ') }] : []),
+            { label: 'Config', value: details.config || 'none' },
+            { label: 'Total assets', value: analysis.allAssets.length },
+            { label: 'Referenced assets', value: analysis.referencedAssets.length },
+            { label: 'Unused assets', value: analysis.unusedAssets.length },
+            { label: 'Ignored / protected assets', value: analysis.ignoredAssets.length },
+            { label: 'Total bytes', value: storage.totalBytes },
+            { label: 'Referenced bytes', value: storage.referencedBytes },
+            { label: 'Unused bytes', value: storage.unusedBytes },
+            { label: 'Ignored bytes', value: storage.ignoredBytes || 0 },
+            { label: 'Broken references', value: analysis.brokenReferences.length },
+            { label: 'Duplicate groups', value: analysis.duplicates.length }
+        ]);
+        workbook.addSheet('All', analysis.allAssets, fields);
+        workbook.addSheet('Referenced', analysis.referencedAssets, fields);
+        workbook.addSheet('Unused', analysis.unusedAssets, fields);
+        if (analysis.ignoredAssets.length > 0) {
+            workbook.addSheet('Ignored', analysis.ignoredAssets, withFields(['ignoreRule', 'ignoreReason']));
+        }
+        workbook.addSheet('Storage', [
+            ...storage.categories.filter(category => category.totalAssets > 0),
+            { ...storage, label: 'Total' }
+        ], STORAGE_FIELDS);
+        workbook.addSheet('Folders', analysis.folderRollup, FOLDER_ROLLUP_FIELDS);
+        workbook.addSheet('Broken References', analysis.brokenReferences, BROKEN_REFERENCE_FIELDS);
+        workbook.addSheet('Duplicates', this.flattenDuplicates(analysis.duplicates), DUPLICATE_FIELDS);
+
+        return workbook;
     }
 
     /**
@@ -459,13 +1483,193 @@ class MagnoliaAssetChecker {
         results.forEach((result, index) => {
             textContent += `${title.slice(0, -1)} ${index + 1}:\n`;
             Object.entries(result).forEach(([key, value]) => {
-                textContent += `  ${key}: ${value}\n`;
+                textContent += `  ${key}: ${this._formatValue(value)}\n`;
             });
             textContent += '\n';
         });
 
         await fs.writeFile(outputFile, textContent, 'utf8');
-        console.log(`Results written to: ${outputFile}`);
+        this.logger.log(`Results written to: ${outputFile}`);
+    }
+
+    /**
+     * Format a result value for flat outputs (CSV/TXT)
+     */
+    _formatValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this._formatValue(item)).join('; ');
+        }
+        if (value && typeof value === 'object') {
+            if ('source' in value && 'path' in value) {
+                return this._formatReferenceSite(value);
+            }
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Format a reference site as "path [property] (source)"
+     */
+    _formatReferenceSite(site) {
+        if (site.type === 'code') {
+            return `${site.path}:${site.line} (code)`;
+        }
+        const location = site.path ? `${site.path} [${site.property}]` : '(path unknown)';
+        const type = site.type && site.type !== 'uuid' ? `, by ${site.type}` : '';
+        return `${location} (${site.source}${type})`;
+    }
+}
+
+/**
+ * Write the deletion manifest and Groovy cleanup script for the (filtered) unused assets
+ */
+async function writeDeletionManifest(checker, analysis, options) {
+    const manifest = new MagnoliaDeletionManifest({
+        pathPrefix: options.pathPrefix,
+        quarantine: Boolean(options.quarantine),
+        quarantinePath: typeof options.quarantine === 'string' ? options.quarantine : null,
+        logger: checker.logger
+    });
+
+    const selectedAssets = checker.filterAssets(analysis.unusedAssets, {
+        folders: options.manifestFolder,
+        types: options.manifestType || []
+    });
+    const entries = manifest.build(selectedAssets);
+
+    const manifestFile = checker.generateOutputFilename(options.output, 'deletion_manifest', options.format);
+    const scriptFile = checker.generateOutputFilename(options.output, 'cleanup', 'groovy');
+
+    console.log(`\n🗑️  Deletion manifest: ${entries.length} of ${analysis.unusedAssets.length} unused assets selected`);
+    await checker.writeResults(entries, manifestFile, options.format, 'Deletion Manifest Entries', MagnoliaDeletionManifest.MANIFEST_FIELDS);
+    await manifest.writeGroovy(entries, scriptFile);
+
+    console.log(`   - Manifest: ${manifestFile}`);
+    console.log(`   - Groovy script (dry run by default${manifest.quarantine ? `, quarantines to ${manifest.quarantinePath}` : ''}): ${scriptFile}`);
+}
+
+/**
+ * Write one backup export of the unused assets per system-view XML DAM export
+ */
+async function writeUnusedBackups(checker, assetFiles, analysis, options) {
+    const backup = new MagnoliaAssetBackup({ logger: checker.logger });
+    const unusedUUIDs = analysis.unusedAssets.map(asset => asset.uuid);
+    const xmlFiles = assetFiles
+        .map(file => typeof file === 'string' ? file : file.path)
+        .filter(file => MagnoliaInput.getFormatExtension(file) === '.xml');
+
+    console.log(`\n💾 Backing up ${unusedUUIDs.length} unused assets...`);
+    if (xmlFiles.length < assetFiles.length) {
+        console.warn('⚠️  Backups can only be written from system-view XML DAM exports; YAML and JSON exports were skipped.');
+    }
+
+    for (const [index, file] of xmlFiles.entries()) {
+        const suffix = xmlFiles.length > 1 ? `unused_backup_${index + 1}` : 'unused_backup';
+        await backup.writeBackup(file, unusedUUIDs, checker.generateOutputFilename(options.output, suffix, 'xml'));
+    }
+}
+
+/**
+ * Write the binaries of one report's assets from the system-view XML DAM exports, with a manifest and checksums
+ */
+async function writeBinaries(checker, assetFiles, analysis, options) {
+    const assets = {
+        unused: analysis.unusedAssets,
+        referenced: analysis.referencedAssets,
+        ignored: analysis.ignoredAssets,
+        all: analysis.allAssets
+    }[options.extractReport];
+    const outputDir = path.resolve(options.extractBinaries);
+    const extractor = new MagnoliaBinaryExtractor();
+    const targets = extractor.planTargets(assets);
+    const xmlFiles = assetFiles
+        .map(file => typeof file === 'string' ? file : file.path)
+        .filter(file => MagnoliaInput.getFormatExtension(file) === '.xml');
+
+    console.log(`\n📦 Extracting binaries of ${assets.length} ${options.extractReport} assets to ${outputDir}...`);
+    if (xmlFiles.length < assetFiles.length) {
+        console.warn('⚠️  Binaries can only be extracted from system-view XML DAM exports; YAML and JSON exports were skipped.');
+    }
+
+    const entries = [];
+    for (const file of xmlFiles) {
+        const extracted = new Set(entries.map(entry => entry.uuid));
+        entries.push(...await extractor.extractBinaries(file, assets.filter(asset => !extracted.has(asset.uuid)), outputDir, targets));
+    }
+
+    const manifestFile = path.join(outputDir, 'manifest.csv');
+    await checker.writeResults(entries, manifestFile, 'csv', 'Extracted Binaries', MagnoliaBinaryExtractor.MANIFEST_FIELDS);
+    const checksumFile = await extractor.writeChecksums(entries, outputDir);
+
+    const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    console.log(`Extracted ${entries.length} files (${formatBytes(totalBytes)})`);
+    console.log(`   - Manifest: ${manifestFile}`);
+    console.log(`   - Checksums (verify with: cd ${outputDir} && sha256sum -c ${MagnoliaBinaryExtractor.CHECKSUM_FILE_NAME}): ${checksumFile}`);
+    if (entries.length < assets.length) {
+        console.warn(`⚠️  ${assets.length - entries.length} asset(s) had no jcr:data binary in the exports (exported without binaries?).`);
+    }
+}
+
+/**
+ * Format a byte count for console output, e.g. "12.5 MB"
+ */
+function formatBytes(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const units = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + ' ' + units[i];
+}
+
+/**
+ * Collect repeated -p/--pages options into one list
+ */
+function collectPageOption(value, previous) {
+    return previous.concat([value]);
+}
+
+/**
+ * Expand page arguments that contain glob patterns; plain paths are kept as given
+ */
+async function expandPagePatterns(patterns) {
+    const pageFiles = [];
+
+    for (const pattern of patterns) {
+        if (fg.isDynamicPattern(pattern)) {
+            const matches = await fg(pattern, { onlyFiles: true });
+            pageFiles.push(...matches.sort());
+            continue;
+        }
+
+        try {
+            await fs.access(pattern);
+        } catch (error) {
+            console.error(`Error: Page file '${pattern}' not found.`);
+            process.exit(1);
+        }
+        pageFiles.push(pattern);
+    }
+
+    // The same file matched by two patterns should only be scanned once
+    return [...new Set(pageFiles)];
+}
+
+/**
+ * Exit on options that are invalid whatever the inputs are
+ * Runs before any ZIP archive is extracted, so an early exit leaves no temporary directories behind.
+ */
+function validateOptions(options) {
+    if (!['csv', 'json', 'txt', 'html', 'xlsx'].includes(options.format.toLowerCase())) {
+        console.error(`Error: Unsupported output format '${options.format}'. Supported: csv, json, txt, html, xlsx`);
+        process.exit(1);
+    }
+
+    if (!EXTRACT_REPORTS.includes(options.extractReport)) {
+        console.error(`Error: Unknown report '${options.extractReport}' for --extract-report. Supported: ${EXTRACT_REPORTS.join(', ')}`);
+        process.exit(1);
     }
 }
 
@@ -474,111 +1678,304 @@ async function main() {
         .name('magnolia-asset-checker')
         .description('Compare page exports against asset exports to find unused assets')
         .version('1.0.0')
-        .requiredOption('-a, --assets <file>', 'Magnolia asset export XML file')
-        .requiredOption('-p, --pages <file>', 'Magnolia page export file (XML or YAML)')
+        .option('-a, --assets <file>', 'Magnolia DAM export file (XML, YAML or JSON, optionally .gz)')
+        .option('-p, --pages <file>', 'Magnolia page export file (XML or YAML, optionally .gz); repeat or use a glob for several exports', collectPageOption, [])
+        .option('-i, --input <path>', 'ZIP archive or directory of exports, sorted into DAM and page exports; repeatable', collectPageOption, [])
+        .option('--modules <dir>', 'Light-modules directory (or ZIP) whose FTL, YAML, CSS, JS and HTML files are scanned for asset references; repeatable', collectPageOption, [])
         .requiredOption('-o, --output <name>', 'Output file base name (timestamp will be added)')
-        .option('-f, --format <type>', 'Output format: csv, json, txt', 'csv')
+        .option('-f, --format <type>', 'Output format: csv, json, txt, or html/xlsx for one combined report', 'csv')
+        .option('--fields <list>', `Comma-separated columns to output (default: all). Metadata: ${Object.keys(MagnoliaAssetExtractor.METADATA_FIELDS).join(', ')}`,
+            value => MagnoliaAssetExtractor.parseFieldList(value, [...MagnoliaAssetExtractor.ASSET_FIELDS, ...ANALYSIS_FIELDS]))
+        .option('--manifest', 'Also write a deletion manifest and a Groovy cleanup script for the unused assets')
+        .option('--manifest-folder <path>', 'Only include unused assets below this DAM folder in the manifest; repeatable', collectPageOption, [])
+        .option('--manifest-type <list>', `Only include these asset types in the manifest: ${ASSET_CATEGORIES.map(entry => entry.category).join(', ')}`,
+            value => MagnoliaAssetExtractor.parseFieldList(value, ASSET_CATEGORIES.map(entry => entry.category)))
+        .option('--path-prefix <path>', 'JCR path of the exported node\'s parent, when the DAM export does not start at the workspace root', '')
+        .option('--quarantine [path]', 'Make the cleanup script move assets to a quarantine folder instead of deleting them')
+        .option('--backup', 'Also write a re-importable DAM XML export containing only the unused assets')
+        .option('--extract-binaries <dir>', 'Also write the asset files (decoded from jcr:data) into this directory, mirroring the DAM folders, with a checksum manifest')
+        .option('--extract-report <report>', `Report whose assets --extract-binaries writes: ${EXTRACT_REPORTS.join(', ')}`, 'unused')
+        .option('-c, --config <file>', `Config file with ignore rules and allowlists (default: ${MagnoliaAssetConfig.CONFIG_FILE_NAMES[0]} in the working directory)`)
+        .option('--no-config', 'Do not load a config file')
         .addHelpText('after', `
 Examples:
   node magnolia_asset_checker.js -a assets.xml -p pages.xml -o unused_assets
   node magnolia_asset_checker.js -a dam_export.xml -p website_export.yaml -o cleanup_list -f json
+  node magnolia_asset_checker.js -a dam.xml -p website.xml -p stories.xml -p personalization.xml -o audit
+  node magnolia_asset_checker.js -a dam.xml -p "exports/*.{xml,yaml}" -o audit
+  node magnolia_asset_checker.js -a dam.xml -p website.xml -o audit --fields fileName,location,mimeType,size,lastModified
+  node magnolia_asset_checker.js -i magnolia_exports.zip -o audit
+  node magnolia_asset_checker.js -a dam.xml.gz -p website.xml.gz -o audit
+  node magnolia_asset_checker.js -i exports/ -p extra/stories.xml -o audit
+  node magnolia_asset_checker.js -a dam.xml -p website.xml -o cleanup --manifest --manifest-folder /site/campaigns --quarantine
+  node magnolia_asset_checker.js -a dam.xml -p website.xml -o cleanup --backup
+  node magnolia_asset_checker.js -a dam.xml -p website.xml -o cleanup --extract-binaries archive/unused
+  node magnolia_asset_checker.js -a dam.xml -p website.xml -o audit -c config/asset-rules.yml
+  node magnolia_asset_checker.js -a dam.xml -p website.xml -o audit --modules light-modules/
         `);
 
     program.parse();
     const options = program.opts();
+    validateOptions(options);
 
     // Validate input files
-    const assetPath = path.resolve(options.assets);
-    const pagePath = path.resolve(options.pages);
-    
-    try {
-        await fs.access(assetPath);
-    } catch (error) {
-        console.error(`Error: Asset file '${options.assets}' not found.`);
-        process.exit(1);
+    const assetFiles = [];
+    if (options.assets) {
+        const assetPath = path.resolve(options.assets);
+        
+        try {
+            await fs.access(assetPath);
+        } catch (error) {
+            console.error(`Error: Asset file '${options.assets}' not found.`);
+            process.exit(1);
+        }
+
+        // Validate file extensions
+        const assetExt = MagnoliaInput.getFormatExtension(assetPath);
+        if (!new MagnoliaAssetExtractor().supportedFormats.includes(assetExt)) {
+            console.error(`Error: Asset file must be XML, YAML or JSON (optionally gzip/deflate compressed). Provided: ${assetExt}`);
+            process.exit(1);
+        }
+        assetFiles.push(assetPath);
     }
 
-    try {
-        await fs.access(pagePath);
-    } catch (error) {
-        console.error(`Error: Page file '${options.pages}' not found.`);
+    const pageFiles = await expandPagePatterns(options.pages);
+    if (options.pages.length > 0 && pageFiles.length === 0) {
+        console.error(`Error: No page files found for '${options.pages.join(', ')}'.`);
         process.exit(1);
     }
 
-    // Validate file extensions
-    if (path.extname(assetPath).toLowerCase() !== '.xml') {
-        console.error(`Error: Asset file must be XML. Provided: ${path.extname(assetPath)}`);
-        process.exit(1);
+    for (const pageFile of pageFiles) {
+        const pageExt = MagnoliaInput.getFormatExtension(pageFile);
+        if (!['.xml', '.yaml', '.yml'].includes(pageExt)) {
+            console.error(`Error: Page file '${pageFile}' must be XML or YAML. Provided: ${pageExt}`);
+            process.exit(1);
+        }
     }
 
-    const pageExt = path.extname(pagePath).toLowerCase();
-    if (!['.xml', '.yaml', '.yml'].includes(pageExt)) {
-        console.error(`Error: Page file must be XML or YAML. Provided: ${pageExt}`);
-        process.exit(1);
+    // Sort the contents of ZIP archives and export directories into DAM and page exports
+    const bundle = new MagnoliaExportBundle();
+    for (const input of options.input) {
+        try {
+            await bundle.add(input);
+        } catch (error) {
+            console.error(`Error: Cannot open input '${input}': ${error.message}`);
+            await bundle.cleanup();
+            process.exit(1);
+        }
     }
+    assetFiles.push(...bundle.assetFiles);
+    pageFiles.push(...bundle.pageFiles);
 
-    // Validate format option
-    if (!['csv', 'json', 'txt'].includes(options.format.toLowerCase())) {
-        console.error(`Error: Unsupported output format '${options.format}'. Supported: csv, json, txt`);
+    for (const modulesPath of options.modules) {
+        try {
+            await bundle.addModules(modulesPath);
+        } catch (error) {
+            console.error(`Error: Cannot open light modules '${modulesPath}': ${error.message}`);
+            await bundle.cleanup();
+            process.exit(1);
+        }
+    }
+
+    if (options.input.length > 0) {
+        console.log(`Input bundle: ${bundle.assetFiles.length} DAM export(s), ${bundle.pageFiles.length} page export(s)`);
+        for (const file of bundle.unrecognized) {
+            console.warn(`⚠️  Skipped ${file.name}: ${file.reason}`);
+        }
+    }
+
+    if (assetFiles.length === 0 || pageFiles.length === 0) {
+        console.error('Error: At least one DAM export and one page export are required (use -a/-p or -i).');
+        await bundle.cleanup();
         process.exit(1);
     }
 
-    console.log('Analyzing Magnolia exports...\n');
+    try {
+        await runAnalysis(options, assetFiles, pageFiles, bundle);
+    } finally {
+        await bundle.cleanup();
+    }
+}
 
-    // Extract data
-    const checker = new MagnoliaAssetChecker();
-    
-    console.log('1. Extracting assets from asset export...');
-    const assets = await checker.extractAssetsFromXml(assetPath);
-    
-    console.log('2. Searching for asset UUIDs in page export...');
-    const assetUUIDs = assets.map(asset => asset.uuid);
-    const referencedUUIDs = await checker.findReferencedAssetUUIDs(pagePath, assetUUIDs);
-    
-    console.log('3. Comparing assets against page references...');
-    const analysis = checker.analyzeAssets(assets, referencedUUIDs);
+/**
+ * Load the config file given with -c, or the project config in the working directory if there is one
+ * Returns null with --no-config or when there is no config file.
+ */
+async function loadConfig(configOption) {
+    if (configOption === false) {
+        return null;
+    }
 
-    console.log(`\nResults:`);
-    console.log(`- Total unique assets: ${analysis.allAssets.length}`);
-    console.log(`- Asset UUIDs searched: ${assetUUIDs.length}`);
-    console.log(`- Assets used in pages: ${analysis.referencedAssets.length}`);
-    console.log(`- Unused assets: ${analysis.unusedAssets.length}`);
+    const configFile = configOption || await MagnoliaAssetConfig.find();
+    if (!configFile) {
+        return null;
+    }
 
-    // Generate output filenames and write all three reports
+    const config = await MagnoliaAssetConfig.load(configFile);
+    console.log(`Config: ${configFile} (${config.rules.length} rule(s))`);
+    return config;
+}
+
+/**
+ * Write the separate CSV, JSON or TXT reports: one file per asset list, folders, broken references and duplicates
+ */
+async function writeReports(checker, analysis, options, config) {
+    // Generate output filenames and write all reports
     const unusedFile = checker.generateOutputFilename(options.output, 'unused', options.format);
     const allAssetsFile = checker.generateOutputFilename(options.output, 'all_assets', options.format);
     const referencedFile = checker.generateOutputFilename(options.output, 'referenced', options.format);
+    const foldersFile = checker.generateOutputFilename(options.output, 'folders', options.format);
+    const brokenFile = checker.generateOutputFilename(options.output, 'broken', options.format);
+    const duplicatesFile = checker.generateOutputFilename(options.output, 'duplicates', options.format);
+    const ignoredFile = config ? checker.generateOutputFilename(options.output, 'ignored', options.format) : null;
 
     console.log(`\nGenerating reports...`);
     
     // Write unused assets report
-    await checker.writeResults(analysis.unusedAssets, unusedFile, options.format, 'Unused Assets');
+    await checker.writeResults(analysis.unusedAssets, unusedFile, options.format, 'Unused Assets', options.fields);
     
     // Write all assets report
-    await checker.writeResults(analysis.allAssets, allAssetsFile, options.format, 'All Assets');
+    await checker.writeResults(analysis.allAssets, allAssetsFile, options.format, 'All Assets', options.fields);
     
     // Write referenced assets report
-    await checker.writeResults(analysis.referencedAssets, referencedFile, options.format, 'Referenced Assets');
+    await checker.writeResults(analysis.referencedAssets, referencedFile, options.format, 'Referenced Assets', options.fields);
+    
+    // Write folder rollup report (--fields only applies to the asset reports)
+    await checker.writeResults(analysis.folderRollup, foldersFile, options.format, 'Folders', FOLDER_ROLLUP_FIELDS);
 
-    if (analysis.unusedAssets.length === 0) {
-        console.log('\n✅ Great! All assets are being used.');
-    } else {
-        console.log(`\n🧹 Found ${analysis.unusedAssets.length} unused assets that could potentially be cleaned up.`);
+    // Write broken references report: page references to assets missing from the DAM export
+    await checker.writeResults(analysis.brokenReferences, brokenFile, options.format, 'Broken References', BROKEN_REFERENCE_FIELDS);
+
+    // Write duplicates report: one row per copy, grouped, with whether the copy is referenced
+    await checker.writeResults(checker.flattenDuplicates(analysis.duplicates), duplicatesFile, options.format, 'Duplicates', DUPLICATE_FIELDS);
+
+    // Write ignored assets report, always with the rule that matched
+    if (ignoredFile) {
+        const ignoredFields = options.fields
+            ? [...options.fields, ...['ignoreRule', 'ignoreReason'].filter(field => !options.fields.includes(field))]
+            : null;
+        await checker.writeResults(analysis.ignoredAssets, ignoredFile, options.format, 'Ignored Assets', ignoredFields);
     }
-    
+
+    printCleanupSummary(analysis);
     console.log(`\n📊 Reports generated:`);
     console.log(`   - All assets: ${allAssetsFile}`);
     console.log(`   - Referenced assets: ${referencedFile}`);
     console.log(`   - Unused assets: ${unusedFile}`);
+    console.log(`   - Folder rollup: ${foldersFile}`);
+    console.log(`   - Broken references: ${brokenFile}`);
+    console.log(`   - Duplicates: ${duplicatesFile}`);
+    if (ignoredFile) {
+        console.log(`   - Ignored assets: ${ignoredFile}`);
+    }
 }
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    process.exit(1);
-});
+/**
+ * Print whether there is anything to clean up
+ */
+function printCleanupSummary(analysis) {
+    if (analysis.unusedAssets.length === 0) {
+        console.log('\n✅ Great! All assets are being used.');
+    } else {
+        console.log(`\n🧹 Found ${analysis.unusedAssets.length} unused assets that could potentially be cleaned up.`);
+    }
+}
+
+/**
+ * Run the analysis on resolved input files and write the reports
+ */
+async function runAnalysis(options, assetFiles, pageFiles, bundle) {
+    const config = await loadConfig(options.config);
+
+    console.log('Analyzing Magnolia exports...\n');
+
+    const checker = new MagnoliaAssetChecker({ config });
+    const analysis = await checker.analyzeExports(assetFiles, pageFiles, bundle.moduleDirs);
+
+    console.log(`\nResults:`);
+    console.log(`- Total unique assets: ${analysis.allAssets.length}`);
+    console.log(`- Asset UUIDs searched: ${analysis.assetUUIDsSearched}`);
+    console.log(`- Page exports scanned: ${pageFiles.length}`);
+    console.log(`- Assets used in pages${bundle.moduleDirs.length > 0 ? ' or code' : ''}: ${analysis.referencedAssets.length}`);
+    if (bundle.moduleDirs.length > 0) {
+        const codeReferenced = analysis.referencedAssets.filter(asset => asset.referenceTypes && asset.referenceTypes.includes('code'));
+        console.log(`- Assets referenced by code: ${codeReferenced.length}`);
+    }
+    console.log(`- Unused assets: ${analysis.unusedAssets.length}`);
+    if (config) {
+        console.log(`- Ignored by config: ${analysis.ignoredAssets.length}`);
+    }
+    console.log(`- Broken references: ${analysis.brokenReferences.length} (${new Set(analysis.brokenReferences.map(reference => reference.uuid)).size} missing assets)`);
+    console.log(`- Duplicate groups: ${analysis.duplicates.length}`);
+    for (const [match, label] of Object.entries(DUPLICATE_MATCHES)) {
+        const groups = analysis.duplicates.filter(group => group.match === match);
+        if (groups.length > 0) {
+            const unusedCopies = groups.reduce((sum, group) => sum + group.unusedCopies, 0);
+            console.log(`  - ${label}: ${groups.length} group(s), ${unusedCopies} unused copies`);
+        }
+    }
+
+    const { storage } = analysis;
+    console.log(`\nStorage:`);
+    console.log(`- Total: ${formatBytes(storage.totalBytes)} in ${storage.totalAssets} assets`);
+    console.log(`- Referenced: ${formatBytes(storage.referencedBytes)} in ${storage.referencedAssets} assets`);
+    console.log(`- Unused: ${formatBytes(storage.unusedBytes)} in ${storage.unusedAssets} assets`);
+    if (config) {
+        console.log(`- Ignored: ${formatBytes(storage.ignoredBytes)} in ${storage.ignoredAssets} assets`);
+    }
+    for (const category of storage.categories.filter(entry => entry.totalAssets > 0)) {
+        console.log(`- ${category.label}: ${category.totalAssets} assets, ${formatBytes(category.totalBytes)} ` +
+            `(${category.unusedAssets} unused, ${formatBytes(category.unusedBytes)})`);
+    }
+
+    const format = options.format.toLowerCase();
+    if (format === 'html' || format === 'xlsx') {
+        const reportFile = checker.generateOutputFilename(options.output, 'report', format);
+        const details = {
+            inputs: {
+                assets: assetFiles.map(file => typeof file === 'string' ? path.basename(file) : file.name),
+                pages: pageFiles.map(file => typeof file === 'string' ? path.basename(file) : file.name),
+                modules: bundle.moduleDirs.map(dir => dir.name)
+            },
+            config: config ? config.source : null,
+            fields: options.fields
+        };
+        console.log(`\nGenerating report...`);
+        if (format === 'html') {
+            await checker.writeHtmlReport(analysis, reportFile, details);
+        } else {
+            await checker.buildWorkbook(analysis, details).write(reportFile);
+        }
+        printCleanupSummary(analysis);
+        console.log(`\n📊 Report generated: ${reportFile}`);
+    } else {
+        await writeReports(checker, analysis, options, config);
+    }
+
+    if (options.manifest) {
+        await writeDeletionManifest(checker, analysis, options);
+    }
+
+    if (options.backup) {
+        await writeUnusedBackups(checker, assetFiles, analysis, options);
+    }
+
+    if (options.extractBinaries) {
+        await writeBinaries(checker, assetFiles, analysis, options);
+    }
+
+    if (bundle.unrecognized.length > 0) {
+        console.log(`\n⚠️  ${bundle.unrecognized.length} file(s) in the input bundle were not recognised as Magnolia exports and were not analysed.`);
+    }
+}
 
 if (require.main === module) {
+    // Only when run directly: a library must not install process-wide handlers
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+        process.exit(1);
+    });
+
     main().catch(error => {
         console.error('Error:', error.message);
         process.exit(1);
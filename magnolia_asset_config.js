@@ -0,0 +1,175 @@
+/**
+ * Magnolia Asset Config - Project configuration with ignore rules and protected-asset allowlists
+ * Unused assets that match a rule are reported as ignored, with the reason, instead of as unused.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const picomatch = require('picomatch');
+const { MagnoliaInputError, MagnoliaParseError } = require('./magnolia_errors');
+
+// Looked up in the working directory when no config file is given
+const CONFIG_FILE_NAMES = ['.magnolia-asset-checker.yml', '.magnolia-asset-checker.yaml'];
+
+// Asset fields that ignore rules can match with a glob
+const GLOB_FIELDS = ['location', 'fileName'];
+
+class MagnoliaAssetConfig {
+    /**
+     * @param {Object} config - parsed config file
+     *   ignore - glob rules: {location: glob, reason} or {fileName: glob, reason}
+     *   excludeMimeTypes - MIME types or globs such as "image/x-icon" or "font/*"
+     *   allowlist - asset UUIDs, or {uuid, reason} objects
+     *   protectedFolders - DAM folders (e.g. "/site/email") whose assets are never reported as unused
+     * @param {string} source - file the config was loaded from, for error messages
+     */
+    constructor(config = {}, source = null) {
+        this.source = source;
+        this.rules = [];
+
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw this._invalid('expected a mapping with ignore, excludeMimeTypes, allowlist and/or protectedFolders');
+        }
+
+        for (const entry of this._list(config, 'allowlist')) {
+            const { uuid, reason } = entry && typeof entry === 'object' ? entry : { uuid: entry };
+            if (!uuid) {
+                throw this._invalid('allowlist entries need a uuid');
+            }
+            const expected = String(uuid).toLowerCase();
+            this.rules.push({
+                type: 'allowlist',
+                reason: reason || 'Allowlisted UUID',
+                test: asset => Boolean(asset.uuid) && asset.uuid.toLowerCase() === expected
+            });
+        }
+
+        for (const entry of this._list(config, 'protectedFolders')) {
+            const { folder, reason } = entry && typeof entry === 'object' ? entry : { folder: entry };
+            if (!folder) {
+                throw this._invalid('protectedFolders entries need a folder');
+            }
+            const prefix = normalizeFolder(String(folder));
+            this.rules.push({
+                type: 'protectedFolder',
+                reason: reason || `Protected folder ${prefix}`,
+                test: asset => {
+                    const location = MagnoliaAssetConfig.getFolder(asset);
+                    return prefix === '/' || location === prefix || location.startsWith(prefix + '/');
+                }
+            });
+        }
+
+        for (const entry of this._list(config, 'excludeMimeTypes')) {
+            const { mimeType, reason } = entry && typeof entry === 'object' ? entry : { mimeType: entry };
+            if (!mimeType) {
+                throw this._invalid('excludeMimeTypes entries need a mimeType');
+            }
+            const isMatch = picomatch(String(mimeType), { nocase: true });
+            this.rules.push({
+                type: 'mimeType',
+                reason: reason || `Excluded MIME type ${mimeType}`,
+                test: asset => Boolean(asset.mimeType) && isMatch(asset.mimeType)
+            });
+        }
+
+        for (const entry of this._list(config, 'ignore')) {
+            const field = GLOB_FIELDS.find(name => entry && typeof entry === 'object' && entry[name]);
+            if (!field) {
+                throw this._invalid(`ignore rules need a ${GLOB_FIELDS.join(' or ')} glob`);
+            }
+            const pattern = String(entry[field]);
+            const isMatch = picomatch(pattern, { nocase: true, dot: true });
+            this.rules.push({
+                type: 'ignore',
+                reason: entry.reason || `${field} matches ${pattern}`,
+                test: asset => isMatch(field === 'location' ? MagnoliaAssetConfig.getFolder(asset) : asset.fileName || '')
+            });
+        }
+    }
+
+    /**
+     * Load a config file (YAML, or JSON which is valid YAML)
+     */
+    static async load(filePath) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            throw new MagnoliaInputError(`Cannot read config file '${filePath}': ${error.message}`, { file: filePath, cause: error });
+        }
+
+        let config;
+        try {
+            config = yaml.load(content) || {};
+        } catch (error) {
+            throw new MagnoliaParseError(`Cannot parse config file '${filePath}': ${error.message}`, { file: filePath, cause: error });
+        }
+        return new MagnoliaAssetConfig(config, filePath);
+    }
+
+    /**
+     * Find the project config file in a directory; returns its path or null
+     */
+    static async find(directory = process.cwd()) {
+        for (const fileName of CONFIG_FILE_NAMES) {
+            const filePath = path.join(directory, fileName);
+            try {
+                await fs.access(filePath);
+                return filePath;
+            } catch (error) {
+                // Try the next name
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the DAM folder of an asset as "/site/images" ("/" for assets at the root)
+     */
+    static getFolder(asset) {
+        const segments = !asset.location || asset.location === 'root' ? [] : asset.location.split('/');
+        if (segments[0] === 'jcr:root') {
+            segments.shift();
+        }
+        return normalizeFolder(segments.join('/'));
+    }
+
+    /**
+     * Get the first rule matching an asset as {type, reason}, or null if no rule matches
+     * Allowlisted UUIDs are checked first, then protected folders, MIME types and glob rules.
+     */
+    match(asset) {
+        const rule = this.rules.find(candidate => candidate.test(asset));
+        return rule ? { type: rule.type, reason: rule.reason } : null;
+    }
+
+    isEmpty() {
+        return this.rules.length === 0;
+    }
+
+    _list(config, key) {
+        const value = config[key];
+        if (value === undefined || value === null) {
+            return [];
+        }
+        if (!Array.isArray(value)) {
+            throw this._invalid(`${key} must be a list`);
+        }
+        return value;
+    }
+
+    _invalid(message) {
+        return new MagnoliaParseError(`Invalid config${this.source ? ` '${this.source}'` : ''}: ${message}`, { file: this.source || undefined });
+    }
+}
+
+function normalizeFolder(folder) {
+    const segments = folder.split('/').filter(Boolean);
+    return '/' + segments.join('/');
+}
+
+MagnoliaAssetConfig.CONFIG_FILE_NAMES = CONFIG_FILE_NAMES;
+
+module.exports = MagnoliaAssetConfig;
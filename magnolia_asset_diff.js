@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * Magnolia Asset Diff - Compare two analysis runs to show what changed since the last audit
+ * Each side is either a saved result JSON file or a set of DAM and page exports to analyze.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { program } = require('commander');
+const MagnoliaAssetChecker = require('./magnolia_asset_checker');
+const MagnoliaExportBundle = require('./magnolia_export_bundle');
+const MagnoliaInput = require('./magnolia_input');
+const { MagnoliaInputError } = require('./magnolia_errors');
+
+// Change types in report order
+const CHANGE_TYPES = ['became_unused', 'became_referenced', 'became_ignored', 'added', 'removed', 'moved'];
+
+// Status changes by the status an asset has now
+const STATUS_CHANGES = { unused: 'became_unused', referenced: 'became_referenced', ignored: 'became_ignored' };
+
+// Column order of the diff report
+const DIFF_FIELDS = ['change', 'uuid', 'fileName', 'location', 'previousLocation', 'status', 'previousStatus', 'mimeType', 'size'];
+
+class MagnoliaAssetDiff {
+    /**
+     * @param {Object} options
+     *   logger - receives log/warn/error calls instead of the console, also for analyzing exports
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || console;
+        this.checker = new MagnoliaAssetChecker({ logger: this.logger });
+    }
+
+    /**
+     * Load one side of the comparison as a run ({assets, unusedUUIDs, ignoredUUIDs})
+     * inputs is a list of paths ({path, name} objects are accepted too): either one result JSON file,
+     * or DAM and page exports, ZIP archives and export directories that are analyzed first.
+     */
+    async loadRun(inputs) {
+        const files = inputs.map(input => typeof input === 'string' ? { path: input, name: path.basename(input) } : input);
+
+        if (files.length === 1 && MagnoliaInput.getFormatExtension(files[0].name) === '.json') {
+            const data = JSON.parse(await MagnoliaInput.readText(files[0].path));
+            if (MagnoliaAssetDiff.isResultData(data)) {
+                return MagnoliaAssetDiff.fromResults(data, files[0].name);
+            }
+        }
+
+        const bundle = new MagnoliaExportBundle();
+        try {
+            for (const file of files) {
+                const stats = await fs.stat(file.path);
+                if (stats.isDirectory() || path.extname(file.name).toLowerCase() === '.zip') {
+                    await bundle.add(file.path);
+                } else {
+                    await bundle.addFile(file.path, file.name);
+                }
+            }
+
+            for (const file of bundle.unrecognized) {
+                this.logger.warn(`⚠️  Skipped ${file.name}: ${file.reason}`);
+            }
+            if (bundle.assetFiles.length === 0 || bundle.pageFiles.length === 0) {
+                throw new Error(`Expected a result JSON file, or at least one DAM export and one page export (got ${files.map(file => file.name).join(', ')})`);
+            }
+
+            return MagnoliaAssetDiff.fromAnalysis(await this.checker.analyzeExports(bundle.assetFiles, bundle.pageFiles));
+        } finally {
+            await bundle.cleanup();
+        }
+    }
+
+    /**
+     * Check whether parsed JSON is an analysis result rather than a DAM export
+     * Accepts the CLI's all_assets JSON report and the web interface's /analyze response.
+     */
+    static isResultData(data) {
+        if (data && data.assets && Array.isArray(data.assets.all)) {
+            return true;
+        }
+        return Array.isArray(data) && data.every(asset => asset && typeof asset === 'object' && 'uuid' in asset);
+    }
+
+    /**
+     * Build a run from saved results
+     * The /analyze response lists unused and ignored assets explicitly; in an all_assets report,
+     * referenced assets are the ones carrying reference information and ignored ones carry an ignoreReason.
+     * @throws {MagnoliaInputError} an all_assets report without the referencedIn/referenceCount columns (written with --fields)
+     */
+    static fromResults(data, fileName = 'results') {
+        if (data.assets && Array.isArray(data.assets.all)) {
+            return {
+                assets: data.assets.all,
+                unusedUUIDs: new Set((data.assets.unused || []).map(asset => asset.uuid)),
+                ignoredUUIDs: new Set((data.assets.ignored || []).map(asset => asset.uuid))
+            };
+        }
+
+        // Without these columns every asset would look unused
+        if (data.length > 0 && !data.some(asset => 'referencedIn' in asset || 'referenceCount' in asset)) {
+            throw new MagnoliaInputError(
+                `Cannot tell referenced from unused assets in '${fileName}': no asset has a referencedIn or referenceCount field. ` +
+                'Use an all_assets report written without --fields (or with referenceCount among them), or compare the exports instead.',
+                { file: fileName }
+            );
+        }
+
+        const isReferenced = (asset) => (Array.isArray(asset.referencedIn) && asset.referencedIn.length > 0) ||
+            asset.referenceCount > 0;
+        const isIgnored = (asset) => !isReferenced(asset) && Boolean(asset.ignoreReason || asset.ignoreRule);
+        return {
+            assets: data,
+            unusedUUIDs: new Set(data.filter(asset => !isReferenced(asset) && !isIgnored(asset)).map(asset => asset.uuid)),
+            ignoredUUIDs: new Set(data.filter(isIgnored).map(asset => asset.uuid))
+        };
+    }
+
+    /**
+     * Build a run from the result of MagnoliaAssetChecker.analyzeAssets
+     */
+    static fromAnalysis(analysis) {
+        return {
+            assets: analysis.allAssets,
+            unusedUUIDs: new Set(analysis.unusedAssets.map(asset => asset.uuid)),
+            ignoredUUIDs: new Set(analysis.ignoredAssets.map(asset => asset.uuid))
+        };
+    }
+
+    /**
+     * Compare two runs, returning one row per change ({change, uuid, fileName, location, ...})
+     * Each asset is 'referenced', 'unused' or 'ignored' (kept out of the unused list by a config rule) in a run;
+     * a status change is reported by the new status. An asset that moved and also changed status gets a row for each change.
+     */
+    compare(previousRun, currentRun) {
+        const previousAssets = new Map(previousRun.assets.map(asset => [asset.uuid, asset]));
+        const currentAssets = new Map(currentRun.assets.map(asset => [asset.uuid, asset]));
+        const statusOf = (run, uuid) => {
+            if (run.unusedUUIDs.has(uuid)) return 'unused';
+            return run.ignoredUUIDs && run.ignoredUUIDs.has(uuid) ? 'ignored' : 'referenced';
+        };
+        const changes = [];
+
+        const addChange = (change, asset, previous) => {
+            changes.push({
+                change: change,
+                uuid: asset.uuid,
+                fileName: asset.fileName || asset.assetName || null,
+                location: previous && change === 'removed' ? null : asset.location || null,
+                previousLocation: previous ? previous.location || null : null,
+                status: change === 'removed' ? null : statusOf(currentRun, asset.uuid),
+                previousStatus: previous ? statusOf(previousRun, asset.uuid) : null,
+                mimeType: asset.mimeType || null,
+                size: asset.size || null
+            });
+        };
+
+        for (const [uuid, asset] of currentAssets) {
+            const previous = previousAssets.get(uuid);
+            if (!previous) {
+                addChange('added', asset, null);
+                continue;
+            }
+
+            const status = statusOf(currentRun, uuid);
+            if (statusOf(previousRun, uuid) !== status) {
+                addChange(STATUS_CHANGES[status], asset, previous);
+            }
+
+            if ((previous.location || '') !== (asset.location || '')) {
+                addChange('moved', asset, previous);
+            }
+        }
+
+        for (const [uuid, asset] of previousAssets) {
+            if (!currentAssets.has(uuid)) {
+                addChange('removed', asset, asset);
+            }
+        }
+
+        return changes.sort((a, b) => CHANGE_TYPES.indexOf(a.change) - CHANGE_TYPES.indexOf(b.change));
+    }
+
+    /**
+     * Count the changes per change type
+     */
+    summarize(changes) {
+        const summary = {};
+        for (const type of CHANGE_TYPES) {
+            summary[type] = changes.filter(change => change.change === type).length;
+        }
+        return summary;
+    }
+}
+
+/**
+ * Collect repeated --previous/--current options into one list
+ */
+function collectOption(value, previous) {
+    return previous.concat([value]);
+}
+
+async function main() {
+    program
+        .name('magnolia-asset-diff')
+        .description('Compare two analysis runs: assets that became unused or referenced, were added, removed or moved')
+        .version('1.0.0')
+        .requiredOption('--previous <path>', 'Earlier run: an all_assets JSON report, or DAM/page exports, ZIP bundles or directories; repeatable', collectOption, [])
+        .requiredOption('--current <path>', 'Later run, in the same forms as --previous; repeatable', collectOption, [])
+        .requiredOption('-o, --output <name>', 'Output file base name (timestamp will be added)')
+        .option('-f, --format <type>', 'Output format: csv, json, txt', 'csv')
+        .addHelpText('after', `
+Examples:
+  node magnolia_asset_diff.js --previous output/may_all_assets_20240531_090000.json --current output/june_all_assets_20240630_090000.json -o monthly
+  node magnolia_asset_diff.js --previous exports/may/ --current exports/june/ -o monthly -f json
+  node magnolia_asset_diff.js --previous dam_may.xml --previous website_may.xml --current dam_june.xml --current website_june.xml -o monthly
+        `);
+
+    program.parse();
+    const options = program.opts();
+
+    if (!['csv', 'json', 'txt'].includes(options.format.toLowerCase())) {
+        console.error(`Error: Unsupported output format '${options.format}'. Supported: csv, json, txt`);
+        process.exit(1);
+    }
+
+    for (const input of [...options.previous, ...options.current]) {
+        try {
+            await fs.access(input);
+        } catch (error) {
+            console.error(`Error: Input '${input}' not found.`);
+            process.exit(1);
+        }
+    }
+
+    const differ = new MagnoliaAssetDiff();
+
+    console.log('1. Loading previous run...');
+    const previousRun = await differ.loadRun(options.previous);
+    console.log('2. Loading current run...');
+    const currentRun = await differ.loadRun(options.current);
+
+    console.log('3. Comparing runs...');
+    const changes = differ.compare(previousRun, currentRun);
+    const summary = differ.summarize(changes);
+
+    console.log(`\nChanges (${previousRun.assets.length} → ${currentRun.assets.length} assets):`);
+    console.log(`- Became unused: ${summary.became_unused}`);
+    console.log(`- Became referenced: ${summary.became_referenced}`);
+    console.log(`- Became ignored: ${summary.became_ignored}`);
+    console.log(`- Added to the DAM: ${summary.added}`);
+    console.log(`- Removed from the DAM: ${summary.removed}`);
+    console.log(`- Moved folders: ${summary.moved}`);
+
+    const outputFile = differ.checker.generateOutputFilename(options.output, 'diff', options.format);
+    await differ.checker.writeResults(changes, outputFile, options.format, 'Changes', DIFF_FIELDS);
+    console.log(`\n📊 Diff report: ${outputFile}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Error:', error.message);
+        process.exit(1);
+    });
+}
+
+MagnoliaAssetDiff.CHANGE_TYPES = CHANGE_TYPES;
+MagnoliaAssetDiff.DIFF_FIELDS = DIFF_FIELDS;
+
+module.exports = MagnoliaAssetDiff;
@@ -1,27 +1,381 @@
 #!/usr/bin/env node
 
 /**
- * Magnolia Asset Extractor - Extract asset files and UUIDs from Magnolia XML exports
+ * Magnolia Asset Extractor - Extract asset files and UUIDs from Magnolia DAM exports (XML, YAML, JSON)
  * Filters for actual asset files only, ignoring metadata and other JCR properties.
  */
 
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const { DOMParser } = require('xmldom');
-const { program } = require('commander');
+const yaml = require('js-yaml');
+const { program, InvalidArgumentError } = require('commander');
+const MagnoliaSystemViewReader = require('./magnolia_system_view_reader');
+const MagnoliaInput = require('./magnolia_input');
+
+/**
+ * Asset metadata fields and the JCR properties they are read from, in order of preference
+ * Each property is looked up on the mgnl:asset node first, then on its jcr:content resource.
+ */
+const METADATA_FIELDS = {
+    mimeType: ['jcr:mimeType'],
+    size: ['size'],
+    width: ['width'],
+    height: ['height'],
+    extension: ['extension'],
+    created: ['mgnl:created', 'jcr:created'],
+    lastModified: ['mgnl:lastModified', 'jcr:lastModified'],
+    lastModifiedBy: ['mgnl:lastModifiedBy'],
+    title: ['title'],
+    description: ['description'],
+    caption: ['caption'],
+    copyright: ['copyright']
+};
+
+// Columns of an asset record: where it is, what it is called and its binary's checksum, then the metadata
+const ASSET_FIELDS = ['fileName', 'uuid', 'assetName', 'location', ...Object.keys(METADATA_FIELDS), 'sha256'];
+
+// YAML without implicit timestamps, so dates keep their text and time zone as in XML exports
+const YAML_SCHEMA = yaml.CORE_SCHEMA.extend({ explicit: [yaml.types.binary] });
 
 class MagnoliaAssetExtractor {
-    constructor() {
-        this.supportedFormats = ['.xml', '.json'];
+    /**
+     * @param {Object} options
+     *   logger - receives log/warn/error calls instead of the console
+     */
+    constructor(options = {}) {
+        this.supportedFormats = ['.xml', '.yaml', '.yml', '.json'];
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Extract asset files from a DAM export, picking the parser from the file extension
+     * XML exports accept options.onProgress(bytesRead, totalBytes) and options.onAsset(asset) while streaming.
+     */
+    async extractAssets(filePath, options = {}) {
+        switch (MagnoliaInput.getFormatExtension(filePath)) {
+            case '.yaml':
+            case '.yml':
+                return this.extractAssetsFromYaml(filePath);
+            case '.json':
+                return this.extractAssetsFromJson(filePath);
+            default:
+                return this.extractAssetsFromXml(filePath, options);
+        }
     }
 
     /**
      * Extract asset files from Magnolia XML export
-     * Only extracts UUIDs from nodes with jcr:primaryType = "mgnl:asset"
+     * Streams the export, so memory use does not grow with the size of the file.
      */
-    async extractAssetsFromXml(filePath) {
+    async extractAssetsFromXml(filePath, options = {}) {
+        const assets = [];
+        await this.streamAssetsFromXml(filePath, (asset) => {
+            assets.push(asset);
+            if (options.onAsset) {
+                options.onAsset(asset);
+            }
+        }, options);
+        return assets;
+    }
+
+    /**
+     * Stream asset records from a Magnolia XML export
+     * Calls onAsset({fileName, uuid, assetName, location, ...metadata, sha256}) for every mgnl:asset node,
+     * in document order, and resolves with the number of assets found. The jcr:data binary is hashed as it streams by.
+     */
+    async streamAssetsFromXml(filePath, onAsset, options = {}) {
+        // Asset nodes waiting to be emitted, in the order they were opened
+        const pending = [];
+        let count = 0;
+
+        const flushPending = () => {
+            while (pending.length > 0 && pending[0].done) {
+                const asset = this._buildAssetRecord(pending.shift());
+                if (asset) {
+                    count++;
+                    onAsset(asset);
+                }
+            }
+        };
+
+        const reader = new MagnoliaSystemViewReader({
+            property: (node, property) => {
+                if (property.name === 'jcr:primaryType' && !node.asset) {
+                    const value = property.values[0];
+                    if (typeof value === 'string' && value.trim() === 'mgnl:asset') {
+                        node.asset = {
+                            assetName: node.name,
+                            location: MagnoliaSystemViewReader.getNodePath(node.parent).join('/') || 'root',
+                            done: false
+                        };
+                        pending.push(node.asset);
+                    }
+                }
+            },
+            valueChunk: (node, property, chunk) => {
+                if (property.name !== 'jcr:data' || node.name !== 'jcr:content' || !node.parent || !node.parent.asset) {
+                    return;
+                }
+                if (!node.binary) {
+                    node.binary = { hash: crypto.createHash('sha256'), decoder: MagnoliaInput.createBase64Decoder() };
+                }
+                node.binary.hash.update(node.binary.decoder.write(chunk));
+            },
+            nodeEnd: (node) => {
+                if (node.name === 'jcr:content' && node.parent && node.parent.asset) {
+                    node.parent.asset.contentProperties = node.properties;
+                    if (node.binary) {
+                        node.binary.hash.update(node.binary.decoder.end());
+                        node.parent.asset.sha256 = node.binary.hash.digest('hex');
+                    }
+                }
+                if (node.asset) {
+                    node.asset.properties = node.properties;
+                    node.asset.done = true;
+                    flushPending();
+                }
+            }
+        });
+
+        await reader.read(await MagnoliaInput.createReadStream(filePath, { onProgress: options.onProgress }));
+        return count;
+    }
+
+    /**
+     * Build the output record for a streamed asset node, mirroring _extractAssetFromAssetNode
+     */
+    _buildAssetRecord(asset) {
+        const uuid = asset.properties['jcr:uuid'];
+        if (!uuid) {
+            return null;
+        }
+
+        const contentProperties = asset.contentProperties || {};
+        return {
+            fileName: asset.properties.fileName || contentProperties.fileName || asset.assetName,
+            uuid: uuid,
+            assetName: asset.assetName,
+            location: asset.location,
+            ...this._collectMetadata(asset.properties, contentProperties),
+            sha256: asset.sha256 || null
+        };
+    }
+
+    /**
+     * Collect the METADATA_FIELDS from the asset node's and jcr:content node's properties
+     * Missing fields are null so every record has the same columns.
+     */
+    _collectMetadata(assetProperties, contentProperties) {
+        const metadata = {};
+
+        for (const [field, propertyNames] of Object.entries(METADATA_FIELDS)) {
+            metadata[field] = null;
+            for (const source of [assetProperties, contentProperties]) {
+                const propertyName = propertyNames.find(name => source[name]);
+                if (propertyName) {
+                    metadata[field] = source[propertyName];
+                    break;
+                }
+            }
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Keep only the requested fields of each result, in the requested order
+     */
+    static selectFields(results, fields) {
+        if (!fields || fields.length === 0) {
+            return results;
+        }
+
+        return results.map(result => {
+            const selected = {};
+            for (const field of fields) {
+                selected[field] = result[field] !== undefined ? result[field] : null;
+            }
+            return selected;
+        });
+    }
+
+    /**
+     * Parse a comma-separated option such as --fields; names outside knownFields are rejected
+     * with commander's InvalidArgumentError, so a typo does not silently become an empty column.
+     */
+    static parseFieldList(value, knownFields = ASSET_FIELDS) {
+        const fields = value.split(',').map(field => field.trim()).filter(Boolean);
+        const unknown = fields.filter(field => !knownFields.includes(field));
+        if (unknown.length > 0) {
+            throw new InvalidArgumentError(`Unknown ${unknown.map(field => `'${field}'`).join(', ')}. Supported: ${knownFields.join(', ')}`);
+        }
+        return fields;
+    }
+
+    /**
+     * Extract asset files from a Magnolia YAML export (Magnolia 6 export format)
+     * Nodes are mappings keyed by node name; scalars and lists are their properties.
+     */
+    async extractAssetsFromYaml(filePath) {
+        const data = await MagnoliaInput.readText(filePath);
+        return this._extractAssetsFromObject(yaml.load(data, { schema: YAML_SCHEMA }));
+    }
+
+    /**
+     * Extract asset files from a JSON DAM dump
+     * Accepts the same node-name-keyed structure as YAML exports, or the
+     * {name, type, identifier, properties: [...], nodes: [...]} shape of the nodes REST endpoint.
+     */
+    async extractAssetsFromJson(filePath) {
+        const data = await MagnoliaInput.readText(filePath);
+        return this._extractAssetsFromObject(JSON.parse(data));
+    }
+
+    /**
+     * Walk a parsed YAML/JSON export and build the same records as the XML extractor
+     */
+    _extractAssetsFromObject(data) {
+        const assets = [];
+        const roots = this._toNodeMap(data);
+
+        const visit = (nodeName, node, ancestors) => {
+            const { properties, children } = this._splitObjectNode(node);
+
+            if (properties['jcr:primaryType'] === 'mgnl:asset' && properties['jcr:uuid']) {
+                const content = children.find(([childName]) => childName === 'jcr:content');
+                const contentProperties = content ? this._splitObjectNode(content[1]).properties : {};
+                // Only YAML exports carry the binary (!!binary); REST JSON leaves it out
+                const data = content ? content[1]['jcr:data'] : null;
+
+                assets.push(this._buildAssetRecord({
+                    assetName: nodeName,
+                    location: ancestors.join('/') || 'root',
+                    properties: properties,
+                    contentProperties: contentProperties,
+                    sha256: data instanceof Uint8Array ? crypto.createHash('sha256').update(data).digest('hex') : null
+                }));
+            }
+
+            const childAncestors = nodeName ? [...ancestors, nodeName] : ancestors;
+            for (const [childName, child] of children) {
+                visit(childName, child, childAncestors);
+            }
+        };
+
+        for (const [rootName, root] of roots) {
+            visit(rootName, root, []);
+        }
+
+        return assets;
+    }
+
+    /**
+     * Normalise the top level of a YAML/JSON export to [name, node] pairs
+     */
+    _toNodeMap(data) {
+        if (Array.isArray(data)) {
+            return data.flatMap(item => this._toNodeMap(item));
+        }
+        if (!data || typeof data !== 'object') {
+            return [];
+        }
+        if (this._isRestNode(data)) {
+            return [[data.name || null, this._fromRestNode(data)]];
+        }
+        // A single node without a name wrapper
+        if (data['jcr:primaryType']) {
+            return [[null, data]];
+        }
+        return Object.entries(data).filter(([, node]) => this._isPlainObject(node));
+    }
+
+    /**
+     * Check for the nodes REST endpoint shape: {name, type, properties: [...], nodes: [...]}
+     */
+    _isRestNode(data) {
+        return Array.isArray(data.properties) && (Array.isArray(data.nodes) || 'type' in data || 'identifier' in data);
+    }
+
+    /**
+     * Convert a nodes REST endpoint node into the node-name-keyed structure
+     */
+    _fromRestNode(restNode) {
+        const node = {};
+
+        if (restNode.type) {
+            node['jcr:primaryType'] = restNode.type;
+        }
+        if (restNode.identifier) {
+            node['jcr:uuid'] = restNode.identifier;
+        }
+        for (const property of restNode.properties || []) {
+            if (property && property.name) {
+                node[property.name] = Array.isArray(property.values) ? property.values : property.value;
+            }
+        }
+        for (const child of restNode.nodes || []) {
+            if (child && child.name) {
+                node[child.name] = this._fromRestNode(child);
+            }
+        }
+
+        return node;
+    }
+
+    /**
+     * Split a YAML/JSON node into its properties (first value as a trimmed string) and child nodes
+     */
+    _splitObjectNode(node) {
+        const properties = {};
+        const children = [];
+
+        for (const [name, value] of Object.entries(node || {})) {
+            if (this._isPlainObject(value)) {
+                children.push([name, value]);
+                continue;
+            }
+
+            const propertyValue = this._normalizePropertyValue(Array.isArray(value) ? value[0] : value);
+            if (propertyValue) {
+                properties[name] = propertyValue;
+            }
+        }
+
+        return { properties, children };
+    }
+
+    /**
+     * Turn a YAML/JSON property value into the string the XML export would hold
+     * Binary values (js-yaml !!binary) are skipped, like jcr:data in the XML path.
+     */
+    _normalizePropertyValue(value) {
+        if (value === null || value === undefined || value instanceof Uint8Array) {
+            return null;
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (typeof value === 'object') {
+            return null;
+        }
+        return String(value).trim() || null;
+    }
+
+    _isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            !(value instanceof Date) && !(value instanceof Uint8Array);
+    }
+
+    /**
+     * Extract asset files from Magnolia XML export by building the full DOM tree
+     * Only extracts UUIDs from nodes with jcr:primaryType = "mgnl:asset".
+     * Kept for small exports and for verifying the streaming path.
+     */
+    async extractAssetsFromXmlDom(filePath) {
         try {
-            const data = await fs.readFile(filePath, 'utf8');
+            const data = await MagnoliaInput.readText(filePath);
             const parser = new DOMParser();
             const doc = parser.parseFromString(data, 'text/xml');
             
@@ -56,7 +410,7 @@ class MagnoliaAssetExtractor {
             return assets;
             
         } catch (error) {
-            console.error(`Error reading XML file: ${error.message}`);
+            this.logger.error(`Error reading XML file: ${error.message}`);
             return [];
         }
     }
@@ -68,6 +422,8 @@ class MagnoliaAssetExtractor {
         let uuid = null;
         let fileName = null;
         let location = 'root';
+        const assetProperties = {};
+        let contentProperties = {};
         
         // Get the asset name from the node's sv:name attribute
         const assetName = assetNode.getAttribute('sv:name');
@@ -98,6 +454,10 @@ class MagnoliaAssetExtractor {
                 const propName = child.getAttribute('sv:name');
                 const propValue = this._getPropertyValue(child);
                 
+                if (propName && propValue) {
+                    assetProperties[propName] = propValue;
+                }
+                
                 if (propName === 'jcr:uuid' && propValue) {
                     uuid = propValue;
                 }
@@ -107,13 +467,13 @@ class MagnoliaAssetExtractor {
                 }
             }
             
-            // Also check jcr:content child node for fileName
+            // Also check jcr:content child node for fileName and resource metadata
             if (child.nodeType === 1 && child.tagName === 'sv:node' && 
                 child.getAttribute('sv:name') === 'jcr:content') {
                 
-                const contentProps = this._extractContentProperties(child);
-                if (contentProps.fileName && !fileName) {
-                    fileName = contentProps.fileName;
+                contentProperties = this._extractContentProperties(child);
+                if (contentProperties.fileName && !fileName) {
+                    fileName = contentProperties.fileName;
                 }
             }
         }
@@ -123,13 +483,24 @@ class MagnoliaAssetExtractor {
             return {
                 fileName: fileName || assetName,
                 uuid: uuid,
-                location: location
+                assetName: assetName,
+                location: location,
+                ...this._collectMetadata(assetProperties, contentProperties),
+                sha256: contentProperties['jcr:data'] ? this._hashBase64(contentProperties['jcr:data']) : null
             };
         }
         
         return null;
     }
 
+    /**
+     * SHA-256 (hex) of the bytes encoded in a base64 binary value
+     */
+    _hashBase64(text) {
+        const decoder = MagnoliaInput.createBase64Decoder();
+        return crypto.createHash('sha256').update(decoder.write(text)).update(decoder.end()).digest('hex');
+    }
+
     /**
      * Extract properties from jcr:content node
      */
@@ -198,9 +569,9 @@ class MagnoliaAssetExtractor {
     /**
      * Write results to output file
      */
-    async writeResults(results, outputFile, formatType = 'csv') {
+    async writeResults(results, outputFile, formatType = 'csv', fields = null) {
         if (!results || results.length === 0) {
-            console.log('No asset files found.');
+            this.logger.log('No asset files found.');
             return;
         }
 
@@ -208,15 +579,17 @@ class MagnoliaAssetExtractor {
         const dir = path.dirname(outputFile);
         await fs.mkdir(dir, { recursive: true });
 
+        const rows = MagnoliaAssetExtractor.selectFields(results, fields);
+
         switch (formatType.toLowerCase()) {
             case 'csv':
-                await this._writeCsv(results, outputFile);
+                await this._writeCsv(rows, outputFile, fields);
                 break;
             case 'json':
-                await this._writeJson(results, outputFile);
+                await this._writeJson(rows, outputFile);
                 break;
             default:
-                await this._writeText(results, outputFile);
+                await this._writeText(rows, outputFile);
                 break;
         }
     }
@@ -224,15 +597,15 @@ class MagnoliaAssetExtractor {
     /**
      * Write results as CSV
      */
-    async _writeCsv(results, outputFile) {
+    async _writeCsv(results, outputFile, columns = null) {
         if (!results || results.length === 0) return;
 
-        // Get all unique keys from all results
+        // Get all unique keys from all results, unless the columns were chosen explicitly
         const allKeys = new Set();
         results.forEach(result => {
             Object.keys(result).forEach(key => allKeys.add(key));
         });
-        const sortedKeys = Array.from(allKeys).sort();
+        const sortedKeys = columns && columns.length > 0 ? columns : Array.from(allKeys).sort();
 
         // Create CSV content
         let csvContent = sortedKeys.join(',') + '\n';
@@ -253,7 +626,7 @@ class MagnoliaAssetExtractor {
         });
 
         await fs.writeFile(outputFile, csvContent, 'utf8');
-        console.log(`Asset results written to: ${outputFile}`);
+        this.logger.log(`Asset results written to: ${outputFile}`);
     }
 
     /**
@@ -262,7 +635,7 @@ class MagnoliaAssetExtractor {
     async _writeJson(results, outputFile) {
         const jsonContent = JSON.stringify(results, null, 2);
         await fs.writeFile(outputFile, jsonContent, 'utf8');
-        console.log(`Asset results written to: ${outputFile}`);
+        this.logger.log(`Asset results written to: ${outputFile}`);
     }
 
     /**
@@ -279,22 +652,25 @@ class MagnoliaAssetExtractor {
         });
 
         await fs.writeFile(outputFile, textContent, 'utf8');
-        console.log(`Asset results written to: ${outputFile}`);
+        this.logger.log(`Asset results written to: ${outputFile}`);
     }
 }
 
 async function main() {
     program
         .name('magnolia-asset-extractor')
-        .description('Extract asset files and UUIDs from Magnolia XML exports')
+        .description('Extract asset files and UUIDs from Magnolia DAM exports (XML, YAML or JSON)')
         .version('1.0.0')
-        .requiredOption('-i, --input <file>', 'Input Magnolia XML export file')
+        .requiredOption('-i, --input <file>', 'Input Magnolia DAM export file (XML, YAML or JSON, optionally .gz)')
         .requiredOption('-o, --output <name>', 'Output file base name (timestamp will be added)')
         .option('-f, --format <type>', 'Output format: csv, json, txt', 'csv')
+        .option('--fields <list>', `Comma-separated columns to output (default: all). Metadata: ${Object.keys(METADATA_FIELDS).join(', ')}`, value => MagnoliaAssetExtractor.parseFieldList(value))
         .addHelpText('after', `
             Examples:
             node magnolia_asset_extractor.js -i magnolia_export.xml -o assets
             node magnolia_asset_extractor.js -i export.xml -o my_assets -f json
+            node magnolia_asset_extractor.js -i dam.yaml -o my_assets
+            node magnolia_asset_extractor.js -i export.xml -o my_assets --fields fileName,uuid,mimeType,size
         `);
 
     program.parse();
@@ -310,9 +686,10 @@ async function main() {
         process.exit(1);
     }
 
-    const ext = path.extname(inputPath).toLowerCase();
-    if (ext !== '.xml') {
-        console.error(`Error: This tool only supports Magnolia XML exports. Provided: ${ext}`);
+    const ext = MagnoliaInput.getFormatExtension(inputPath);
+    const extractor = new MagnoliaAssetExtractor();
+    if (!extractor.supportedFormats.includes(ext)) {
+        console.error(`Error: This tool supports Magnolia XML, YAML and JSON exports (optionally gzip/deflate compressed). Provided: ${ext}`);
         process.exit(1);
     }
 
@@ -323,32 +700,34 @@ async function main() {
     }
 
     // Extract assets
-    const extractor = new MagnoliaAssetExtractor();
-    const assets = await extractor.extractAssetsFromXml(inputPath);
+    const assets = await extractor.extractAssets(inputPath);
 
     if (!assets || assets.length === 0) {
-        console.log('No asset files found in the XML export.');
+        console.log('No asset files found in the export.');
         process.exit(1);
     }
 
     // Generate output filename and write results
     const outputFile = extractor.generateOutputFilename(options.output, options.format);
-    await extractor.writeResults(assets, outputFile, options.format);
+    await extractor.writeResults(assets, outputFile, options.format, options.fields);
 
     console.log(`Extracted ${assets.length} asset files from Magnolia export`);
 }
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    process.exit(1);
-});
-
 if (require.main === module) {
+    // Only when run directly: a library must not install process-wide handlers
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+        process.exit(1);
+    });
+
     main().catch(error => {
         console.error('Error:', error.message);
         process.exit(1);
     });
 }
 
+MagnoliaAssetExtractor.METADATA_FIELDS = METADATA_FIELDS;
+MagnoliaAssetExtractor.ASSET_FIELDS = ASSET_FIELDS;
+
 module.exports = MagnoliaAssetExtractor;
\ No newline at end of file
@@ -0,0 +1,213 @@
+/**
+ * Magnolia Binary Extractor - Write the jcr:data binaries of selected assets from a system-view DAM export to disk
+ * Files are laid out like the DAM (<dir>/<location>/<fileName>) and decoded while the export streams by,
+ * so even large videos never have to fit in memory.
+ */
+
+const crypto = require('crypto');
+const { once } = require('events');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const MagnoliaSystemViewReader = require('./magnolia_system_view_reader');
+const MagnoliaInput = require('./magnolia_input');
+
+// Columns of the extracted files manifest
+const MANIFEST_FIELDS = ['path', 'uuid', 'location', 'fileName', 'mimeType', 'size', 'sha256'];
+
+// Name of the checksum file written next to the extracted files, in `sha256sum -c` format
+const CHECKSUM_FILE_NAME = 'SHA256SUMS';
+
+// Characters that are not allowed in file names on common file systems, and path separators
+const UNSAFE_FILE_NAME_CHARACTERS = /[<>:"|?*\\/\x00-\x1f]/g;
+
+class MagnoliaBinaryExtractor {
+    /**
+     * @param {Object} options
+     *   logger - receives log/warn/error calls instead of the console
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Plan where each asset's file goes, relative to the output directory
+     * Returns a Map of UUID -> relative path; assets that would share a path get their UUID added to the name.
+     */
+    planTargets(assets) {
+        const targets = new Map();
+        const usedPaths = new Set();
+
+        for (const asset of assets) {
+            if (!asset.uuid || asset.uuid === 'N/A' || targets.has(asset.uuid)) {
+                continue;
+            }
+
+            const folders = !asset.location || asset.location === 'root' ? [] : asset.location.split('/').filter(Boolean);
+            if (folders[0] === 'jcr:root') {
+                folders.shift();
+            }
+            const fileName = safeSegment(asset.fileName || asset.assetName || asset.uuid);
+
+            let relativePath = path.join(...folders.map(safeSegment), fileName);
+            if (usedPaths.has(relativePath.toLowerCase())) {
+                const extension = path.extname(fileName);
+                relativePath = path.join(path.dirname(relativePath), safeSegment(`${path.basename(fileName, extension)}.${asset.uuid}${extension}`));
+            }
+
+            usedPaths.add(relativePath.toLowerCase());
+            targets.set(asset.uuid, relativePath);
+        }
+
+        return targets;
+    }
+
+    /**
+     * Write the binaries of the given asset records found in one system-view XML export to outputDir
+     * Returns manifest entries ({path, uuid, location, fileName, mimeType, size, sha256}) for the files written;
+     * size is the decoded byte count. Assets that are not in the export, or have no jcr:data, are left out,
+     * and so are assets whose target path would end up outside outputDir (with a warning).
+     */
+    async extractBinaries(damExportPath, assets, outputDir, targets = this.planTargets(assets)) {
+        const selected = new Map(assets.filter(asset => targets.has(asset.uuid)).map(asset => [asset.uuid, asset]));
+        const root = path.resolve(outputDir);
+
+        const entries = [];
+        // Files still being flushed to disk, and the one currently written
+        const closing = [];
+        let current = null;
+        let failure = null;
+
+        const reader = new MagnoliaSystemViewReader({
+            property: (node, property) => {
+                if (property.name === 'jcr:uuid' && selected.has(node.properties['jcr:uuid'])) {
+                    node.selectedAsset = selected.get(node.properties['jcr:uuid']);
+                }
+            },
+            valueChunk: (node, property, chunk) => {
+                const asset = node.name === 'jcr:content' && node.parent && node.parent.selectedAsset;
+                if (property.name !== 'jcr:data' || !asset || node.skipped) {
+                    return;
+                }
+
+                if (!node.binary) {
+                    const relativePath = targets.get(asset.uuid);
+                    const filePath = path.resolve(root, relativePath);
+                    if (!filePath.startsWith(root + path.sep)) {
+                        this.logger.warn(`⚠️  Skipped ${asset.uuid}: target path '${relativePath}' is outside ${root}`);
+                        node.skipped = true;
+                        return;
+                    }
+                    // Folders are only created for assets that turn out to have a binary
+                    fsSync.mkdirSync(path.dirname(filePath), { recursive: true });
+                    node.binary = {
+                        asset,
+                        relativePath,
+                        filePath,
+                        output: fsSync.createWriteStream(filePath + '.partial'),
+                        decoder: MagnoliaInput.createBase64Decoder(),
+                        hash: crypto.createHash('sha256'),
+                        size: 0
+                    };
+                    node.binary.output.on('error', error => {
+                        failure = failure || error;
+                    });
+                    current = node.binary;
+                }
+                this._write(node.binary, node.binary.decoder.write(chunk));
+            },
+            nodeEnd: (node) => {
+                if (!node.binary) {
+                    return;
+                }
+
+                const binary = node.binary;
+                this._write(binary, binary.decoder.end());
+                current = null;
+                // Handled right away: a failed close or rename stops the read at the next chunk
+                closing.push(this._finish(binary).catch(error => {
+                    failure = failure || error;
+                }));
+
+                const asset = binary.asset;
+                entries.push({
+                    path: binary.relativePath.split(path.sep).join('/'),
+                    uuid: asset.uuid,
+                    location: asset.location,
+                    fileName: asset.fileName || null,
+                    mimeType: asset.mimeType || null,
+                    size: binary.size,
+                    sha256: binary.hash.digest('hex')
+                });
+                // Each asset is written once, even if a later export contains it again
+                selected.delete(asset.uuid);
+            }
+        });
+
+        // Wait for the file being written to catch up before the next chunk of the export is parsed
+        const afterChunk = async () => {
+            if (current && current.output.writableNeedDrain) {
+                await once(current.output, 'drain');
+            }
+            if (failure) {
+                throw failure;
+            }
+        };
+
+        try {
+            await reader.read(damExportPath, afterChunk);
+        } finally {
+            if (current) {
+                current.output.destroy();
+                await fs.rm(current.filePath + '.partial', { force: true });
+            }
+            await Promise.all(closing);
+        }
+        // A file that failed to close after the last chunk was read
+        if (failure) {
+            throw failure;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Write a checksum file for the manifest entries that `sha256sum -c` can verify from outputDir
+     */
+    async writeChecksums(entries, outputDir) {
+        await fs.mkdir(outputDir, { recursive: true });
+        const checksumFile = path.join(outputDir, CHECKSUM_FILE_NAME);
+        const lines = entries.map(entry => `${entry.sha256}  ${entry.path}\n`);
+        await fs.writeFile(checksumFile, lines.join(''), 'utf8');
+        return checksumFile;
+    }
+
+    _write(binary, bytes) {
+        if (bytes.length > 0) {
+            binary.hash.update(bytes);
+            binary.size += bytes.length;
+            binary.output.write(bytes);
+        }
+    }
+
+    /**
+     * Close a finished file and move it from its .partial name into place
+     */
+    async _finish(binary) {
+        await new Promise((resolve, reject) => binary.output.end(error => error ? reject(error) : resolve()));
+        await fs.rename(binary.filePath + '.partial', binary.filePath);
+    }
+}
+
+/**
+ * Make a JCR node or file name safe to use as one path segment
+ */
+function safeSegment(name) {
+    const safe = String(name).replace(UNSAFE_FILE_NAME_CHARACTERS, '_').trim();
+    return safe === '' || safe === '.' || safe === '..' ? '_' : safe;
+}
+
+MagnoliaBinaryExtractor.MANIFEST_FIELDS = MANIFEST_FIELDS;
+MagnoliaBinaryExtractor.CHECKSUM_FILE_NAME = CHECKSUM_FILE_NAME;
+
+module.exports = MagnoliaBinaryExtractor;
@@ -0,0 +1,162 @@
+/**
+ * Magnolia Deletion Manifest - Turn unused assets into a reviewable deletion list and a cleanup script
+ * The generated Groovy script is meant for Magnolia's Groovy console and is safe to run as-is: it is a dry run by default.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Columns of the deletion manifest report
+const MANIFEST_FIELDS = ['path', 'uuid', 'fileName', 'mimeType', 'size', 'lastModified'];
+
+class MagnoliaDeletionManifest {
+    /**
+     * @param {Object} options
+     *   pathPrefix - JCR path of the export root's parent, e.g. "/site" when only /site/images was exported
+     *   quarantine - whether the script moves nodes to quarantinePath instead of deleting them
+     *   quarantinePath - DAM folder that receives quarantined assets (default /quarantine/<date>)
+     *   logger - receives log/warn/error calls instead of the console
+     */
+    constructor(options = {}) {
+        this.pathPrefix = MagnoliaDeletionManifest.normalizePath(options.pathPrefix || '');
+        this.quarantine = Boolean(options.quarantine);
+        this.quarantinePath = MagnoliaDeletionManifest.normalizePath(options.quarantinePath || '') ||
+            `/quarantine/${new Date().toISOString().slice(0, 10)}`;
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Build manifest entries ({path, uuid, fileName, mimeType, size, lastModified}) from asset records
+     */
+    build(assets) {
+        return assets
+            .filter(asset => asset.uuid && asset.uuid !== 'N/A')
+            .map(asset => ({
+                path: this.getAssetPath(asset),
+                uuid: asset.uuid,
+                fileName: asset.fileName || null,
+                mimeType: asset.mimeType || null,
+                size: asset.size || null,
+                lastModified: asset.lastModified || null
+            }));
+    }
+
+    /**
+     * Get the JCR path of an asset node in the dam workspace from its export location and node name
+     */
+    getAssetPath(asset) {
+        const folders = !asset.location || asset.location === 'root' ? [] : asset.location.split('/');
+        if (folders[0] === 'jcr:root') {
+            folders.shift();
+        }
+
+        return `${this.pathPrefix}/${[...folders, asset.assetName || asset.fileName].join('/')}`;
+    }
+
+    /**
+     * Generate a Groovy console script that removes (or quarantines) the manifest entries
+     * Each node must still exist and still carry the expected UUID, otherwise it is skipped.
+     */
+    toGroovy(entries) {
+        const assetLines = entries
+            .map(entry => `    [path: ${groovyString(entry.path)}, uuid: ${groovyString(entry.uuid)}]`)
+            .join(',\n');
+
+        return `/*
+ * Magnolia asset cleanup script
+ * Generated by magnolia-asset-checker on ${new Date().toISOString()} for ${entries.length} unused asset(s).
+ *
+ * Run it in Magnolia's Groovy console (Dev > Groovy). It only reports what it would do until
+ * dryRun is set to false. Assets that no longer exist or whose UUID changed are skipped.
+ */
+
+import info.magnolia.context.MgnlContext
+import info.magnolia.jcr.util.NodeUtil
+
+// Set to false to apply the changes
+def dryRun = true
+
+// Set to true to move assets below quarantinePath instead of deleting them
+def quarantine = ${this.quarantine}
+def quarantinePath = ${groovyString(this.quarantinePath)}
+
+def assets = [
+${assetLines}
+]
+
+def session = MgnlContext.getJCRSession('dam')
+def processed = 0
+def skipped = 0
+
+assets.each { asset ->
+    if (!session.nodeExists(asset.path)) {
+        println "SKIP (not found): \${asset.path}"
+        skipped++
+        return
+    }
+
+    def node = session.getNode(asset.path)
+    if (node.identifier != asset.uuid) {
+        println "SKIP (UUID is \${node.identifier}, expected \${asset.uuid}): \${asset.path}"
+        skipped++
+        return
+    }
+
+    if (quarantine) {
+        def target = quarantinePath + asset.path
+        if (session.nodeExists(target)) {
+            println "SKIP (already in quarantine): \${target}"
+            skipped++
+            return
+        }
+        if (!dryRun) {
+            def targetFolder = target.substring(0, target.lastIndexOf('/'))
+            NodeUtil.createPath(session.rootNode, targetFolder.substring(1), 'mgnl:folder')
+            session.move(asset.path, target)
+        }
+        println "\${dryRun ? 'WOULD MOVE' : 'MOVED'}: \${asset.path} -> \${target}"
+    } else {
+        if (!dryRun) {
+            node.remove()
+        }
+        println "\${dryRun ? 'WOULD DELETE' : 'DELETED'}: \${asset.path}"
+    }
+    processed++
+}
+
+if (!dryRun) {
+    session.save()
+}
+
+println "\${dryRun ? 'Dry run: ' : ''}\${processed} asset(s) \${quarantine ? 'quarantined' : 'deleted'}, \${skipped} skipped"
+`;
+    }
+
+    /**
+     * Write the Groovy script for the manifest entries to outputFile
+     */
+    async writeGroovy(entries, outputFile) {
+        await fs.mkdir(path.dirname(outputFile), { recursive: true });
+        await fs.writeFile(outputFile, this.toGroovy(entries), 'utf8');
+        this.logger.log(`Cleanup script written to: ${outputFile}`);
+    }
+
+    /**
+     * Normalize a JCR path to a leading slash and no trailing slash ("" stays the workspace root)
+     */
+    static normalizePath(jcrPath) {
+        const segments = jcrPath.split('/').filter(Boolean);
+        return segments.length > 0 ? '/' + segments.join('/') : '';
+    }
+}
+
+/**
+ * Quote a value as a single-quoted Groovy string literal
+ */
+function groovyString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+MagnoliaDeletionManifest.MANIFEST_FIELDS = MANIFEST_FIELDS;
+
+module.exports = MagnoliaDeletionManifest;
@@ -0,0 +1,56 @@
+/**
+ * Magnolia Errors - Typed errors thrown by the programmatic API
+ * Every error carries a stable code, and the file it concerns when there is one.
+ */
+
+class MagnoliaAssetCheckerError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} options
+     *   code - stable error code, e.g. 'INPUT_ERROR'
+     *   file - name of the input file the error concerns
+     *   cause - the underlying error
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = options.code || 'ASSET_CHECKER_ERROR';
+        if (options.file) {
+            this.file = options.file;
+        }
+    }
+}
+
+/**
+ * An input is missing, unreadable, of an unsupported type, or a required export is absent
+ */
+class MagnoliaInputError extends MagnoliaAssetCheckerError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'INPUT_ERROR' });
+    }
+}
+
+/**
+ * An export could be read but not parsed, e.g. malformed or truncated XML
+ */
+class MagnoliaParseError extends MagnoliaAssetCheckerError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'PARSE_ERROR' });
+    }
+}
+
+/**
+ * The analysis was cancelled before it finished
+ */
+class MagnoliaCancelledError extends MagnoliaAssetCheckerError {
+    constructor(message = 'Analysis cancelled', options = {}) {
+        super(message, { ...options, code: 'CANCELLED' });
+    }
+}
+
+module.exports = {
+    MagnoliaAssetCheckerError,
+    MagnoliaInputError,
+    MagnoliaParseError,
+    MagnoliaCancelledError
+};
@@ -0,0 +1,250 @@
+/**
+ * Magnolia Export Bundle - Open ZIP archives and directories of Magnolia exports
+ * Sorts the contained files into DAM and page exports by workspace prefix or root node.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const stream = require('stream');
+const yauzl = require('yauzl');
+const MagnoliaInput = require('./magnolia_input');
+
+const pipeline = util.promisify(stream.pipeline);
+const openZip = util.promisify(yauzl.open);
+
+const EXPORT_EXTENSIONS = ['.xml', '.yaml', '.yml', '.json'];
+const PAGE_EXTENSIONS = ['.xml', '.yaml', '.yml'];
+
+// Bytes read from the start of a file to recognise its root node
+const SNIFF_BYTES = 256 * 1024;
+
+// Root node types of a DAM export; a folder or the workspace root can also hold pages, so those still need a look inside
+const DAM_ROOT_TYPES = ['mgnl:asset', 'mgnl:folder', 'rep:root'];
+
+// The first jcr:primaryType in an XML or YAML export belongs to its root node
+const XML_ROOT_TYPE_PATTERN = /sv:name="jcr:primaryType"[^>]*>\s*<sv:value>([^<]+)<\/sv:value>/;
+const YAML_ROOT_TYPE_PATTERN = /^\s*(["']?)jcr:primaryType\1\s*:\s*["']?([^\s"'#]+)/m;
+
+// Limits on what a ZIP archive may unpack to, so a small upload cannot fill the disk
+const MAX_ZIP_BYTES = 2 * 1024 * 1024 * 1024;
+const MAX_ZIP_ENTRIES = 20000;
+
+class MagnoliaExportBundle {
+    /**
+     * @param {Object} options
+     *   maxZipBytes - total uncompressed bytes a ZIP archive may unpack to (default 2 GB)
+     *   maxZipEntries - number of entries a ZIP archive may hold (default 20000)
+     */
+    constructor(options = {}) {
+        this.maxZipBytes = options.maxZipBytes || MAX_ZIP_BYTES;
+        this.maxZipEntries = options.maxZipEntries || MAX_ZIP_ENTRIES;
+        this.assetFiles = [];
+        this.pageFiles = [];
+        this.unrecognized = [];
+        this.moduleDirs = [];
+        this._tempDirs = [];
+    }
+
+    /**
+     * Add a .zip archive or a directory to the bundle
+     * Every contained file ends up in assetFiles, pageFiles or unrecognized ({name, reason}).
+     */
+    async add(inputPath) {
+        const stats = await fs.stat(inputPath);
+
+        if (stats.isDirectory()) {
+            const files = await this._listFiles(inputPath);
+            for (const filePath of files) {
+                await this._classify(filePath, path.relative(inputPath, filePath));
+            }
+            return;
+        }
+
+        if (path.extname(inputPath).toLowerCase() === '.zip') {
+            const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-bundle-'));
+            this._tempDirs.push(dir);
+
+            const entries = await this._extractZip(inputPath, dir);
+            for (const entryName of entries) {
+                await this._classify(path.join(dir, entryName), entryName);
+            }
+            return;
+        }
+
+        throw new Error(`'${inputPath}' is neither a .zip archive nor a directory`);
+    }
+
+    /**
+     * Add a light-modules directory, or a .zip archive of one, to moduleDirs ({path, name})
+     * Its files are scanned as code rather than sorted into exports.
+     */
+    async addModules(inputPath, name = path.basename(inputPath)) {
+        const stats = await fs.stat(inputPath);
+
+        if (stats.isDirectory()) {
+            this.moduleDirs.push({ path: inputPath, name });
+            return;
+        }
+
+        if (path.extname(name).toLowerCase() === '.zip') {
+            const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-modules-'));
+            this._tempDirs.push(dir);
+
+            await this._extractZip(inputPath, dir);
+            this.moduleDirs.push({ path: dir, name });
+            return;
+        }
+
+        throw new Error(`'${name}' is neither a .zip archive nor a directory`);
+    }
+
+    /**
+     * Add a single loose export file to the bundle, sorting it like a file inside an archive
+     */
+    async addFile(filePath, name = path.basename(filePath)) {
+        await this._classify(filePath, name);
+    }
+
+    /**
+     * Remove files extracted from ZIP archives
+     */
+    async cleanup() {
+        for (const dir of this._tempDirs) {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+        this._tempDirs = [];
+    }
+
+    /**
+     * Decide whether a file is a DAM export, a page export or unrecognised
+     * Magnolia names exports "<workspace>.<path>.xml", so the prefix is checked first;
+     * otherwise the root node's type decides, and only a folder or workspace root is searched for mgnl:asset nodes.
+     */
+    async _classify(filePath, name) {
+        const baseName = path.basename(name);
+        const ext = MagnoliaInput.getFormatExtension(baseName);
+
+        if (!EXPORT_EXTENSIONS.includes(ext)) {
+            this.unrecognized.push({ name, reason: `unsupported file type '${ext || baseName}'` });
+            return;
+        }
+
+        const workspace = baseName.split('.')[0].toLowerCase();
+        if (workspace === 'dam') {
+            this.assetFiles.push({ path: filePath, name });
+            return;
+        }
+
+        const head = await MagnoliaInput.readHead(filePath, SNIFF_BYTES);
+        const rootType = this._readRootType(head, ext);
+        if (rootType === 'mgnl:asset' || ((!rootType || DAM_ROOT_TYPES.includes(rootType)) && /mgnl:asset\b/.test(head))) {
+            this.assetFiles.push({ path: filePath, name });
+            return;
+        }
+
+        if (!/jcr:primaryType|sv:node/.test(head)) {
+            this.unrecognized.push({ name, reason: 'not a Magnolia export (no JCR nodes found)' });
+            return;
+        }
+
+        if (!PAGE_EXTENSIONS.includes(ext)) {
+            this.unrecognized.push({ name, reason: `'${workspace}' export in ${ext} format; page exports must be XML or YAML` });
+            return;
+        }
+
+        this.pageFiles.push({ path: filePath, name });
+    }
+
+    /**
+     * Read the root node's jcr:primaryType from the start of an XML or YAML export, or null
+     * JSON dumps are not checked, since they are never page exports.
+     */
+    _readRootType(head, ext) {
+        if (ext === '.xml') {
+            const match = head.match(XML_ROOT_TYPE_PATTERN);
+            return match ? match[1].trim() : null;
+        }
+        if (ext === '.yaml' || ext === '.yml') {
+            const match = head.match(YAML_ROOT_TYPE_PATTERN);
+            return match ? match[2] : null;
+        }
+        return null;
+    }
+
+    async _listFiles(dir) {
+        const files = [];
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this._listFiles(entryPath));
+            } else if (entry.isFile()) {
+                files.push(entryPath);
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Stream every file entry of a ZIP archive into targetDir, returning the entry names
+     * Stops with an error once the archive holds more than maxZipEntries entries or unpacks to more than maxZipBytes.
+     */
+    async _extractZip(zipPath, targetDir) {
+        const zipFile = await openZip(zipPath, { lazyEntries: true, autoClose: false });
+        const openReadStream = util.promisify(zipFile.openReadStream.bind(zipFile));
+        const entries = [];
+        let totalBytes = 0;
+
+        // Counts the bytes actually written, whatever sizes the entries declare
+        const countBytes = () => new stream.Transform({
+            transform: (chunk, encoding, callback) => {
+                totalBytes += chunk.length;
+                callback(totalBytes > this.maxZipBytes ? this._zipTooLarge(zipPath) : null, chunk);
+            }
+        });
+
+        try {
+            if (zipFile.entryCount > this.maxZipEntries) {
+                throw new Error(`'${path.basename(zipPath)}' has ${zipFile.entryCount} entries; at most ${this.maxZipEntries} are allowed`);
+            }
+
+            await new Promise((resolve, reject) => {
+                zipFile.on('error', reject);
+                zipFile.on('end', resolve);
+                zipFile.on('entry', async (entry) => {
+                    try {
+                        // yauzl rejects absolute and "../" entry names, so joining is safe
+                        if (!entry.fileName.endsWith('/')) {
+                            if (totalBytes + entry.uncompressedSize > this.maxZipBytes) {
+                                throw this._zipTooLarge(zipPath);
+                            }
+                            const target = path.join(targetDir, entry.fileName);
+                            await fs.mkdir(path.dirname(target), { recursive: true });
+                            await pipeline(await openReadStream(entry), countBytes(), fsSync.createWriteStream(target));
+                            entries.push(entry.fileName);
+                        }
+                        zipFile.readEntry();
+                    } catch (error) {
+                        reject(error);
+                    }
+                });
+                zipFile.readEntry();
+            });
+        } finally {
+            zipFile.close();
+        }
+
+        return entries.sort();
+    }
+
+    _zipTooLarge(zipPath) {
+        return new Error(`'${path.basename(zipPath)}' unpacks to more than ${this.maxZipBytes} bytes`);
+    }
+}
+
+module.exports = MagnoliaExportBundle;
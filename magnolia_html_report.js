@@ -0,0 +1,274 @@
+/**
+ * Magnolia HTML Report - Render analysis results as one self-contained HTML file
+ * Styles, data and the sort/filter script are all inlined, so the file opens offline without the web server.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Rows rendered per table at once; "Show more" renders the next batch, filtering narrows the rows down first
+const ROW_LIMIT = 1000;
+
+// Fields shown as byte sizes ("1.5 MB") but sorted by their numeric value
+const BYTE_FIELD_PATTERN = /^size$|Bytes$/;
+
+const STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f8f9fa; color: #212529; }
+    header { background: #343a40; color: white; padding: 24px 32px; }
+    header h1 { margin: 0 0 6px; font-size: 1.6rem; }
+    header p { margin: 0; color: #ced4da; }
+    main { padding: 24px 32px; }
+    section { background: white; border: 1px solid #e9ecef; border-radius: 8px; padding: 20px; margin-bottom: 24px; }
+    h2 { margin: 0 0 16px; font-size: 1.2rem; }
+    .summary { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 24px; }
+    .summary div { background: white; border: 1px solid #e9ecef; border-radius: 8px; padding: 16px 20px; min-width: 140px; }
+    .summary strong { display: block; font-size: 1.6rem; }
+    .summary span { color: #6c757d; font-size: 0.9rem; }
+    .details { display: grid; grid-template-columns: max-content 1fr; gap: 6px 16px; margin: 0; }
+    .details dt { color: #6c757d; }
+    .details dd { margin: 0; word-break: break-all; }
+    .controls { display: flex; align-items: center; gap: 12px; margin-bottom: 12px; }
+    .controls input { padding: 6px 10px; border: 1px solid #ced4da; border-radius: 4px; min-width: 280px; }
+    .controls span { color: #6c757d; font-size: 0.9rem; }
+    .show-more { margin-top: 12px; padding: 6px 14px; border: 1px solid #ced4da; border-radius: 4px; background: white; cursor: pointer; }
+    .table-wrapper { max-height: 600px; overflow: auto; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { padding: 8px 12px; border-bottom: 1px solid #f1f3f5; text-align: left; vertical-align: top; }
+    th { position: sticky; top: 0; background: #f8f9fa; cursor: pointer; user-select: none; white-space: nowrap; }
+    th.sorted-asc::after { content: ' \\25B2'; }
+    th.sorted-desc::after { content: ' \\25BC'; }
+    td.number, td.bytes { text-align: right; white-space: nowrap; }
+    td { word-break: break-word; }
+`;
+
+// Runs in the browser: renders each table from its embedded JSON and wires up sorting and filtering
+const SCRIPT = `
+(function () {
+    var ROW_LIMIT = ${ROW_LIMIT};
+
+    function formatBytes(bytes) {
+        if (!bytes) return '0 Bytes';
+        var units = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+        var i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + ' ' + units[i];
+    }
+
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"]/g, function (character) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[character];
+        });
+    }
+
+    function formatCell(value, type) {
+        if (value === null || value === '') return '';
+        return type === 'bytes' && typeof value === 'number' ? formatBytes(value) : String(value);
+    }
+
+    function compare(a, b) {
+        if (a === b) return 0;
+        if (a === null || a === '') return 1;
+        if (b === null || b === '') return -1;
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    Array.prototype.forEach.call(document.querySelectorAll('.report-table'), function (section) {
+        var data = JSON.parse(section.querySelector('script[type="application/json"]').textContent);
+        var headers = section.querySelectorAll('th');
+        var tbody = section.querySelector('tbody');
+        var filter = section.querySelector('input');
+        var count = section.querySelector('.row-count');
+        var showMore = section.querySelector('.show-more');
+        var shown = ROW_LIMIT;
+        var sortColumn = -1;
+        var sortDirection = 1;
+
+        var rows = data.rows.map(function (cells) {
+            return {
+                cells: cells,
+                text: cells.map(function (value, index) { return formatCell(value, data.columns[index].type); }).join(' ').toLowerCase()
+            };
+        });
+
+        function render() {
+            var query = filter.value.trim().toLowerCase();
+            var visible = rows.filter(function (row) { return !query || row.text.indexOf(query) !== -1; });
+            if (sortColumn >= 0) {
+                visible.sort(function (a, b) { return sortDirection * compare(a.cells[sortColumn], b.cells[sortColumn]); });
+            }
+
+            tbody.innerHTML = visible.slice(0, shown).map(function (row) {
+                return '<tr>' + row.cells.map(function (value, index) {
+                    var type = data.columns[index].type;
+                    return '<td class="' + type + '">' + escapeHtml(formatCell(value, type)) + '</td>';
+                }).join('') + '</tr>';
+            }).join('') || '<tr><td colspan="' + data.columns.length + '">No rows</td></tr>';
+
+            count.textContent = visible.length > shown
+                ? 'Showing ' + shown + ' of ' + visible.length + ' matching rows (' + rows.length + ' total)'
+                : visible.length + ' of ' + rows.length + ' rows';
+            showMore.hidden = visible.length <= shown;
+            showMore.textContent = 'Show ' + Math.min(ROW_LIMIT, visible.length - shown) + ' more';
+        }
+
+        Array.prototype.forEach.call(headers, function (header, index) {
+            header.addEventListener('click', function () {
+                sortDirection = sortColumn === index ? -sortDirection : 1;
+                sortColumn = index;
+                Array.prototype.forEach.call(headers, function (other) { other.className = ''; });
+                header.className = sortDirection === 1 ? 'sorted-asc' : 'sorted-desc';
+                render();
+            });
+        });
+        filter.addEventListener('input', function () {
+            shown = ROW_LIMIT;
+            render();
+        });
+        showMore.addEventListener('click', function () {
+            shown += ROW_LIMIT;
+            render();
+        });
+        render();
+    });
+})();
+`;
+
+class MagnoliaHtmlReport {
+    /**
+     * @param {Object} options
+     *   title - report title, shown in the header and the browser tab
+     *   subtitle - line below the title (default: the generation time)
+     *   formatValue - turns arrays and objects (e.g. reference sites) into cell text (default: JSON)
+     */
+    constructor(options = {}) {
+        this.title = options.title || 'Magnolia Asset Report';
+        this.subtitle = options.subtitle || `Generated ${new Date().toISOString()}`;
+        this.formatValue = options.formatValue || (value => JSON.stringify(value));
+        this.blocks = [];
+    }
+
+    /**
+     * Add a row of summary tiles: [{label, value}]
+     */
+    addSummary(items) {
+        const tiles = items.map(item => `<div><strong>${escapeHtml(item.value)}</strong><span>${escapeHtml(item.label)}</span></div>`);
+        this.blocks.push(`<div class="summary">${tiles.join('')}</div>`);
+        return this;
+    }
+
+    /**
+     * Add a section with a list of label/value pairs, e.g. the analyzed inputs
+     */
+    addDetails(heading, items) {
+        const entries = items.map(item => `<dt>${escapeHtml(item.label)}</dt><dd>${escapeHtml(item.value)}</dd>`);
+        this.blocks.push(`<section><h2>${escapeHtml(heading)}</h2><dl class="details">${entries.join('')}</dl></section>`);
+        return this;
+    }
+
+    /**
+     * Add a sortable, filterable table of rows; fields picks the columns (default: every key of the rows)
+     */
+    addTable(heading, rows, fields = null) {
+        const columnFields = fields && fields.length > 0 ? fields : [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const columns = columnFields.map(field => ({ field, type: this._getColumnType(field, rows) }));
+        const data = {
+            columns: columns.map(({ field, type }) => ({ field, type })),
+            rows: rows.map(row => columns.map(column => this._toCell(row[column.field], column.type)))
+        };
+
+        const headerCells = columns.map(column => `<th>${escapeHtml(humanize(column.field))}</th>`).join('');
+        this.blocks.push(`<section class="report-table">
+<h2>${escapeHtml(heading)} (${rows.length})</h2>
+<div class="controls"><input type="search" placeholder="Filter ${escapeHtml(heading.toLowerCase())}..."><span class="row-count"></span></div>
+<div class="table-wrapper"><table><thead><tr>${headerCells}</tr></thead><tbody></tbody></table></div>
+<button type="button" class="show-more" hidden></button>
+<script type="application/json">${toScriptJson(data)}</script>
+</section>`);
+        return this;
+    }
+
+    /**
+     * Render the whole report as an HTML document
+     */
+    render() {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(this.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header><h1>${escapeHtml(this.title)}</h1><p>${escapeHtml(this.subtitle)}</p></header>
+<main>
+<noscript><p>Enable JavaScript to see the tables of this report.</p></noscript>
+${this.blocks.join('\n')}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+    }
+
+    async write(outputFile) {
+        await fs.mkdir(path.dirname(outputFile), { recursive: true });
+        await fs.writeFile(outputFile, this.render(), 'utf8');
+    }
+
+    /**
+     * 'bytes' for sizes, 'number' when every value is numeric, 'text' otherwise
+     */
+    _getColumnType(field, rows) {
+        if (BYTE_FIELD_PATTERN.test(field)) {
+            return 'bytes';
+        }
+        const values = rows.map(row => row[field]).filter(value => value !== null && value !== undefined && value !== '');
+        const isNumeric = value => typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()));
+        return values.length > 0 && values.every(isNumeric) ? 'number' : 'text';
+    }
+
+    _toCell(value, type) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        if (type !== 'text') {
+            const number = Number(value);
+            return Number.isNaN(number) ? String(value) : number;
+        }
+        if (Array.isArray(value) || typeof value === 'object') {
+            return this.formatValue(value);
+        }
+        return String(value);
+    }
+}
+
+/**
+ * Turn a field name into a column heading: "lastModifiedBy" -> "Last modified by"
+ */
+function humanize(field) {
+    const words = field.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * JSON that is safe inside a <script> element
+ */
+function toScriptJson(data) {
+    return JSON.stringify(data)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+MagnoliaHtmlReport.ROW_LIMIT = ROW_LIMIT;
+
+module.exports = MagnoliaHtmlReport;
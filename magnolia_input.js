@@ -0,0 +1,188 @@
+/**
+ * Magnolia Input - Open export files, transparently decompressing gzip and deflate
+ * Compression is recognised by extension (.gz, .zz, ...) or by the magic bytes at the start of the file.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+const zlib = require('zlib');
+
+const COMPRESSED_EXTENSIONS = {
+    '.gz': 'gzip',
+    '.gzip': 'gzip',
+    '.zz': 'deflate',
+    '.deflate': 'deflate'
+};
+
+class MagnoliaInput {
+    /**
+     * Get the export format extension of a file name, ignoring a compression suffix
+     * e.g. "website.xml.gz" -> ".xml", "dam.yaml" -> ".yaml"
+     */
+    static getFormatExtension(fileName) {
+        const ext = path.extname(fileName).toLowerCase();
+        if (COMPRESSED_EXTENSIONS[ext]) {
+            return path.extname(path.basename(fileName, path.extname(fileName))).toLowerCase();
+        }
+        return ext;
+    }
+
+    /**
+     * Get the full extension of a file name including a compression suffix, e.g. ".xml.gz"
+     */
+    static getFullExtension(fileName) {
+        const ext = path.extname(fileName).toLowerCase();
+        if (COMPRESSED_EXTENSIONS[ext]) {
+            return MagnoliaInput.getFormatExtension(fileName) + ext;
+        }
+        return ext;
+    }
+
+    /**
+     * Detect how a file is compressed: 'gzip', 'deflate', 'deflate-raw' or null
+     * The magic bytes win over the extension, so a mislabelled file still opens.
+     */
+    static async detectCompression(filePath) {
+        const handle = await fs.open(filePath, 'r');
+        const header = Buffer.alloc(2);
+        try {
+            await handle.read(header, 0, 2, 0);
+        } finally {
+            await handle.close();
+        }
+
+        if (header[0] === 0x1f && header[1] === 0x8b) {
+            return 'gzip';
+        }
+        // zlib header with the default 32K window: 78 01, 78 5e, 78 9c or 78 da
+        if (header[0] === 0x78 && header.readUInt16BE(0) % 31 === 0) {
+            return 'deflate';
+        }
+        // Headerless deflate streams can only be recognised by name
+        if (COMPRESSED_EXTENSIONS[path.extname(filePath).toLowerCase()] === 'deflate') {
+            return 'deflate-raw';
+        }
+        return null;
+    }
+
+    /**
+     * Open a file as a readable stream of its decompressed content
+     * Pass an encoding (e.g. 'utf8') to receive strings instead of buffers, and onProgress(bytesRead, totalBytes)
+     * to follow how much of the file (as stored, i.e. compressed) has been read. If onProgress throws, the stream errors.
+     */
+    static async createReadStream(filePath, options = {}) {
+        const compression = await MagnoliaInput.detectCompression(filePath);
+        const source = fsSync.createReadStream(filePath);
+
+        const stages = [source];
+        if (options.onProgress) {
+            const { size } = await fs.stat(filePath);
+            stages.push(MagnoliaInput._createProgressCounter(size, options.onProgress));
+        }
+        if (compression) {
+            stages.push(MagnoliaInput._createDecompressor(compression));
+        }
+
+        let output = source;
+        if (stages.length > 1) {
+            // pipeline forwards read errors down the chain and tears every stage down together
+            output = stream.pipeline(...stages, () => {});
+        }
+
+        if (options.encoding) {
+            output.setEncoding(options.encoding);
+        }
+        return output;
+    }
+
+    /**
+     * Read a whole (possibly compressed) file as UTF-8 text
+     */
+    static async readText(filePath) {
+        const compression = await MagnoliaInput.detectCompression(filePath);
+        const data = await fs.readFile(filePath);
+
+        if (!compression) {
+            return data.toString('utf8');
+        }
+        const decompress = util.promisify({
+            gzip: zlib.gunzip,
+            deflate: zlib.inflate,
+            'deflate-raw': zlib.inflateRaw
+        }[compression]);
+        return (await decompress(data)).toString('utf8');
+    }
+
+    /**
+     * Read up to maxBytes of decompressed content from the start of a file
+     */
+    static async readHead(filePath, maxBytes) {
+        const source = await MagnoliaInput.createReadStream(filePath);
+        const chunks = [];
+        let length = 0;
+
+        try {
+            for await (const chunk of source) {
+                chunks.push(chunk);
+                length += chunk.length;
+                if (length >= maxBytes) break;
+            }
+        } finally {
+            source.destroy();
+        }
+
+        return Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8');
+    }
+
+    /**
+     * Create a decoder for base64 text that arrives in pieces, e.g. a Binary value read by the system-view reader
+     * write(text) returns the bytes decoded so far; end() returns the rest. Whitespace and line breaks are skipped.
+     */
+    static createBase64Decoder() {
+        let carry = '';
+        return {
+            write(text) {
+                const data = carry + text.replace(/\s+/g, '');
+                const usable = data.length - (data.length % 4);
+                carry = data.slice(usable);
+                return Buffer.from(data.slice(0, usable), 'base64');
+            },
+            end() {
+                const rest = Buffer.from(carry, 'base64');
+                carry = '';
+                return rest;
+            }
+        };
+    }
+
+    static _createProgressCounter(totalBytes, onProgress) {
+        let bytesRead = 0;
+        return new stream.Transform({
+            transform(chunk, encoding, callback) {
+                bytesRead += chunk.length;
+                try {
+                    onProgress(bytesRead, totalBytes);
+                } catch (error) {
+                    return callback(error);
+                }
+                callback(null, chunk);
+            }
+        });
+    }
+
+    static _createDecompressor(compression) {
+        switch (compression) {
+            case 'gzip':
+                return zlib.createGunzip();
+            case 'deflate':
+                return zlib.createInflate();
+            default:
+                return zlib.createInflateRaw();
+        }
+    }
+}
+
+module.exports = MagnoliaInput;
@@ -0,0 +1,116 @@
+/**
+ * Magnolia Module Scanner - Find DAM references in light modules: FreeMarker templates, YAML definitions, CSS, JS and HTML
+ * Works line by line, so every reference found in code comes with its file and line number.
+ */
+
+const fg = require('fast-glob');
+const path = require('path');
+const MagnoliaInput = require('./magnolia_input');
+
+// File types scanned in a light-modules directory
+const MODULE_EXTENSIONS = ['ftl', 'yaml', 'yml', 'css', 'scss', 'js', 'html', 'htm'];
+
+// Directories that hold third-party or generated code rather than module sources
+const IGNORED_DIRECTORIES = ['**/node_modules/**', '**/.git/**'];
+
+// damfn.getAssetLink("jcr:<uuid>"), damfn.getAsset("dam", "/site/img/hero.jpg"), ...
+const DAMFN_CALL_PATTERN = /damfn\.\w+\s*\(([^)]*)\)/g;
+
+// "..." and '...' string literals, without escaped quotes
+const STRING_LITERAL_PATTERN = /"([^"\\\n]*)"|'([^'\\\n]*)'/g;
+
+// "key: value" and "- value" lines of a YAML definition
+const YAML_VALUE_PATTERN = /^\s*(?:-\s+)?(?:[\w.@$-]+\s*:\s+)?(.+?)\s*$/;
+
+class MagnoliaModuleScanner {
+    /**
+     * List the scannable files below a light-modules directory, relative to it and sorted
+     */
+    async listFiles(directory) {
+        const files = await fg(`**/*.{${MODULE_EXTENSIONS.join(',')}}`, {
+            cwd: directory,
+            ignore: IGNORED_DIRECTORIES,
+            onlyFiles: true,
+            dot: false
+        });
+        return files.sort();
+    }
+
+    /**
+     * Read a module file and split it into snippets ({line, text}) that may reference an asset
+     */
+    async readSnippets(filePath) {
+        const content = await MagnoliaInput.readText(filePath);
+        return this.extractSnippets(content, path.extname(filePath).slice(1).toLowerCase());
+    }
+
+    /**
+     * Split file content into snippets ({line, text}) for the reference parser
+     * Besides the whole line (for UUIDs, link macros and /dam/ URLs), every string literal, damfn argument
+     * and YAML value is a snippet of its own, so values that are a bare DAM path are recognised as well.
+     */
+    extractSnippets(content, extension) {
+        const snippets = [];
+        const isYaml = extension === 'yaml' || extension === 'yml';
+
+        content.split(/\r?\n/).forEach((text, index) => {
+            if (!text.trim()) return;
+
+            const line = index + 1;
+            const add = (value) => {
+                if (value && value.trim()) {
+                    snippets.push({ line, text: value.trim() });
+                }
+            };
+
+            add(text);
+
+            const literalRegex = new RegExp(STRING_LITERAL_PATTERN.source, 'g');
+            let literal;
+            while ((literal = literalRegex.exec(text)) !== null) {
+                add(literal[1] !== undefined ? literal[1] : literal[2]);
+            }
+
+            const callRegex = new RegExp(DAMFN_CALL_PATTERN.source, 'g');
+            let call;
+            while ((call = callRegex.exec(text)) !== null) {
+                for (const argument of this._parseDamfnArguments(call[1])) {
+                    add(argument);
+                }
+            }
+
+            if (isYaml && !text.trim().startsWith('#')) {
+                const value = text.match(YAML_VALUE_PATTERN);
+                if (value) {
+                    add(value[1].replace(/^(["'])(.*)\1$/, '$2'));
+                }
+            }
+        });
+
+        return snippets;
+    }
+
+    /**
+     * Turn the string arguments of a damfn call into DAM path candidates
+     * Item keys ("jcr:<uuid>", "dam:/site/img/hero.jpg") pass through; relative asset paths get a leading slash.
+     */
+    _parseDamfnArguments(argumentList) {
+        const candidates = [];
+        const literalRegex = new RegExp(STRING_LITERAL_PATTERN.source, 'g');
+
+        let literal;
+        while ((literal = literalRegex.exec(argumentList)) !== null) {
+            const value = (literal[1] !== undefined ? literal[1] : literal[2]).trim();
+            if (!value || value === 'dam') {
+                continue;
+            }
+            candidates.push(/^(jcr|dam):|^\//.test(value) ? value : '/' + value);
+        }
+
+        return candidates;
+    }
+}
+
+MagnoliaModuleScanner.MODULE_EXTENSIONS = MODULE_EXTENSIONS;
+
+module.exports = MagnoliaModuleScanner;
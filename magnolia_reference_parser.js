@@ -0,0 +1,277 @@
+/**
+ * Magnolia Reference Parser - Find DAM asset references in page property values
+ * Understands bare UUIDs, jcr: identifiers, ${link:{...}} macros (including HTML-escaped
+ * variants), plain DAM path references and /.imaging/ and /dam/ URLs.
+ */
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+// ${link:{uuid:{...},repository:{dam},path:{/site/img/hero.jpg}}}
+const LINK_MACRO_PATTERN = /\$\{link:\{((?:[\w-]+:\{[^{}]*\},?\s*)*)\}\}/g;
+const LINK_FIELD_PATTERN = /([\w-]+):\{([^{}]*)\}/g;
+
+// DAM item keys as stored by Magnolia's JCR asset provider: jcr:<uuid>
+const DAM_ITEM_KEY_PATTERN = new RegExp(`(?:^|[^\\w:])jcr:(${UUID_PATTERN.source})`, 'gi');
+
+// Whole values that look like a DAM path, optionally with the dam: workspace prefix
+const DAM_PATH_PATTERN = /^(?:dam:)?(\/[^\s"'<>{}$]+)$/;
+
+// /.imaging/mte/<theme>/<variation>/dam/<path>/jcr:content/<file> (and older /.imaging/<variation>/dam/... forms)
+const IMAGING_URL_PATTERN = /\/\.imaging\/([^\s"'<>(){}?#]*?)\/dam\/([^\s"'<>(){}?#]+)/g;
+
+// Public DAM URLs: /dam/<path> or /dam/jcr:<uuid>/<file>
+const DAM_URL_PATTERN = /\/dam\/([^\s"'<>(){}?#]+)/g;
+
+// Highest Unicode code point; larger numeric entities are left as they are
+const MAX_CODE_POINT = 0x10FFFF;
+
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    lbrace: '{',
+    rbrace: '}',
+    dollar: '$',
+    colon: ':',
+    sol: '/',
+    comma: ','
+};
+
+class MagnoliaReferenceParser {
+    /**
+     * Parse a property value into asset reference candidates
+     * Returns a list of {type, uuid, path, repository} where type is 'uuid', 'link', 'path' or 'url'.
+     * repository is null where the value does not say (bare UUIDs, link macros without a repository field).
+     * Candidates are not checked against the DAM; see MagnoliaAssetChecker for resolution.
+     */
+    parse(text) {
+        if (typeof text !== 'string' || text.length === 0) {
+            return [];
+        }
+
+        const references = [];
+        const decoded = this.decode(text);
+
+        for (const uuid of this.findUUIDs(decoded)) {
+            references.push({ type: 'uuid', uuid: uuid, path: null, repository: null });
+        }
+
+        if (decoded.includes('${link:')) {
+            references.push(...this.parseLinkMacros(decoded));
+        }
+
+        if (decoded.includes('/dam/')) {
+            references.push(...this.parseDamUrls(decoded));
+        }
+
+        const damPath = this.parseDamPath(decoded.trim());
+        if (damPath) {
+            references.push({ type: 'path', uuid: null, path: damPath, repository: 'dam' });
+        }
+
+        return references;
+    }
+
+    /**
+     * Find every UUID-shaped token in a string, including tokens that touch or overlap others
+     */
+    findUUIDs(text) {
+        const uuids = [];
+        const tokenRegex = new RegExp(UUID_PATTERN.source, 'gi');
+
+        let match;
+        while ((match = tokenRegex.exec(text)) !== null) {
+            uuids.push(match[0]);
+            // Step one character forward so overlapping tokens are not skipped
+            tokenRegex.lastIndex = match.index + 1;
+        }
+
+        return uuids;
+    }
+
+    /**
+     * Find the UUIDs a value explicitly points into the DAM with, as a list of {uuid, type}
+     * Only /dam/jcr:<uuid> URLs ('url'), link macros naming the dam repository ('link') and jcr:<uuid> item keys ('uuid')
+     * count; bare UUIDs are left out because they may just as well point at pages.
+     */
+    findDamUUIDs(text) {
+        if (typeof text !== 'string' || text.length === 0) {
+            return [];
+        }
+
+        const decoded = this.decode(text);
+        const found = new Map();
+        const add = (uuid, type) => {
+            if (!found.has(uuid)) {
+                found.set(uuid, type);
+            }
+        };
+
+        if (decoded.includes('/dam/')) {
+            for (const reference of this.parseDamUrls(decoded)) {
+                if (reference.uuid) add(reference.uuid, 'url');
+            }
+        }
+
+        if (decoded.includes('${link:')) {
+            for (const reference of this.parseLinkMacros(decoded)) {
+                if (reference.uuid && reference.repository === 'dam') add(reference.uuid, 'link');
+            }
+        }
+
+        if (decoded.includes('jcr:')) {
+            const itemKeyRegex = new RegExp(DAM_ITEM_KEY_PATTERN.source, 'gi');
+            let match;
+            while ((match = itemKeyRegex.exec(decoded)) !== null) {
+                add(match[1], 'uuid');
+            }
+        }
+
+        return [...found].map(([uuid, type]) => ({ uuid, type }));
+    }
+
+    /**
+     * Parse ${link:{...}} macros that point into the DAM repository
+     */
+    parseLinkMacros(text) {
+        const references = [];
+        const macroRegex = new RegExp(LINK_MACRO_PATTERN.source, 'g');
+
+        let macro;
+        while ((macro = macroRegex.exec(text)) !== null) {
+            const fields = {};
+            const fieldRegex = new RegExp(LINK_FIELD_PATTERN.source, 'g');
+            let field;
+            while ((field = fieldRegex.exec(macro[1])) !== null) {
+                fields[field[1]] = field[2].trim();
+            }
+
+            if (fields.repository && fields.repository !== 'dam') {
+                continue;
+            }
+
+            const uuid = fields.uuid && UUID_PATTERN.test(fields.uuid)
+                ? fields.uuid.match(UUID_PATTERN)[0]
+                : null;
+            const damPath = fields.path || fields.handle || null;
+
+            if (uuid || damPath) {
+                references.push({ type: 'link', uuid: uuid, path: damPath, repository: fields.repository || null });
+            }
+        }
+
+        return references;
+    }
+
+    /**
+     * Parse Magnolia imaging rendition URLs and public DAM URLs anywhere in the text
+     * Imaging references also carry the theme and variation they were rendered with.
+     */
+    parseDamUrls(text) {
+        const references = [];
+        const imagingRanges = [];
+
+        const imagingRegex = new RegExp(IMAGING_URL_PATTERN.source, 'g');
+        let match;
+        while ((match = imagingRegex.exec(text)) !== null) {
+            imagingRanges.push([match.index, match.index + match[0].length]);
+
+            const generator = match[1].split('/').filter(Boolean);
+            const isThemed = generator[0] === 'mte';
+            references.push({
+                type: 'url',
+                ...this._parseDamUrlPath(match[2]),
+                repository: 'dam',
+                url: match[0],
+                theme: isThemed ? generator[1] || null : null,
+                variation: isThemed ? generator.slice(2).join('/') || null : generator.join('/') || null
+            });
+        }
+
+        const damRegex = new RegExp(DAM_URL_PATTERN.source, 'g');
+        while ((match = damRegex.exec(text)) !== null) {
+            const index = match.index;
+            if (imagingRanges.some(([start, end]) => index >= start && index < end)) {
+                continue;
+            }
+
+            references.push({
+                type: 'url',
+                ...this._parseDamUrlPath(match[1]),
+                repository: 'dam',
+                url: match[0],
+                theme: null,
+                variation: null
+            });
+        }
+
+        return references;
+    }
+
+    /**
+     * Split the part of a DAM URL after /dam/ into a UUID or an asset path
+     * Drops the trailing /jcr:content/<file> rendition part.
+     */
+    _parseDamUrlPath(urlPath) {
+        const identifier = urlPath.match(new RegExp(`^jcr:(${UUID_PATTERN.source})`, 'i'));
+        if (identifier) {
+            return { uuid: identifier[1], path: null };
+        }
+
+        const assetPath = urlPath.replace(/\/jcr:content(\/.*)?$/, '');
+        return { uuid: null, path: '/' + assetPath };
+    }
+
+    /**
+     * Recognise a whole value that is a DAM path, e.g. "/site/img/hero.jpg" or "dam:/site/img/hero.jpg"
+     * Returns the path without the workspace prefix, or null.
+     */
+    parseDamPath(value) {
+        const match = value.match(DAM_PATH_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const damPath = match[1];
+        // Needs at least a folder and a name, and must not be a jcr: identifier
+        if (damPath.split('/').filter(Boolean).length < 2 || damPath.includes('/jcr:')) {
+            return null;
+        }
+
+        return damPath;
+    }
+
+    /**
+     * Undo HTML and URL escaping so escaped macros in system-view XML parse like plain ones
+     * Decodes repeatedly to handle double-escaped values such as "&amp;#123;".
+     */
+    decode(text) {
+        let decoded = text;
+
+        for (let i = 0; i < 3; i++) {
+            if (!/[&%]/.test(decoded)) break;
+
+            const next = decoded
+                .replace(/&#(\d+);/g, (match, code) => decodeCodePoint(match, parseInt(code, 10)))
+                .replace(/&#x([0-9a-f]+);/gi, (match, code) => decodeCodePoint(match, parseInt(code, 16)))
+                .replace(/&([a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] || match)
+                .replace(/%(7B|7D|24|3A|2F|2C)/gi, (match, code) => String.fromCharCode(parseInt(code, 16)));
+
+            if (next === decoded) break;
+            decoded = next;
+        }
+
+        return decoded;
+    }
+}
+
+/**
+ * The character of a numeric entity, or the entity itself when it is no valid code point
+ */
+function decodeCodePoint(entity, codePoint) {
+    return codePoint <= MAX_CODE_POINT ? String.fromCodePoint(codePoint) : entity;
+}
+
+module.exports = MagnoliaReferenceParser;
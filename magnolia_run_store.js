@@ -0,0 +1,136 @@
+/**
+ * Magnolia Run Store - Keep analysis runs on local disk for history, trends and permalinks
+ * Each run is a directory below the store root holding a small summary.json and the full results.json.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Run ids are generated by the store; anything else is rejected before it reaches the file system
+const RUN_ID_PATTERN = /^\d{8}T\d{6}Z-[0-9a-f]{6}$/;
+
+class MagnoliaRunStore {
+    /**
+     * @param {Object} options
+     *   directory - where runs are stored (default "runs")
+     *   logger - receives log/warn/error calls instead of the console
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || 'runs';
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Store a run ({timestamp, inputs, results, storage, folderRollup, assets, ...}) and return its summary
+     */
+    async save(run) {
+        const createdAt = run.timestamp || new Date().toISOString();
+        const id = `${createdAt.replace(/[-:]/g, '').replace(/\..+/, '')}Z-${crypto.randomBytes(3).toString('hex')}`;
+        const stored = { id, ...run, timestamp: createdAt };
+        const summary = MagnoliaRunStore.summarize(stored);
+
+        const runDirectory = path.join(this.directory, id);
+        await fs.mkdir(runDirectory, { recursive: true });
+        await fs.writeFile(path.join(runDirectory, 'results.json'), JSON.stringify(stored), 'utf8');
+        // The summary is written last, so list() never sees a run without its results
+        await fs.writeFile(path.join(runDirectory, 'summary.json'), JSON.stringify(summary, null, 2), 'utf8');
+
+        return summary;
+    }
+
+    /**
+     * List the summaries of all stored runs, oldest first
+     */
+    async list() {
+        let entries;
+        try {
+            entries = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const summaries = [];
+        for (const id of entries.filter(entry => RUN_ID_PATTERN.test(entry))) {
+            try {
+                summaries.push(JSON.parse(await fs.readFile(path.join(this.directory, id, 'summary.json'), 'utf8')));
+            } catch (error) {
+                this.logger.warn(`⚠️  Skipping unreadable run ${id}: ${error.message}`);
+            }
+        }
+
+        return summaries.sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Get the full results of a run, or null if there is no such run
+     */
+    async get(id) {
+        if (!MagnoliaRunStore.isRunId(id)) return null;
+
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.directory, id, 'results.json'), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a run; returns false if there was no such run
+     */
+    async delete(id) {
+        if (!MagnoliaRunStore.isRunId(id)) return false;
+
+        const runDirectory = path.join(this.directory, id);
+        try {
+            await fs.access(runDirectory);
+        } catch (error) {
+            return false;
+        }
+        await fs.rm(runDirectory, { recursive: true, force: true });
+        return true;
+    }
+
+    /**
+     * Build the list entry of a run: input names and the counts that are charted over time
+     */
+    static summarize(run) {
+        const results = run.results || {};
+        const storage = run.storage || {};
+        return {
+            id: run.id,
+            timestamp: run.timestamp,
+            inputs: (run.inputs || []).map(input => input.name),
+            totalAssets: results.totalAssets || 0,
+            referencedAssets: results.referencedAssets || 0,
+            unusedAssets: results.unusedAssets || 0,
+            ignoredAssets: results.ignoredAssets || 0,
+            brokenReferences: results.brokenReferences || 0,
+            duplicateGroups: results.duplicateGroups || 0,
+            totalBytes: storage.totalBytes || 0,
+            unusedBytes: storage.unusedBytes || 0
+        };
+    }
+
+    static isRunId(id) {
+        return typeof id === 'string' && RUN_ID_PATTERN.test(id);
+    }
+
+    /**
+     * SHA-256 of a file's bytes as stored (compressed inputs are hashed compressed), streamed
+     */
+    static hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fsSync.createReadStream(filePath)
+                .on('error', reject)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+}
+
+module.exports = MagnoliaRunStore;
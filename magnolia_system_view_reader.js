@@ -0,0 +1,142 @@
+/**
+ * Magnolia System View Reader - Stream JCR system-view XML exports node by node
+ * Keeps only the current sv:node ancestry in memory, so export size does not matter.
+ */
+
+const { StringDecoder } = require('string_decoder');
+const sax = require('sax');
+const MagnoliaInput = require('./magnolia_input');
+
+class MagnoliaSystemViewReader {
+    /**
+     * @param {Object} handlers - Optional callbacks:
+     *   nodeStart(node), property(node, property), valueChunk(node, property, chunk), nodeEnd(node)
+     */
+    constructor(handlers = {}) {
+        this.handlers = handlers;
+    }
+
+    /**
+     * Read a system-view export from a file path (optionally gzip/deflate compressed) or readable stream
+     * Binary property values are never buffered; they are passed to valueChunk piece by piece.
+     * afterChunk is passed on to pump(), e.g. for handlers that write to a stream and need to wait for it.
+     */
+    async read(input, afterChunk = null) {
+        const parser = sax.parser(true, { trim: false, normalize: false });
+
+        let currentNode = null;
+        let currentProperty = null;
+        let currentValue = null;
+
+        parser.onopentag = (tag) => {
+            if (tag.name === 'sv:node') {
+                const node = {
+                    name: tag.attributes['sv:name'] || null,
+                    attributes: tag.attributes,
+                    parent: currentNode,
+                    depth: currentNode ? currentNode.depth + 1 : 0,
+                    properties: {}
+                };
+                currentNode = node;
+                this._emit('nodeStart', node);
+            } else if (tag.name === 'sv:property') {
+                currentProperty = {
+                    name: tag.attributes['sv:name'] || null,
+                    type: tag.attributes['sv:type'] || null,
+                    attributes: tag.attributes,
+                    values: []
+                };
+            } else if (tag.name === 'sv:value' && currentProperty) {
+                currentValue = [];
+            }
+        };
+
+        const onText = (text) => {
+            if (currentValue === null) return;
+
+            if (currentProperty.type === 'Binary') {
+                this._emit('valueChunk', currentNode, currentProperty, text);
+            } else {
+                currentValue.push(text);
+            }
+        };
+        parser.ontext = onText;
+        parser.oncdata = onText;
+
+        parser.onclosetag = (tagName) => {
+            if (tagName === 'sv:value' && currentValue !== null) {
+                currentProperty.values.push(currentProperty.type === 'Binary' ? null : currentValue.join(''));
+                currentValue = null;
+            } else if (tagName === 'sv:property' && currentProperty) {
+                if (currentNode) {
+                    const firstValue = currentProperty.values[0];
+                    const value = typeof firstValue === 'string' ? firstValue.trim() : null;
+                    if (currentProperty.name && value) {
+                        currentNode.properties[currentProperty.name] = value;
+                    }
+                    this._emit('property', currentNode, currentProperty);
+                }
+                currentProperty = null;
+            } else if (tagName === 'sv:node' && currentNode) {
+                const node = currentNode;
+                this._emit('nodeEnd', node);
+                currentNode = node.parent;
+                // Drop the back-reference so finished subtrees can be collected
+                node.parent = null;
+            }
+        };
+
+        await MagnoliaSystemViewReader.pump(parser, input, afterChunk);
+    }
+
+    /**
+     * Feed a file path or readable stream through a sax parser chunk by chunk
+     * Parse errors reject instead of being skipped, so a truncated export is never half-read silently.
+     * afterChunk, if given, is awaited after every chunk (e.g. to wait for a slow output stream).
+     */
+    static async pump(parser, input, afterChunk = null) {
+        const source = typeof input === 'string' ? await MagnoliaInput.createReadStream(input) : input;
+        const decoder = new StringDecoder('utf8');
+
+        parser.onerror = (error) => {
+            throw error;
+        };
+
+        try {
+            for await (const chunk of source) {
+                parser.write(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+                if (afterChunk) {
+                    await afterChunk();
+                }
+            }
+            parser.write(decoder.end());
+            parser.close();
+        } finally {
+            source.destroy();
+        }
+    }
+
+    /**
+     * Get the sv:name path of a node from the export root, e.g. ['site', 'images', 'hero']
+     */
+    static getNodePath(node) {
+        const names = [];
+        let current = node;
+        while (current) {
+            if (current.name) {
+                names.unshift(current.name);
+            }
+            current = current.parent;
+        }
+        return names;
+    }
+
+    _emit(event, ...args) {
+        const handler = this.handlers[event];
+        if (handler) {
+            handler(...args);
+        }
+    }
+}
+
+module.exports = MagnoliaSystemViewReader;
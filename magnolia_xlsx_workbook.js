@@ -0,0 +1,300 @@
+/**
+ * Magnolia XLSX Workbook - Write analysis results as an Excel workbook, one sheet per report
+ * Builds the SpreadsheetML parts by hand and zips them with yazl; sheets are streamed row by row into the archive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+const yazl = require('yazl');
+
+const pipeline = util.promisify(stream.pipeline);
+
+// Fields written as numbers, e.g. size "245760" -> 245760, so Excel can sum and sort them
+const NUMBER_FIELD_PATTERN = /^(size|width|height|depth|line|group|copies|referenceCount|percentUnused)$|(Assets|Bytes|Copies|References|Searched)$/;
+
+// Fields written as dates, e.g. lastModified "2024-01-01T12:00:00.000+01:00"
+const DATE_FIELD_PATTERN = /^(created|lastModified|timestamp|generated)$/;
+
+// Longest text Excel accepts in one cell
+const MAX_CELL_LENGTH = 32767;
+
+// Rows looked at to size the columns
+const WIDTH_SAMPLE_ROWS = 200;
+
+// Days between Excel's epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+
+// Cell styles, as indexes into cellXfs of styles.xml
+const STYLE_DEFAULT = 0;
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+
+const NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="${NAMESPACE}">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>
+`;
+
+class MagnoliaXlsxWorkbook {
+    /**
+     * @param {Object} options
+     *   formatValue - turns arrays and objects (e.g. reference sites) into cell text (default: JSON)
+     */
+    constructor(options = {}) {
+        this.formatValue = options.formatValue || (value => JSON.stringify(value));
+        this.sheets = [];
+    }
+
+    /**
+     * Add a sheet of rows; fields picks the columns (default: every key of the rows, in first-seen order)
+     * Each column is typed by its field name: numbers (size, counts, bytes), dates (created, lastModified) or text.
+     */
+    addSheet(name, rows, fields = null) {
+        const columnFields = fields && fields.length > 0 ? fields : [...new Set(rows.flatMap(row => Object.keys(row)))];
+        this.sheets.push({
+            name: this._uniqueSheetName(name),
+            rows: rows,
+            columns: columnFields.map(field => ({ field, type: getColumnType(field) }))
+        });
+        return this;
+    }
+
+    /**
+     * Add a two-column sheet of label/value pairs; numbers and Date objects keep their type
+     */
+    addSummarySheet(name, items) {
+        this.sheets.push({
+            name: this._uniqueSheetName(name),
+            rows: items.map(item => ({ Item: item.label, Value: item.value })),
+            columns: [{ field: 'Item', type: 'text' }, { field: 'Value', type: 'auto' }]
+        });
+        return this;
+    }
+
+    /**
+     * Get the workbook as a readable stream of the .xlsx file
+     */
+    createReadStream() {
+        const zip = new yazl.ZipFile();
+        const sheetEntries = this.sheets.map((sheet, index) => ({ ...sheet, id: index + 1 }));
+
+        zip.addBuffer(Buffer.from(this._contentTypesXml(sheetEntries)), '[Content_Types].xml');
+        zip.addBuffer(Buffer.from(ROOT_RELS_XML), '_rels/.rels');
+        zip.addBuffer(Buffer.from(this._workbookXml(sheetEntries)), 'xl/workbook.xml');
+        zip.addBuffer(Buffer.from(this._workbookRelsXml(sheetEntries)), 'xl/_rels/workbook.xml.rels');
+        zip.addBuffer(Buffer.from(STYLES_XML), 'xl/styles.xml');
+        for (const sheet of sheetEntries) {
+            zip.addReadStream(stream.Readable.from(this._sheetXml(sheet)), `xl/worksheets/sheet${sheet.id}.xml`);
+        }
+        zip.end();
+
+        return zip.outputStream;
+    }
+
+    async write(outputFile) {
+        await fs.promises.mkdir(path.dirname(outputFile), { recursive: true });
+        await pipeline(this.createReadStream(), fs.createWriteStream(outputFile));
+    }
+
+    /**
+     * Generate the XML of one worksheet: frozen header row, column widths, typed cells and an autofilter
+     */
+    * _sheetXml(sheet) {
+        const { columns, rows } = sheet;
+        const lastCell = columns.length > 0 ? `${columnName(columns.length - 1)}${rows.length + 1}` : null;
+
+        yield `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="${NAMESPACE}" xmlns:r="${RELATIONSHIPS_NAMESPACE}">`;
+        yield '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>';
+        yield '<sheetFormatPr defaultRowHeight="15"/>';
+
+        if (columns.length > 0) {
+            const widths = this._columnWidths(sheet);
+            yield `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`;
+        }
+
+        yield '<sheetData>';
+        yield `<row r="1">${columns.map((column, index) => textCell(`${columnName(index)}1`, column.field, STYLE_HEADER)).join('')}</row>`;
+        for (const [rowIndex, row] of rows.entries()) {
+            const rowNumber = rowIndex + 2;
+            const cells = columns.map((column, index) => this._cell(`${columnName(index)}${rowNumber}`, row[column.field], column.type));
+            yield `<row r="${rowNumber}">${cells.join('')}</row>`;
+        }
+        yield '</sheetData>';
+
+        if (lastCell) {
+            yield `<autoFilter ref="A1:${lastCell}"/>`;
+        }
+        yield '</worksheet>';
+    }
+
+    _cell(reference, value, type) {
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+
+        if (type === 'auto') {
+            type = typeof value === 'number' ? 'number' : value instanceof Date ? 'date' : 'text';
+        }
+        if (type === 'number') {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (Number.isFinite(number)) {
+                return `<c r="${reference}"><v>${number}</v></c>`;
+            }
+        }
+        if (type === 'date') {
+            const time = value instanceof Date ? value.getTime() : Date.parse(value);
+            if (!Number.isNaN(time)) {
+                return `<c r="${reference}" s="${STYLE_DATE}"><v>${time / 86400000 + EXCEL_EPOCH_OFFSET_DAYS}</v></c>`;
+            }
+        }
+
+        const text = Array.isArray(value) || typeof value === 'object' ? this.formatValue(value) : String(value);
+        return textCell(reference, text, STYLE_DEFAULT);
+    }
+
+    /**
+     * Column widths in characters, from the header and the first rows, between 8 and 60
+     */
+    _columnWidths(sheet) {
+        const sample = sheet.rows.slice(0, WIDTH_SAMPLE_ROWS);
+        return sheet.columns.map(column => {
+            if (column.type === 'date') {
+                return 20;
+            }
+            const lengths = sample.map(row => {
+                const value = row[column.field];
+                if (value === null || value === undefined) return 0;
+                return (typeof value === 'object' ? this.formatValue(value) : String(value)).length;
+            });
+            return Math.min(60, Math.max(8, column.field.length + 2, ...lengths.map(length => length + 2)));
+        });
+    }
+
+    /**
+     * Sheet names are at most 31 characters, without []:*?/\ and unique within the workbook
+     */
+    _uniqueSheetName(name) {
+        const base = String(name).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet';
+        let candidate = base;
+        for (let counter = 2; this.sheets.some(sheet => sheet.name.toLowerCase() === candidate.toLowerCase()); counter++) {
+            candidate = `${base.slice(0, 31 - String(counter).length - 1)} ${counter}`;
+        }
+        return candidate;
+    }
+
+    _contentTypesXml(sheets) {
+        const overrides = sheets.map(sheet =>
+            `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`);
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${overrides.join('\n')}
+</Types>
+`;
+    }
+
+    _workbookXml(sheets) {
+        const sheetElements = sheets.map(sheet => `<sheet name="${escapeXml(sheet.name)}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`);
+        // Excel keeps each sheet's autofilter range in a hidden defined name
+        const filterNames = sheets
+            .filter(sheet => sheet.columns.length > 0)
+            .map(sheet => {
+                const range = `'${sheet.name.replace(/'/g, "''")}'!$A$1:$${columnName(sheet.columns.length - 1)}$${sheet.rows.length + 1}`;
+                return `<definedName name="_xlnm._FilterDatabase" localSheetId="${sheet.id - 1}" hidden="1">${escapeXml(range)}</definedName>`;
+            });
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="${NAMESPACE}" xmlns:r="${RELATIONSHIPS_NAMESPACE}">
+<bookViews><workbookView/></bookViews>
+<sheets>${sheetElements.join('')}</sheets>
+${filterNames.length > 0 ? `<definedNames>${filterNames.join('')}</definedNames>` : ''}
+</workbook>
+`;
+    }
+
+    _workbookRelsXml(sheets) {
+        const relationships = sheets.map(sheet =>
+            `<Relationship Id="rId${sheet.id}" Type="${RELATIONSHIPS_NAMESPACE}/worksheet" Target="worksheets/sheet${sheet.id}.xml"/>`);
+        relationships.push(`<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIPS_NAMESPACE}/styles" Target="styles.xml"/>`);
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${relationships.join('\n')}
+</Relationships>
+`;
+    }
+}
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${RELATIONSHIPS_NAMESPACE}/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>
+`;
+
+function getColumnType(field) {
+    if (NUMBER_FIELD_PATTERN.test(field)) {
+        return 'number';
+    }
+    return DATE_FIELD_PATTERN.test(field) ? 'date' : 'text';
+}
+
+/**
+ * Inline string cell; text stays text, so UUIDs and leading zeros survive
+ */
+function textCell(reference, text, style) {
+    if (text.length > MAX_CELL_LENGTH) {
+        // Cut between code points: half a surrogate pair is not a valid XML character
+        let end = MAX_CELL_LENGTH - 3;
+        if (/[\ud800-\udbff]/.test(text.charAt(end - 1))) {
+            end--;
+        }
+        text = text.slice(0, end) + '...';
+    }
+    const styleAttribute = style !== STYLE_DEFAULT ? ` s="${style}"` : '';
+    return `<c r="${reference}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+/**
+ * Column letters of a zero-based column index: 0 -> "A", 26 -> "AA"
+ */
+function columnName(index) {
+    let name = '';
+    for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+        name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Escape text for XML, dropping control characters that XML 1.0 does not allow
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\ufffe\uffff]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+MagnoliaXlsxWorkbook.NUMBER_FIELD_PATTERN = NUMBER_FIELD_PATTERN;
+MagnoliaXlsxWorkbook.DATE_FIELD_PATTERN = DATE_FIELD_PATTERN;
+
+module.exports = MagnoliaXlsxWorkbook;
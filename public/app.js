@@ -1,14 +1,31 @@
 // Global variables
 let analysisResults = null;
+let diffResults = null;
+let currentJobId = null;
+
+// Progress bar labels of the analysis job phases
+const PHASE_LABELS = {
+    queued: 'Waiting to start',
+    unpacking: 'Unpacking bundle',
+    extracting: 'Reading DAM exports',
+    scanning: 'Scanning page exports',
+    analyzing: 'Analyzing results'
+};
 
 // DOM elements
 const uploadForm = document.getElementById('uploadForm');
 const assetFileInput = document.getElementById('assetFile');
 const pageFileInput = document.getElementById('pageFile');
+const bundleFileInput = document.getElementById('bundleFile');
+const modulesFileInput = document.getElementById('modulesFile');
 const analyzeButton = document.getElementById('analyzeButton');
 const loading = document.getElementById('loading');
 const error = document.getElementById('error');
 const results = document.getElementById('results');
+const diffForm = document.getElementById('diffForm');
+const previousFilesInput = document.getElementById('previousFiles');
+const currentFilesInput = document.getElementById('currentFiles');
+const compareButton = document.getElementById('compareButton');
 
 // File upload handling
 function setupFileHandlers() {
@@ -24,29 +41,62 @@ function setupFileHandlers() {
         checkFormValidity();
     });
     
+    // Bundle file handler
+    bundleFileInput.addEventListener('change', function(e) {
+        handleFileSelect(e.target, 'bundleFileInfo', 'Export Bundle');
+        checkFormValidity();
+    });
+    
+    // Light modules handler
+    modulesFileInput.addEventListener('change', function(e) {
+        handleFileSelect(e.target, 'modulesFileInfo', 'Light Modules');
+        checkFormValidity();
+    });
+    
     // Drag and drop handlers
     setupDragAndDrop('assetUploadArea', assetFileInput);
     setupDragAndDrop('pageUploadArea', pageFileInput);
+    setupDragAndDrop('bundleUploadArea', bundleFileInput);
+    setupDragAndDrop('modulesUploadArea', modulesFileInput);
+    
+    // Run comparison handlers
+    previousFilesInput.addEventListener('change', function(e) {
+        handleFileSelect(e.target, 'previousFilesInfo', 'Previous Run');
+        checkDiffFormValidity();
+    });
+    
+    currentFilesInput.addEventListener('change', function(e) {
+        handleFileSelect(e.target, 'currentFilesInfo', 'Current Run');
+        checkDiffFormValidity();
+    });
+    
+    setupDragAndDrop('previousUploadArea', previousFilesInput);
+    setupDragAndDrop('currentUploadArea', currentFilesInput);
 }
 
 function handleFileSelect(input, infoId, label) {
-    const file = input.files[0];
+    const files = Array.from(input.files);
     const infoDiv = document.getElementById(infoId);
     
-    if (file) {
+    if (files.length > 0) {
         const maxSize = 200 * 1024 * 1024; // 200MB
-        const sizeWarning = file.size > maxSize ? 
-            '<br><small style="color: #dc3545;">⚠️ File exceeds 200MB limit</small>' : '';
         
-        const sizeDisplay = file.size > maxSize ? 
-            `<span style="color: #dc3545;">${formatFileSize(file.size)}</span>` : 
-            formatFileSize(file.size);
+        infoDiv.innerHTML = files.map(file => {
+            const sizeWarning = file.size > maxSize ? 
+                '<br><small style="color: #dc3545;">⚠️ File exceeds 200MB limit</small>' : '';
             
-        infoDiv.innerHTML = `
-            <strong>${label}:</strong> ${file.name}<br>
-            <small>Size: ${sizeDisplay} | Type: ${file.type || 'Unknown'}</small>
-            ${sizeWarning}
-        `;
+            const sizeDisplay = file.size > maxSize ? 
+                `<span style="color: #dc3545;">${formatFileSize(file.size)}</span>` : 
+                formatFileSize(file.size);
+                
+            return `
+                <div>
+                    <strong>${label}:</strong> ${escapeHtml(file.name)}<br>
+                    <small>Size: ${sizeDisplay} | Type: ${file.type || 'Unknown'}</small>
+                    ${sizeWarning}
+                </div>
+            `;
+        }).join('');
         infoDiv.classList.add('show');
     } else {
         infoDiv.classList.remove('show');
@@ -81,15 +131,21 @@ function setupDragAndDrop(areaId, input) {
 function checkFormValidity() {
     const hasAssetFile = assetFileInput.files.length > 0;
     const hasPageFile = pageFileInput.files.length > 0;
+    const hasBundleFile = bundleFileInput.files.length > 0;
     
     const maxSize = 200 * 1024 * 1024; // 200MB
     const assetFileValid = !hasAssetFile || assetFileInput.files[0].size <= maxSize;
-    const pageFileValid = !hasPageFile || pageFileInput.files[0].size <= maxSize;
+    const pageFileValid = Array.from(pageFileInput.files).every(file => file.size <= maxSize);
+    const bundleFileValid = !hasBundleFile || bundleFileInput.files[0].size <= maxSize;
+    const modulesFileValid = modulesFileInput.files.length === 0 || modulesFileInput.files[0].size <= maxSize;
     
-    const allValid = hasAssetFile && hasPageFile && assetFileValid && pageFileValid;
+    // A bundle may supply the asset export, the page exports or both
+    const hasInputs = hasBundleFile || (hasAssetFile && hasPageFile);
+    const filesValid = assetFileValid && pageFileValid && bundleFileValid && modulesFileValid;
+    const allValid = hasInputs && filesValid;
     analyzeButton.disabled = !allValid;
     
-    if (hasAssetFile && hasPageFile && (!assetFileValid || !pageFileValid)) {
+    if (hasInputs && !filesValid) {
         analyzeButton.textContent = '❌ Files too large (max 200MB each)';
         analyzeButton.style.background = '#dc3545';
     } else if (allValid) {
@@ -101,6 +157,17 @@ function checkFormValidity() {
     }
 }
 
+function checkDiffFormValidity() {
+    const maxSize = 200 * 1024 * 1024; // 200MB
+    const files = [...previousFilesInput.files, ...currentFilesInput.files];
+    const hasInputs = previousFilesInput.files.length > 0 && currentFilesInput.files.length > 0;
+    const filesValid = files.every(file => file.size <= maxSize);
+    
+    compareButton.disabled = !(hasInputs && filesValid);
+    compareButton.textContent = hasInputs && !filesValid ? '❌ Files too large (max 200MB each)' : '🔀 Compare Runs';
+    compareButton.style.background = !hasInputs ? '#6c757d' : (filesValid ? '#28a745' : '#dc3545');
+}
+
 function formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -118,8 +185,18 @@ uploadForm.addEventListener('submit', async function(e) {
     hideResults();
     
     const formData = new FormData();
-    formData.append('assetFile', assetFileInput.files[0]);
-    formData.append('pageFile', pageFileInput.files[0]);
+    if (assetFileInput.files.length > 0) {
+        formData.append('assetFile', assetFileInput.files[0]);
+    }
+    for (const pageFile of pageFileInput.files) {
+        formData.append('pageFile', pageFile);
+    }
+    if (bundleFileInput.files.length > 0) {
+        formData.append('bundleFile', bundleFileInput.files[0]);
+    }
+    if (modulesFileInput.files.length > 0) {
+        formData.append('modulesFile', modulesFileInput.files[0]);
+    }
     
     try {
         // Add timeout for large files (10 minutes)
@@ -134,18 +211,30 @@ uploadForm.addEventListener('submit', async function(e) {
         
         clearTimeout(timeoutId);
         
-        const result = await response.json();
+        const job = await response.json();
         
         if (!response.ok) {
             if (response.status === 413) {
                 throw new Error('File too large. Please use files smaller than 200MB.');
             }
-            throw new Error(result.error || 'Analysis failed');
+            throw new Error(formatUnrecognizedFiles(job.error || 'Analysis failed', job.unrecognizedFiles));
         }
         
+        // The upload is done; the analysis itself runs as a job on the server
+        currentJobId = job.jobId;
+        const cancelButton = document.getElementById('cancelButton');
+        cancelButton.disabled = false;
+        cancelButton.style.display = 'inline-block';
+        const result = await waitForJob(job.jobId);
+        
         analysisResults = result;
         displayResults(result);
         
+        // Make the address bar the shareable permalink of this run
+        if (result.permalink) {
+            history.replaceState(null, '', result.permalink);
+        }
+        
     } catch (err) {
         if (err.name === 'AbortError') {
             showError('Request timed out. Please try with smaller files or check your connection.');
@@ -153,12 +242,90 @@ uploadForm.addEventListener('submit', async function(e) {
             showError(err.message);
         }
     } finally {
+        currentJobId = null;
         hideLoading();
     }
 });
 
+// Follow a job's progress events until it finishes; resolves with its results
+function waitForJob(jobId) {
+    return new Promise((resolve, reject) => {
+        const events = new EventSource(`/jobs/${encodeURIComponent(jobId)}/events`);
+        
+        events.addEventListener('progress', function(e) {
+            displayProgress(JSON.parse(e.data).progress);
+        });
+        
+        events.addEventListener('completed', async function() {
+            events.close();
+            try {
+                const response = await fetch(`/jobs/${encodeURIComponent(jobId)}`);
+                const job = await response.json();
+                if (!response.ok) {
+                    throw new Error(job.error || 'Could not load the analysis results');
+                }
+                resolve(job.result);
+            } catch (err) {
+                reject(err);
+            }
+        });
+        
+        events.addEventListener('failed', function(e) {
+            events.close();
+            const job = JSON.parse(e.data);
+            reject(new Error(formatUnrecognizedFiles(job.error.message || 'Analysis failed', job.error.unrecognizedFiles)));
+        });
+        
+        events.addEventListener('cancelled', function() {
+            events.close();
+            reject(new Error('Analysis cancelled.'));
+        });
+        
+        // EventSource reconnects by itself after network hiccups; a closed source means the job is gone
+        events.onerror = function() {
+            if (events.readyState === EventSource.CLOSED) {
+                reject(new Error('Lost the connection to the analysis job.'));
+            }
+        };
+    });
+}
+
+async function cancelAnalysis() {
+    if (!currentJobId) return;
+    
+    document.getElementById('cancelButton').disabled = true;
+    document.getElementById('progressText').textContent = 'Cancelling...';
+    try {
+        await fetch(`/jobs/${encodeURIComponent(currentJobId)}/cancel`, { method: 'POST' });
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+function displayProgress(progress, message) {
+    const percent = progress ? progress.percent : 0;
+    document.getElementById('progressFill').style.width = `${percent}%`;
+    document.getElementById('progressText').textContent = message ||
+        `${PHASE_LABELS[progress.phase] || progress.phase}... ${Math.round(percent)}%`;
+    
+    const details = [];
+    if (progress && progress.file) {
+        details.push(progress.fileCount > 1 ? `${progress.file} (${progress.fileIndex + 1} of ${progress.fileCount})` : progress.file);
+    }
+    if (progress && progress.assetsParsed) {
+        details.push(`${progress.assetsParsed.toLocaleString()} assets parsed`);
+    }
+    if (progress && progress.matchesFound) {
+        details.push(`${progress.matchesFound.toLocaleString()} referenced assets found`);
+    }
+    document.getElementById('progressDetail').textContent = details.join(' · ');
+}
+
 // Display functions
-function showLoading() {
+function showLoading(message = 'Uploading files...') {
+    displayProgress(null, message);
+    // Only a running job can be cancelled
+    document.getElementById('cancelButton').style.display = 'none';
     loading.classList.add('show');
 }
 
@@ -199,16 +366,41 @@ function displayResults(data) {
             <div class="summary-number">${data.results.unusedAssets}</div>
             <div class="summary-label">Unused Assets</div>
         </div>
+        ${data.results.brokenReferences ? `
+        <div class="summary-item">
+            <div class="summary-number">${data.results.brokenReferences}</div>
+            <div class="summary-label">Broken References</div>
+        </div>` : ''}
+        ${data.results.ignoredAssets ? `
+        <div class="summary-item">
+            <div class="summary-number">${data.results.ignoredAssets}</div>
+            <div class="summary-label">Ignored / Protected</div>
+        </div>` : ''}
         <div class="summary-item">
             <div class="summary-number">${Math.round((data.results.referencedAssets / data.results.totalAssets) * 100)}%</div>
             <div class="summary-label">Usage Rate</div>
         </div>
+        ${data.storage ? `
+        <div class="summary-item">
+            <div class="summary-number">${formatFileSize(data.storage.unusedBytes)}</div>
+            <div class="summary-label">Reclaimable Storage</div>
+        </div>` : ''}
     `;
     
+    displayStorageBreakdown(data.storage);
+    
+    displayRunPermalink(data);
+    
+    displayBundleWarnings(data.files.unrecognizedFiles);
+    
     // Display asset lists
     displayAssetList('allAssets', data.assets.all);
     displayAssetList('unusedAssets', data.assets.unused);
     displayAssetList('referencedAssets', data.assets.referenced);
+    displayAssetList('ignoredAssets', data.assets.ignored);
+    displayFolderRollup(data.folderRollup);
+    displayBrokenReferences(data.brokenReferences);
+    displayDuplicates(data.duplicates);
     
     showResults();
     
@@ -216,6 +408,80 @@ function displayResults(data) {
     results.scrollIntoView({ behavior: 'smooth' });
 }
 
+function displayRunPermalink(data) {
+    const container = document.getElementById('runPermalink');
+    
+    if (!data.permalink) {
+        container.classList.remove('show');
+        container.innerHTML = '';
+        return;
+    }
+    
+    const url = new URL(data.permalink, window.location.origin).href;
+    container.innerHTML = `
+        🔗 <strong>Permalink</strong> (run of ${escapeHtml(new Date(data.timestamp).toLocaleString())}):
+        <input type="text" id="permalinkUrl" value="${escapeHtml(url)}" readonly onclick="this.select()">
+        <button class="download-button" onclick="copyPermalink()">📋 Copy</button>
+    `;
+    container.classList.add('show');
+}
+
+async function copyPermalink() {
+    const input = document.getElementById('permalinkUrl');
+    try {
+        await navigator.clipboard.writeText(input.value);
+    } catch (err) {
+        // Clipboard access needs a secure context; fall back to selecting the link
+        input.select();
+    }
+}
+
+// Open a stored run from a permalink (/?run=<id>)
+async function loadRunFromPermalink() {
+    const runId = new URLSearchParams(window.location.search).get('run');
+    if (!runId) return;
+    
+    showLoading('Loading stored run...');
+    try {
+        const response = await fetch(`/runs/${encodeURIComponent(runId)}`);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Could not load the run');
+        }
+        
+        analysisResults = result;
+        displayResults(result);
+    } catch (err) {
+        showError(err.message);
+    } finally {
+        hideLoading();
+    }
+}
+
+function displayBundleWarnings(unrecognizedFiles) {
+    const container = document.getElementById('bundleWarnings');
+    
+    if (!unrecognizedFiles || unrecognizedFiles.length === 0) {
+        container.classList.remove('show');
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.innerHTML = `
+        <strong>⚠️ ${unrecognizedFiles.length} file${unrecognizedFiles.length === 1 ? '' : 's'} in the bundle were not analyzed:</strong>
+        <ul>${unrecognizedFiles.map(file => `<li>${escapeHtml(file.name)}: ${escapeHtml(file.reason)}</li>`).join('')}</ul>
+    `;
+    container.classList.add('show');
+}
+
+function formatUnrecognizedFiles(message, unrecognizedFiles) {
+    if (!unrecognizedFiles || unrecognizedFiles.length === 0) {
+        return message;
+    }
+    return `${message}. Not recognised in the bundle: ${unrecognizedFiles.map(file => `${file.name} (${file.reason})`).join(', ')}`;
+}
+
 function displayAssetList(containerId, assets) {
     const container = document.getElementById(containerId);
     
@@ -230,15 +496,206 @@ function displayAssetList(containerId, assets) {
                 <div class="asset-name">${escapeHtml(asset.fileName || asset.assetName || 'Unknown')}</div>
                 <div class="asset-uuid">${escapeHtml(asset.uuid || 'N/A')}</div>
                 <div class="asset-location">Location: ${escapeHtml(asset.location || 'root')}</div>
+                ${asset.referencedIn ? `<div class="asset-location">Used in: ${escapeHtml(asset.referencedIn.join(', '))}</div>` : ''}
+                ${asset.referenceTypes ? `<div class="asset-location">Referenced by: ${escapeHtml(asset.referenceTypes.join(', '))}</div>` : ''}
+                ${asset.ignoreReason ? `<div class="asset-location">Ignored: ${escapeHtml(asset.ignoreReason)}</div>` : ''}
+                ${renderReferenceSites(asset.references)}
             </div>
             <div class="asset-info">
                 <div>Type: ${escapeHtml(asset.mimeType || 'Unknown')}</div>
-                <div>Size: ${asset.size !== 'N/A' ? formatFileSize(parseInt(asset.size) || 0) : 'Unknown'}</div>
+                <div>Size: ${asset.size != null && asset.size !== 'N/A' ? formatFileSize(parseInt(asset.size) || 0) : 'Unknown'}</div>
+                ${asset.width && asset.height ? `<div>Dimensions: ${escapeHtml(`${asset.width}×${asset.height}`)}</div>` : ''}
+                ${asset.lastModified ? `<div>Modified: ${escapeHtml(asset.lastModified.slice(0, 10))}</div>` : ''}
             </div>
         </div>
     `).join('');
 }
 
+function displayStorageBreakdown(storage) {
+    const container = document.getElementById('storageBreakdown');
+    
+    if (!storage || storage.totalAssets === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const categories = storage.categories.filter(category => category.totalAssets > 0);
+    const largestCategory = Math.max(...categories.map(category => category.totalBytes), 1);
+    
+    container.innerHTML = `
+        <div class="storage-chart">
+            <h3>💾 Storage by Usage</h3>
+            ${renderStorageRow('All assets', `${formatFileSize(storage.totalBytes)} in ${storage.totalAssets} assets`, storage, storage.totalBytes || 1)}
+            ${renderStorageRow('Referenced', `${formatFileSize(storage.referencedBytes)} in ${storage.referencedAssets} assets`, { referencedBytes: storage.referencedBytes, unusedBytes: 0 }, storage.totalBytes || 1)}
+            ${renderStorageRow('Unused', `${formatFileSize(storage.unusedBytes)} in ${storage.unusedAssets} assets`, { referencedBytes: 0, unusedBytes: storage.unusedBytes }, storage.totalBytes || 1)}
+            ${storage.ignoredAssets ? renderStorageRow('Ignored', `${formatFileSize(storage.ignoredBytes)} in ${storage.ignoredAssets} assets`, { ignoredBytes: storage.ignoredBytes }, storage.totalBytes || 1) : ''}
+            ${renderStorageLegend(storage.ignoredAssets > 0)}
+        </div>
+        <div class="storage-chart">
+            <h3>🗂️ Storage by Type</h3>
+            ${categories.map(category => renderStorageRow(
+                category.label,
+                `${category.totalAssets} assets, ${formatFileSize(category.totalBytes)} (${category.unusedAssets} unused, ${formatFileSize(category.unusedBytes)})`,
+                category,
+                largestCategory
+            )).join('')}
+            ${renderStorageLegend(storage.ignoredAssets > 0)}
+        </div>
+    `;
+}
+
+function renderStorageRow(label, detail, totals, scale) {
+    const referencedWidth = ((totals.referencedBytes || 0) / scale) * 100;
+    const unusedWidth = ((totals.unusedBytes || 0) / scale) * 100;
+    const ignoredWidth = ((totals.ignoredBytes || 0) / scale) * 100;
+    
+    return `
+        <div class="storage-row">
+            <div class="storage-row-label">
+                <strong>${escapeHtml(label)}</strong>
+                <span>${escapeHtml(detail)}</span>
+            </div>
+            <div class="storage-bar">
+                <div class="referenced" style="width: ${referencedWidth}%"></div>
+                <div class="unused" style="width: ${unusedWidth}%"></div>
+                <div class="ignored" style="width: ${ignoredWidth}%"></div>
+            </div>
+        </div>
+    `;
+}
+
+function renderStorageLegend(showIgnored = false) {
+    return `
+        <div class="storage-legend">
+            <span style="background: #28a745"></span>Referenced
+            <span style="background: #dc3545"></span>Unused
+            ${showIgnored ? '<span style="background: #6c757d"></span>Ignored' : ''}
+        </div>
+    `;
+}
+
+function displayBrokenReferences(references) {
+    const container = document.getElementById('brokenReferences');
+    
+    if (!references || references.length === 0) {
+        container.innerHTML = '<div class="asset-item">No broken references found</div>';
+        return;
+    }
+    
+    const rows = references.map(reference => `
+        <tr>
+            <td>${escapeHtml(reference.path || '(path unknown)')}<br><small>${escapeHtml(reference.source)}</small></td>
+            <td>${escapeHtml(reference.property || '')}</td>
+            <td><code>${escapeHtml(reference.uuid)}</code></td>
+            <td>${escapeHtml(reference.type)}</td>
+        </tr>
+    `).join('');
+    
+    container.innerHTML = `
+        <table class="broken-table">
+            <thead>
+                <tr><th>Page</th><th>Property</th><th>Missing asset</th><th>Reference</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Headings of the duplicate group types, as returned in each group's match field
+const DUPLICATE_MATCH_LABELS = {
+    content: 'Identical content',
+    'name-size': 'Same file name and size',
+    'similar-name': 'Similar file name'
+};
+
+function displayDuplicates(groups) {
+    const container = document.getElementById('duplicateGroups');
+    
+    if (!groups || groups.length === 0) {
+        container.innerHTML = '<div class="asset-item">No duplicate assets found</div>';
+        return;
+    }
+    
+    const rows = groups.map(group => `
+        <tr class="duplicate-group">
+            <th colspan="4">
+                <strong>${escapeHtml(DUPLICATE_MATCH_LABELS[group.match] || group.match)}</strong>: ${escapeHtml(group.key)}
+                <small>(${group.copies} copies, ${group.referencedCopies} referenced, ${group.unusedCopies} unused)</small>
+            </th>
+        </tr>
+        ${group.assets.map(asset => `
+        <tr>
+            <td>${escapeHtml(asset.fileName)}<br><small>${escapeHtml(asset.location)}</small></td>
+            <td><code>${escapeHtml(asset.uuid)}</code></td>
+            <td>${asset.size ? formatFileSize(parseInt(asset.size, 10)) : ''}</td>
+            <td><span class="duplicate-status ${asset.status}">${asset.status}</span></td>
+        </tr>`).join('')}
+    `).join('');
+    
+    container.innerHTML = `
+        <table class="duplicate-table">
+            <thead>
+                <tr><th>Asset</th><th>UUID</th><th>Size</th><th>Status</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function displayFolderRollup(folders) {
+    const container = document.getElementById('folderRollup');
+    
+    if (!folders || folders.length === 0) {
+        container.innerHTML = '<div class="asset-item">No folders found</div>';
+        return;
+    }
+    
+    const rows = folders.map(folder => `
+        <tr>
+            <td style="padding-left: ${15 + folder.depth * 20}px">${escapeHtml(folder.folder)}</td>
+            <td>${folder.totalAssets}</td>
+            <td>${folder.unusedAssets}</td>
+            <td>${folder.percentUnused}%<span class="folder-bar"><span style="width: ${folder.percentUnused}%"></span></span></td>
+            <td>${formatFileSize(folder.unusedBytes)}</td>
+        </tr>
+    `).join('');
+    
+    container.innerHTML = `
+        <table class="folder-table">
+            <thead>
+                <tr><th>Folder</th><th>Assets</th><th>Unused</th><th>% Unused</th><th>Reclaimable</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function renderReferenceSites(references) {
+    if (!references || references.length === 0) {
+        return '';
+    }
+    
+    const items = references.map(site => `
+        <li>${escapeHtml(formatReferenceSite(site))}</li>
+    `).join('');
+    
+    return `
+        <details class="asset-references">
+            <summary>${references.length} reference${references.length === 1 ? '' : 's'}</summary>
+            <ul>${items}</ul>
+        </details>
+    `;
+}
+
+function formatReferenceSite(site) {
+    if (site.type === 'code') {
+        return `${site.path}:${site.line} (code)`;
+    }
+    const location = site.path ? `${site.path} [${site.property}]` : '(path unknown)';
+    const type = site.type && site.type !== 'uuid' ? `, by ${site.type}` : '';
+    return `${location} (${site.source}${type})`;
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -256,6 +713,100 @@ function showTab(tabName) {
     document.getElementById(`tab-${tabName}`).classList.add('active');
 }
 
+// Run comparison
+diffForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const diffLoading = document.getElementById('diffLoading');
+    const diffError = document.getElementById('diffError');
+    diffError.classList.remove('show');
+    document.getElementById('diffResults').classList.remove('show');
+    diffLoading.classList.add('show');
+    compareButton.disabled = true;
+    
+    const formData = new FormData();
+    Array.from(previousFilesInput.files).forEach(file => formData.append('previousFiles', file));
+    Array.from(currentFilesInput.files).forEach(file => formData.append('currentFiles', file));
+    
+    try {
+        const response = await fetch('/diff', {
+            method: 'POST',
+            body: formData
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Comparison failed');
+        }
+        
+        diffResults = result;
+        displayDiffResults(result);
+    } catch (err) {
+        console.error('Diff error:', err);
+        diffError.textContent = err.message || 'An error occurred while comparing the runs';
+        diffError.classList.add('show');
+    } finally {
+        diffLoading.classList.remove('show');
+        checkDiffFormValidity();
+    }
+});
+
+function displayDiffResults(data) {
+    const labels = {
+        became_unused: 'Became Unused',
+        became_referenced: 'Became Referenced',
+        became_ignored: 'Became Ignored',
+        added: 'Added',
+        removed: 'Removed',
+        moved: 'Moved'
+    };
+    
+    document.getElementById('diffSummary').innerHTML = Object.keys(labels).map(type => `
+        <div class="summary-item">
+            <div class="summary-number">${data.results[type]}</div>
+            <div class="summary-label">${labels[type]}</div>
+        </div>
+    `).join('');
+    
+    const container = document.getElementById('diffChanges');
+    if (data.changes.length === 0) {
+        container.innerHTML = `<div class="asset-item">No changes between the runs (${data.results.previousAssets} → ${data.results.currentAssets} assets)</div>`;
+    } else {
+        container.innerHTML = data.changes.map(change => `
+            <div class="asset-item">
+                <div>
+                    <div class="asset-name"><span class="change-badge change-${change.change}">${labels[change.change]}</span>${escapeHtml(change.fileName || 'Unknown')}</div>
+                    <div class="asset-uuid">${escapeHtml(change.uuid)}</div>
+                    <div class="asset-location">Location: ${escapeHtml(change.change === 'removed' ? change.previousLocation || 'root' : change.location || 'root')}</div>
+                    ${change.change === 'moved' ? `<div class="asset-location">Moved from: ${escapeHtml(change.previousLocation || 'root')}</div>` : ''}
+                </div>
+                <div class="asset-info">
+                    <div>Type: ${escapeHtml(change.mimeType || 'Unknown')}</div>
+                    ${change.previousStatus ? `<div>Was: ${escapeHtml(change.previousStatus)}</div>` : ''}
+                    ${change.status ? `<div>Now: ${escapeHtml(change.status)}</div>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    const diffResultsContainer = document.getElementById('diffResults');
+    diffResultsContainer.classList.add('show');
+    diffResultsContainer.scrollIntoView({ behavior: 'smooth' });
+}
+
+function downloadDiff(format) {
+    if (!diffResults) {
+        alert('No comparison results available');
+        return;
+    }
+    
+    if (format === 'json') {
+        saveFile(JSON.stringify(diffResults.changes, null, 2), 'asset-changes.json', 'application/json');
+    } else {
+        saveFile(convertToCSV(diffResults.changes), 'asset-changes.csv', 'text/csv');
+    }
+}
+
 // Download functionality
 function downloadResults(type, format) {
     if (!analysisResults) {
@@ -263,6 +814,12 @@ function downloadResults(type, format) {
         return;
     }
     
+    // The workbook holds every report as a sheet, so it is built by the server from the stored run
+    if (format === 'xlsx') {
+        downloadWorkbook();
+        return;
+    }
+    
     let data;
     let filename;
     
@@ -279,6 +836,29 @@ function downloadResults(type, format) {
             data = analysisResults.assets.referenced;
             filename = `referenced-assets.${format}`;
             break;
+        case 'ignored':
+            data = analysisResults.assets.ignored || [];
+            filename = `ignored-assets.${format}`;
+            break;
+        case 'broken':
+            data = analysisResults.brokenReferences || [];
+            filename = `broken-references.${format}`;
+            break;
+        case 'duplicates':
+            // One row per copy, like the CLI's duplicates report
+            data = (analysisResults.duplicates || []).flatMap(group => group.assets.map(asset => ({
+                group: group.group,
+                match: group.match,
+                key: group.key,
+                copies: group.copies,
+                ...asset
+            })));
+            filename = `duplicates.${format}`;
+            break;
+        case 'folders':
+            data = analysisResults.folderRollup;
+            filename = `folder-rollup.${format}`;
+            break;
         default:
             alert('Invalid download type');
             return;
@@ -298,6 +878,66 @@ function downloadResults(type, format) {
         return;
     }
     
+    saveFile(content, filename, mimeType);
+}
+
+async function downloadCleanup(type) {
+    if (!analysisResults) {
+        alert('No analysis results available');
+        return;
+    }
+    
+    const folder = document.getElementById('cleanupFolder').value.trim();
+    
+    try {
+        const response = await fetch('/manifest', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                assets: analysisResults.assets.unused,
+                pathPrefix: document.getElementById('cleanupPathPrefix').value.trim(),
+                folders: folder ? [folder] : [],
+                quarantine: document.getElementById('cleanupQuarantine').checked
+            })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Could not build the deletion manifest');
+        }
+        
+        if (type === 'script') {
+            saveFile(result.script, 'magnolia-asset-cleanup.groovy', 'text/plain');
+        } else {
+            saveFile(convertToCSV(result.entries), 'deletion-manifest.csv', 'text/csv');
+        }
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+async function downloadWorkbook() {
+    try {
+        // A run that could not be stored has no permalink, so its results are posted instead
+        const response = analysisResults.runId
+            ? await fetch(`/runs/${encodeURIComponent(analysisResults.runId)}/report.xlsx`)
+            : await fetch('/report.xlsx', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(analysisResults)
+            });
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || 'Could not build the Excel workbook');
+        }
+        
+        saveFile(await response.blob(), 'magnolia-assets.xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+function saveFile(content, filename, mimeType) {
     // Create download link
     const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
@@ -324,7 +964,10 @@ function convertToCSV(data) {
     // Create CSV rows
     const rows = data.map(item => {
         return keys.map(key => {
-            const value = item[key] || '';
+            let value = item[key] != null ? item[key] : '';
+            if (Array.isArray(value)) {
+                value = value.map(entry => typeof entry === 'object' ? formatReferenceSite(entry) : entry).join('; ');
+            }
             // Escape quotes and wrap in quotes if contains comma, quote, or newline
             if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
                 return `"${value.replace(/"/g, '""')}"`;
@@ -339,6 +982,7 @@ function convertToCSV(data) {
 // Initialize the app
 document.addEventListener('DOMContentLoaded', function() {
     setupFileHandlers();
+    loadRunFromPermalink();
     
     console.log('🚀 Magnolia Asset Checker Web Interface loaded');
     console.log('📁 Upload your DAM export and page export files to get started');
@@ -0,0 +1,154 @@
+// Run history page: trend charts and the list of stored runs
+let runs = [];
+
+const TREND_CHARTS = [
+    { key: 'totalAssets', title: 'Total Assets', color: '#667eea', format: value => value.toLocaleString() },
+    { key: 'unusedAssets', title: 'Unused Assets', color: '#dc3545', format: value => value.toLocaleString() },
+    { key: 'unusedBytes', title: 'Unused Storage', color: '#fd7e14', format: value => formatFileSize(value) }
+];
+
+async function loadRuns() {
+    try {
+        const response = await fetch('/runs');
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Could not load the run history');
+        }
+
+        runs = result.runs;
+        displayTrendCharts();
+        displayRunList();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+function displayTrendCharts() {
+    const container = document.getElementById('trendCharts');
+
+    if (runs.length < 2) {
+        container.innerHTML = '<div class="empty">Trends appear once at least two runs are stored.</div>';
+        return;
+    }
+
+    container.innerHTML = TREND_CHARTS.map(chart => `
+        <div class="trend-chart">
+            <h3>${chart.title}</h3>
+            ${renderTrendChart(runs.map(run => run[chart.key] || 0), chart)}
+        </div>
+    `).join('');
+}
+
+// Line chart of one value per run, oldest run on the left
+function renderTrendChart(values, chart) {
+    const width = 400;
+    const height = 200;
+    const padding = { top: 15, right: 15, bottom: 30, left: 70 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const max = Math.max(...values, 1);
+
+    const x = index => padding.left + (values.length === 1 ? 0 : index * plotWidth / (values.length - 1));
+    const y = value => padding.top + plotHeight - (value / max) * plotHeight;
+    const points = values.map((value, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+
+    const first = runs[0].timestamp.slice(0, 10);
+    const last = runs[runs.length - 1].timestamp.slice(0, 10);
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${chart.title} per run">
+            <line x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}" stroke="#ced4da"/>
+            <line x1="${padding.left}" y1="${padding.top}" x2="${padding.left}" y2="${padding.top + plotHeight}" stroke="#ced4da"/>
+            <text class="axis-label" x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${escapeHtml(chart.format(max))}</text>
+            <text class="axis-label" x="${padding.left - 6}" y="${padding.top + plotHeight}" text-anchor="end">0</text>
+            <text class="axis-label" x="${padding.left}" y="${height - 8}">${escapeHtml(first)}</text>
+            <text class="axis-label" x="${width - padding.right}" y="${height - 8}" text-anchor="end">${escapeHtml(last)}</text>
+            <polyline points="${points.join(' ')}" fill="none" stroke="${chart.color}" stroke-width="2"/>
+            ${values.map((value, index) => `
+                <circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="3.5" fill="${chart.color}">
+                    <title>${escapeHtml(new Date(runs[index].timestamp).toLocaleString())}: ${escapeHtml(chart.format(value))}</title>
+                </circle>`).join('')}
+        </svg>
+    `;
+}
+
+function displayRunList() {
+    const container = document.getElementById('runList');
+
+    if (runs.length === 0) {
+        container.innerHTML = '<div class="empty">No runs stored yet. Every analysis in the web interface is added here.</div>';
+        return;
+    }
+
+    // Newest run first
+    container.innerHTML = `
+        <table class="run-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Inputs</th>
+                    <th>Total</th>
+                    <th>Unused</th>
+                    <th>Unused Storage</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${runs.slice().reverse().map(run => `
+                    <tr>
+                        <td><a href="/?run=${encodeURIComponent(run.id)}">${escapeHtml(new Date(run.timestamp).toLocaleString())}</a></td>
+                        <td>${escapeHtml(run.inputs.join(', '))}</td>
+                        <td>${run.totalAssets.toLocaleString()}</td>
+                        <td>${run.unusedAssets.toLocaleString()}</td>
+                        <td>${formatFileSize(run.unusedBytes)}</td>
+                        <td><button class="delete-button" onclick="deleteRun('${escapeHtml(run.id)}')">🗑️ Delete</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function deleteRun(id) {
+    if (!confirm('Delete this run? Its permalink will stop working.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/runs/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Could not delete the run');
+        }
+
+        runs = runs.filter(run => run.id !== id);
+        displayTrendCharts();
+        displayRunList();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+function showError(message) {
+    const error = document.getElementById('error');
+    error.textContent = message;
+    error.classList.add('show');
+}
+
+function formatFileSize(bytes) {
+    if (!bytes) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+document.addEventListener('DOMContentLoaded', loadRuns);
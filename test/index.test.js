@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const DAM_EXPORT = path.join(__dirname, 'fixtures', 'dam.xml');
+const PAGE_EXPORT = path.join(__dirname, 'fixtures', 'website.xml');
+
+describe('index', () => {
+    it('installs no process-wide handlers when required', () => {
+        const before = process.listenerCount('unhandledRejection');
+        require('../index');
+        assert.equal(process.listenerCount('unhandledRejection'), before);
+    });
+
+    describe('analyze', () => {
+        const { analyze, MagnoliaInputError } = require('../index');
+
+        it('finds referenced, unused and broken references in a DAM and a page export', async () => {
+            const result = await analyze({ assets: DAM_EXPORT, pages: PAGE_EXPORT });
+
+            assert.deepEqual(result.summary, {
+                totalAssets: 5,
+                referencedAssets: 2,
+                unusedAssets: 3,
+                ignoredAssets: 0,
+                brokenReferences: 1,
+                duplicateGroups: 2,
+                assetUUIDsSearched: 5
+            });
+            assert.deepEqual(result.assets.referenced.map(asset => asset.fileName), ['hero.jpg', 'logo.png']);
+            assert.deepEqual(result.inputs, { assets: ['dam.xml'], pages: ['website.xml'], modules: [] });
+            assert.deepEqual(result.warnings, []);
+            assert.deepEqual(result.brokenReferences.map(reference => [reference.uuid, reference.path, reference.property]),
+                [['d0000000-0000-0000-0000-000000000099', '/home/main/1', 'download']]);
+        });
+
+        it('accepts Buffers and sniffs their format', async () => {
+            const fs = require('fs').promises;
+            const result = await analyze({ assets: await fs.readFile(DAM_EXPORT), pages: await fs.readFile(PAGE_EXPORT) });
+
+            assert.equal(result.summary.unusedAssets, 3);
+            assert.deepEqual(result.inputs.assets, ['dam-0.xml']);
+        });
+
+        it('rejects a missing page export with a MagnoliaInputError', async () => {
+            await assert.rejects(analyze({ assets: DAM_EXPORT }), MagnoliaInputError);
+        });
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MagnoliaAnalysisJob = require('../magnolia_analysis_job');
+const { MagnoliaCancelledError } = require('../magnolia_errors');
+
+function createLogger() {
+    const errors = [];
+    return { errors, log() {}, warn() {}, error: (...args) => errors.push(args.join(' ')) };
+}
+
+describe('MagnoliaAnalysisJob', () => {
+    it('keeps the result of a task that completes', async () => {
+        const job = new MagnoliaAnalysisJob({ logger: createLogger() });
+        let finished = null;
+        job.on('finished', status => { finished = status; });
+
+        await job.run(async () => ({ summary: { totalAssets: 1 } }));
+
+        assert.equal(job.status, 'completed');
+        assert.deepEqual(job.result, { summary: { totalAssets: 1 } });
+        assert.equal(finished.progress.percent, 100);
+    });
+
+    it('records a failure and reports it to the logger, not the console', async t => {
+        const logger = createLogger();
+        const job = new MagnoliaAnalysisJob({ logger });
+        const consoleError = t.mock.method(console, 'error', () => {});
+
+        await job.run(async () => { throw new Error('disk full'); });
+
+        assert.equal(job.status, 'failed');
+        assert.equal(job.error.message, 'disk full');
+        assert.deepEqual(logger.errors, [`Job ${job.id} failed: disk full`]);
+        assert.equal(consoleError.mock.callCount(), 0);
+    });
+
+    it('records cancellation without logging an error', async () => {
+        const logger = createLogger();
+        const job = new MagnoliaAnalysisJob({ logger });
+
+        await job.run(async () => { throw new MagnoliaCancelledError(); });
+
+        assert.equal(job.status, 'cancelled');
+        assert.deepEqual(logger.errors, []);
+    });
+
+    it('passes its logger on to its checker', () => {
+        const logger = createLogger();
+        assert.equal(new MagnoliaAnalysisJob({ logger }).checker.logger, logger);
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MagnoliaAssetBackup = require('../magnolia_asset_backup');
+const MagnoliaAssetExtractor = require('../magnolia_asset_extractor');
+
+const DAM_EXPORT = path.join(__dirname, 'fixtures', 'dam.xml');
+
+describe('MagnoliaAssetBackup', () => {
+    let tempDir;
+
+    before(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-backup-test-'));
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('writes an export with only the selected assets and their folders', async () => {
+        const outputFile = path.join(tempDir, 'backup.xml');
+        const backup = new MagnoliaAssetBackup({ logger: { log() {}, warn() {}, error() {} } });
+
+        const written = await backup.writeBackup(DAM_EXPORT, ['a0000000-0000-0000-0000-000000000002', 'a0000000-0000-0000-0000-000000000005'], outputFile);
+        const assets = await new MagnoliaAssetExtractor().extractAssetsFromXml(outputFile);
+
+        assert.equal(written, 2);
+        assert.deepEqual(assets.map(asset => [asset.uuid, asset.location]), [
+            ['a0000000-0000-0000-0000-000000000002', 'site/images'],
+            ['a0000000-0000-0000-0000-000000000005', 'site']
+        ]);
+    });
+
+    it('reports the written file to the logger, not the console', async t => {
+        const outputFile = path.join(tempDir, 'logged.xml');
+        const messages = [];
+        const backup = new MagnoliaAssetBackup({ logger: { log: message => messages.push(message), warn() {}, error() {} } });
+        const consoleLog = t.mock.method(console, 'log', () => {});
+
+        await backup.writeBackup(DAM_EXPORT, ['a0000000-0000-0000-0000-000000000001'], outputFile);
+
+        assert.deepEqual(messages, [`Backed up 1 of 1 assets to: ${outputFile}`]);
+        assert.equal(consoleLog.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,500 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const yazl = require('yazl');
+const MagnoliaAssetChecker = require('../magnolia_asset_checker');
+const MagnoliaAssetExtractor = require('../magnolia_asset_extractor');
+const MagnoliaHtmlReport = require('../magnolia_html_report');
+
+const CLI = path.join(__dirname, '..', 'magnolia_asset_checker.js');
+const DAM_EXPORT = path.join(__dirname, 'fixtures', 'dam.xml');
+const PAGE_EXPORT = path.join(__dirname, 'fixtures', 'website.xml');
+const STORIES_EXPORT = path.join(__dirname, 'fixtures', 'stories.xml');
+const DUPLICATES_EXPORT = path.join(__dirname, 'fixtures', 'dam-duplicates.xml');
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+/**
+ * The search findReferencedAssetUUIDs used before the single-pass scan
+ */
+function legacyIndexOfSearch(pageContent, assetUUIDs) {
+    return new Set(assetUUIDs.filter(uuid => pageContent.indexOf(uuid) !== -1));
+}
+
+/**
+ * The embedded data of each table of an HTML report, parsed the way the browser parses it:
+ * the JSON runs up to the first </script>
+ */
+function tableData(html) {
+    return [...html.matchAll(/<script type="application\/json">([\s\S]*?)<\/script>/g)].map(match => JSON.parse(match[1]));
+}
+
+/**
+ * Run the sort/filter script of an HTML report against a minimal stand-in for the DOM
+ * Returns one {heading, tbody, count, showMore, filter} per table, as rendered by the script.
+ */
+function renderTables(html) {
+    const element = (properties = {}) => {
+        const listeners = {};
+        return {
+            ...properties,
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            dispatch: type => listeners[type]()
+        };
+    };
+    const tables = [...html.matchAll(/<section class="report-table">\s*<h2>([^<]*)<\/h2>[\s\S]*?<script type="application\/json">([\s\S]*?)<\/script>/g)]
+        .map(([, heading, json]) => ({
+            heading,
+            json,
+            headers: JSON.parse(json).columns.map(() => element({ className: '' })),
+            tbody: { innerHTML: '' },
+            count: { textContent: '' },
+            showMore: element({ hidden: true, textContent: '' }),
+            filter: element({ value: '' })
+        }));
+    const sections = tables.map(table => ({
+        querySelector: selector => ({
+            'script[type="application/json"]': { textContent: table.json },
+            tbody: table.tbody,
+            input: table.filter,
+            '.row-count': table.count,
+            '.show-more': table.showMore
+        })[selector],
+        querySelectorAll: () => table.headers
+    }));
+    const script = html.slice(html.lastIndexOf('<script>') + '<script>'.length, html.lastIndexOf('</script>'));
+
+    vm.runInNewContext(script, { document: { querySelectorAll: () => sections } });
+    return tables;
+}
+
+function chunk(text, size) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) {
+        chunks.push(text.slice(i, i + size));
+    }
+    return chunks;
+}
+
+describe('MagnoliaAssetChecker', () => {
+    const checker = new MagnoliaAssetChecker({ logger: silentLogger });
+
+    describe('single-pass UUID scan', () => {
+        // Touching, overlapping, upper-case and embedded tokens are where a token scan can disagree with indexOf
+        const assetUUIDs = [
+            '11111111-2222-3333-4444-555555555555',
+            '55555555-6666-7777-8888-999999999999',
+            'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee',
+            'abcdef01-2345-6789-abcd-ef0123456789',
+            '0f0f0f0f-0f0f-0f0f-0f0f-0f0f0f0f0f0f',
+            'deadbeef-0000-0000-0000-000000000000',
+            'legacy-asset-id'
+        ];
+        const pageContent = [
+            '<sv:value>jcr:11111111-2222-3333-4444-555555555555-6666-7777-8888-999999999999</sv:value>',
+            '<sv:value>AAAAAAAA-BBBB-CCCC-DDDD-EEEEEEEEEEEE</sv:value>',
+            '<sv:value>xabcdef01-2345-6789-abcd-ef0123456789ff</sv:value>',
+            '<sv:value>0f0f0f0f-0f0f-0f0f-0f0f-0f0f0f0f0f0f0f0f-0f0f-0f0f-0f0f-0f0f0f0f0f0f</sv:value>',
+            '<sv:value>deadbeef-0000-0000-0000-00000000000</sv:value>',
+            '<sv:value>see legacy-asset-id</sv:value>'
+        ].join('\n');
+
+        it('finds exactly what the per-asset indexOf search found', async () => {
+            const { referencedUUIDs } = await checker._scanForAssetUUIDs([pageContent], assetUUIDs);
+
+            assert.deepEqual([...referencedUUIDs].sort(), [...legacyIndexOfSearch(pageContent, assetUUIDs)].sort());
+            assert.deepEqual([...referencedUUIDs].sort(), [
+                '0f0f0f0f-0f0f-0f0f-0f0f-0f0f0f0f0f0f',
+                '11111111-2222-3333-4444-555555555555',
+                '55555555-6666-7777-8888-999999999999',
+                'abcdef01-2345-6789-abcd-ef0123456789',
+                'legacy-asset-id'
+            ]);
+        });
+
+        it('finds the same UUIDs wherever the stream is split into chunks', async () => {
+            const expected = [...legacyIndexOfSearch(pageContent, assetUUIDs)].sort();
+
+            for (let size = 1; size <= 80; size++) {
+                const { referencedUUIDs, contentLength } = await checker._scanForAssetUUIDs(chunk(pageContent, size), assetUUIDs);
+                assert.deepEqual([...referencedUUIDs].sort(), expected, `chunk size ${size}`);
+                assert.equal(contentLength, pageContent.length);
+            }
+        });
+
+        it('matches the indexOf search on a generated page export', async () => {
+            const uuids = Array.from({ length: 500 }, () => crypto.randomUUID());
+            const values = Array.from({ length: 2000 }, (_, i) => {
+                const uuid = i % 3 === 0 ? uuids[(i * 7) % uuids.length] : crypto.randomUUID();
+                return `<sv:property sv:name="image"><sv:value>${i % 5 === 0 ? uuid.toUpperCase() : 'jcr:' + uuid}</sv:value></sv:property>`;
+            });
+            const content = values.join('\n');
+
+            const { referencedUUIDs } = await checker._scanForAssetUUIDs(chunk(content, 4096), uuids);
+
+            assert.deepEqual([...referencedUUIDs].sort(), [...legacyIndexOfSearch(content, uuids)].sort());
+        });
+
+        describe('findReferencedAssetUUIDs', () => {
+            let tempDir;
+
+            before(async () => {
+                tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-checker-test-'));
+            });
+
+            after(async () => {
+                await fs.rm(tempDir, { recursive: true, force: true });
+            });
+
+            it('reads the page export from disk and agrees with the indexOf search', async () => {
+                const pageFile = path.join(tempDir, 'website.xml');
+                await fs.writeFile(pageFile, pageContent);
+
+                const referencedUUIDs = await checker.findReferencedAssetUUIDs(pageFile, assetUUIDs);
+
+                assert.deepEqual([...referencedUUIDs].sort(), [...legacyIndexOfSearch(pageContent, assetUUIDs)].sort());
+            });
+        });
+    });
+
+    describe('command line', () => {
+        let tempDir;
+
+        before(async () => {
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-cli-test-'));
+        });
+
+        after(async () => {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        /**
+         * Run the CLI with its temporary directories below tmpDir; resolves with {code, stderr}
+         */
+        function runCli(args, tmpDir) {
+            return new Promise(resolve => {
+                execFile(process.execPath, [CLI, ...args], { cwd: tempDir, env: { ...process.env, TMPDIR: tmpDir }, timeout: 30000 },
+                    (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stderr }));
+            });
+        }
+
+        it('rejects invalid options before extracting a ZIP input, leaving no temporary directories behind', async () => {
+            const zipFile = path.join(tempDir, 'exports.zip');
+            await new Promise((resolve, reject) => {
+                const zip = new yazl.ZipFile();
+                zip.addFile(path.join(__dirname, 'fixtures', 'dam.xml'), 'dam.xml');
+                zip.addFile(path.join(__dirname, 'fixtures', 'website.xml'), 'website.xml');
+                zip.outputStream.pipe(fsSync.createWriteStream(zipFile)).on('close', resolve).on('error', reject);
+                zip.end();
+            });
+
+            for (const args of [['-f', 'pdf'], ['--manifest-type', 'spreadsheets'], ['--extract-report', 'everything']]) {
+                const tmpDir = await fs.mkdtemp(path.join(tempDir, 'tmp-'));
+                const { code, stderr } = await runCli(['-i', zipFile, '-o', 'audit', '--no-config', ...args], tmpDir);
+
+                assert.equal(code, 1, args.join(' '));
+                assert.match(stderr, /^error: /i, args.join(' '));
+                assert.deepEqual(await fs.readdir(tmpDir), [], args.join(' '));
+            }
+        });
+
+        it('writes the columns given with --fields, including analysis columns, and rejects unknown ones', async () => {
+            const tmpDir = await fs.mkdtemp(path.join(tempDir, 'tmp-'));
+            const fields = ['fileName', 'referenceCount', 'size'];
+
+            const written = await runCli(['-a', DAM_EXPORT, '-p', PAGE_EXPORT, '-o', 'fields', '--no-config', '-f', 'json', '--fields', fields.join(',')], tmpDir);
+            assert.equal(written.code, 0, written.stderr);
+            // Reports are written to output/ below the working directory
+            const reports = await fs.readdir(path.join(tempDir, 'output'));
+            const allAssets = JSON.parse(await fs.readFile(path.join(tempDir, 'output', reports.find(name => name.startsWith('fields_all_assets_'))), 'utf8'));
+            assert.deepEqual(allAssets.map(asset => Object.keys(asset)), allAssets.map(() => fields));
+            assert.deepEqual(allAssets.find(asset => asset.fileName === 'hero.jpg'), { fileName: 'hero.jpg', referenceCount: 1, size: '12' });
+
+            const rejected = await runCli(['-a', DAM_EXPORT, '-p', PAGE_EXPORT, '-o', 'fields', '--no-config', '--fields', 'fileName,filename'], tmpDir);
+            assert.equal(rejected.code, 1);
+            assert.match(rejected.stderr, /Unknown 'filename'/);
+        });
+    });
+
+    describe('references across page exports', () => {
+        let analysis;
+
+        before(async () => {
+            analysis = await checker.analyzeExports([DAM_EXPORT], [
+                { path: PAGE_EXPORT, name: 'website.xml' },
+                { path: STORIES_EXPORT, name: 'stories.xml' }
+            ]);
+        });
+
+        const byFileName = fileName => analysis.allAssets.find(asset => asset.fileName === fileName);
+
+        it('attributes each referenced asset to every page export that uses it, in scan order', () => {
+            assert.deepEqual(byFileName('hero.jpg').referencedIn, ['website.xml', 'stories.xml']);
+            assert.deepEqual(byFileName('logo.png').referencedIn, ['website.xml']);
+            assert.deepEqual(byFileName('brochure-2023.pdf').referencedIn, ['stories.xml']);
+            assert.deepEqual(analysis.unusedAssets.map(asset => asset.fileName), ['hero (1).jpg', 'favicon.ico']);
+        });
+
+        it('lists each page node and property that references an asset once, however often the property mentions it', () => {
+            const hero = byFileName('hero.jpg');
+
+            assert.deepEqual(hero.references, [
+                { source: 'website.xml', path: '/home/main/0', property: 'image', type: 'uuid' },
+                { source: 'stories.xml', path: '/stories/summer', property: 'teaserImage', type: 'uuid' },
+                // Two link macros in the same rich text property
+                { source: 'stories.xml', path: '/stories/summer/main/0', property: 'text', type: 'link' }
+            ]);
+            assert.equal(hero.referenceCount, 3);
+            assert.deepEqual(hero.referenceTypes, ['uuid', 'link']);
+            assert.deepEqual(byFileName('logo.png').references,
+                [{ source: 'website.xml', path: '/home/main/0', property: 'text', type: 'url' }]);
+        });
+
+        it('lists references to assets missing from the DAM export once per page node and property', () => {
+            assert.deepEqual(analysis.brokenReferences, [
+                {
+                    uuid: 'd0000000-0000-0000-0000-000000000099',
+                    type: 'uuid',
+                    source: 'website.xml',
+                    path: '/home/main/1',
+                    property: 'download',
+                    value: 'jcr:d0000000-0000-0000-0000-000000000099'
+                },
+                {
+                    uuid: 'd0000000-0000-0000-0000-000000000099',
+                    type: 'uuid',
+                    source: 'stories.xml',
+                    path: '/stories/summer/main/1',
+                    property: 'download',
+                    value: 'jcr:d0000000-0000-0000-0000-000000000099'
+                },
+                // A multi-value property that names the missing asset twice
+                {
+                    uuid: 'd0000000-0000-0000-0000-000000000098',
+                    type: 'uuid',
+                    source: 'stories.xml',
+                    path: '/stories/summer/main/1',
+                    property: 'links',
+                    value: 'jcr:d0000000-0000-0000-0000-000000000098'
+                }
+            ]);
+        });
+    });
+
+    describe('findDuplicates', () => {
+        const uuid = n => `b0000000-0000-0000-0000-00000000000${n}`;
+        let duplicates;
+
+        before(async () => {
+            const assets = await new MagnoliaAssetExtractor({ logger: silentLogger }).extractAssetsFromXml(DUPLICATES_EXPORT);
+            duplicates = checker.findDuplicates(checker.analyzeAssets(assets, new Set([uuid(1)])));
+        });
+
+        const groupsOf = match => duplicates
+            .filter(group => group.match === match)
+            .map(group => [group.key, group.assets.map(asset => asset.uuid)]);
+
+        it('groups copies with the same streamed SHA-256, whatever their names', () => {
+            const [[key, uuids]] = groupsOf('content');
+
+            assert.equal(key, crypto.createHash('sha256').update('same bytes\n').digest('hex'));
+            assert.deepEqual(uuids, [uuid(5), uuid(7)]);
+        });
+
+        it('groups copies with the same file name and size, ignoring case, but not the same name with another size', () => {
+            assert.deepEqual(groupsOf('name-size'), [['banner.png (500 bytes)', [uuid(1), uuid(2)]]]);
+        });
+
+        it('groups similar file names once copy suffixes and separators are removed', () => {
+            assert.deepEqual(groupsOf('similar-name'), [
+                ['banner.png', [uuid(1), uuid(2), uuid(3)]],
+                ['teaser-image.jpg', [uuid(4), uuid(6)]]
+            ]);
+        });
+
+        it('counts the referenced and unused copies of each group and the bytes the unused ones take', () => {
+            const banners = duplicates.find(group => group.match === 'name-size');
+
+            assert.deepEqual(banners.assets.map(asset => asset.status), ['referenced', 'unused']);
+            assert.equal(banners.referencedCopies, 1);
+            assert.equal(banners.unusedCopies, 1);
+            assert.equal(banners.unusedBytes, 500);
+            assert.deepEqual(duplicates.map(group => group.group), [1, 2, 3, 4]);
+        });
+
+        it('finds the copy of the hero image in the DAM fixture by content and by name', async () => {
+            const analysis = await checker.analyzeExports([DAM_EXPORT], [PAGE_EXPORT]);
+
+            assert.deepEqual(analysis.duplicates.map(group => [group.match, group.assets.map(asset => asset.fileName)]), [
+                ['content', ['hero.jpg', 'hero (1).jpg']],
+                ['similar-name', ['hero.jpg', 'hero (1).jpg']]
+            ]);
+            assert.equal(analysis.duplicates[0].key, crypto.createHash('sha256').update('hello world\n').digest('hex'));
+        });
+    });
+
+    describe('folder rollup', () => {
+        let analysis;
+
+        before(async () => {
+            const assets = await new MagnoliaAssetExtractor({ logger: silentLogger }).extractAssetsFromXml(DAM_EXPORT);
+            // A size that is not a number counts as 0 bytes, like the missing size of favicon.ico
+            assets.find(asset => asset.fileName === 'logo.png').size = 'unknown';
+            analysis = checker.analyzeAssets(assets, new Set(['a0000000-0000-0000-0000-000000000001', 'a0000000-0000-0000-0000-000000000002']));
+        });
+
+        it('counts assets and bytes in each folder and all of its ancestors, each folder followed by its subfolders', () => {
+            assert.deepEqual(checker.buildFolderRollup(analysis), [
+                { folder: '/', depth: 0, totalAssets: 5, totalBytes: 2072, unusedAssets: 3, unusedBytes: 2060, percentUnused: 60 },
+                { folder: '/site', depth: 1, totalAssets: 5, totalBytes: 2072, unusedAssets: 3, unusedBytes: 2060, percentUnused: 60 },
+                { folder: '/site/docs', depth: 2, totalAssets: 1, totalBytes: 2048, unusedAssets: 1, unusedBytes: 2048, percentUnused: 100 },
+                { folder: '/site/images', depth: 2, totalAssets: 3, totalBytes: 24, unusedAssets: 1, unusedBytes: 12, percentUnused: 33.3 }
+            ]);
+        });
+
+        it('puts assets at the root and below jcr:root into the same folders as the rest', () => {
+            const rollup = checker.buildFolderRollup({
+                allAssets: [
+                    { uuid: 'u1', location: 'root', size: '10' },
+                    { uuid: 'u2', location: 'jcr:root/site', size: '5' },
+                    { uuid: 'u3', location: 'site' }
+                ],
+                unusedAssets: [{ uuid: 'u3' }]
+            });
+
+            assert.deepEqual(rollup.map(folder => [folder.folder, folder.totalAssets, folder.totalBytes, folder.unusedAssets]), [
+                ['/', 3, 15, 1],
+                ['/site', 2, 5, 1]
+            ]);
+        });
+    });
+
+    describe('storage breakdown', () => {
+        const totals = (assets, bytes, referenced, referencedBytes, unused, unusedBytes, ignored = 0, ignoredBytes = 0) => ({
+            totalAssets: assets,
+            totalBytes: bytes,
+            referencedAssets: referenced,
+            referencedBytes: referencedBytes,
+            unusedAssets: unused,
+            unusedBytes: unusedBytes,
+            ignoredAssets: ignored,
+            ignoredBytes: ignoredBytes
+        });
+
+        it('sums bytes overall and per category for the DAM fixture, counting missing and non-numeric sizes as 0', async () => {
+            const assets = await new MagnoliaAssetExtractor({ logger: silentLogger }).extractAssetsFromXml(DAM_EXPORT);
+            assets.find(asset => asset.fileName === 'logo.png').size = 'unknown';
+
+            const { storage } = checker.analyzeAssets(assets, new Set(['a0000000-0000-0000-0000-000000000001', 'a0000000-0000-0000-0000-000000000002']));
+            const { categories, ...overall } = storage;
+
+            assert.deepEqual(overall, totals(5, 2072, 2, 12, 3, 2060));
+            assert.deepEqual(Object.fromEntries(categories.map(({ category, label, ...rest }) => [category, rest])), {
+                images: totals(4, 24, 2, 12, 2, 12),
+                pdf: totals(1, 2048, 0, 0, 1, 2048),
+                video: totals(0, 0, 0, 0, 0, 0),
+                other: totals(0, 0, 0, 0, 0, 0)
+            });
+        });
+
+        it('falls back to the file extension when there is no MIME type, and keeps ignored bytes apart', () => {
+            const storage = checker._summarizeStorage([
+                { uuid: 'u1', fileName: 'intro.MP4', size: '100' },
+                { uuid: 'u2', fileName: 'notes', extension: 'pdf', size: '20' },
+                { uuid: 'u3', fileName: 'data.csv', mimeType: 'text/csv', size: '3' }
+            ], new Set(['u2']), new Set(['u3']));
+
+            assert.deepEqual(storage.categories.map(category => [category.category, category.totalAssets, category.totalBytes]),
+                [['images', 0, 0], ['pdf', 1, 20], ['video', 1, 100], ['other', 1, 3]]);
+            assert.equal(storage.referencedBytes, 100);
+            assert.equal(storage.unusedBytes, 20);
+            assert.equal(storage.ignoredBytes, 3);
+        });
+    });
+
+    describe('HTML report', () => {
+        let tempDir;
+        let analysis;
+
+        before(async () => {
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-html-test-'));
+            analysis = await checker.analyzeExports([DAM_EXPORT], [PAGE_EXPORT]);
+            // Names an editor could give an asset, which must show up as text
+            analysis.unusedAssets[0].fileName = '<img src=x onerror=alert(1)>.jpg';
+            analysis.unusedAssets[1].fileName = 'a</script><script>alert(1)</script>.png';
+            analysis.unusedAssets[2].fileName = '<!--<script>.ico';
+        });
+
+        after(async () => {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        async function writeReport(details = {}) {
+            const reportFile = path.join(tempDir, 'report.html');
+            await checker.writeHtmlReport(analysis, reportFile, details);
+            return fs.readFile(reportFile, 'utf8');
+        }
+
+        it('escapes input names and keeps asset names inside the embedded JSON', async () => {
+            const html = await writeReport({ inputs: { assets: ['<dam>.xml'], pages: ['website.xml'] } });
+
+            assert.ok(html.includes('<dd>&lt;dam&gt;.xml</dd>'));
+            assert.ok(!html.includes('<img src=x'));
+            assert.ok(!html.includes('<!--<script>'));
+            // One closing tag per embedded table, plus the report script
+            assert.equal(html.split('</script>').length - 1, tableData(html).length + 1);
+        });
+
+        it('embeds every row of every table for sorting and filtering, with the values unchanged', async () => {
+            const html = await writeReport();
+            const tables = Object.fromEntries(renderTables(html).map(table => [table.heading, JSON.parse(table.json)]));
+
+            assert.equal(tables['Unused assets (3)'].rows.length, analysis.unusedAssets.length);
+            assert.equal(tables['Referenced assets (2)'].rows.length, analysis.referencedAssets.length);
+            assert.equal(tables['All assets (5)'].rows.length, analysis.allAssets.length);
+            assert.equal(tables['Broken references (1)'].rows.length, 1);
+
+            const fileNames = tables['Unused assets (3)'].columns.findIndex(column => column.field === 'fileName');
+            assert.deepEqual(tables['Unused assets (3)'].rows.map(row => row[fileNames]), analysis.unusedAssets.map(asset => asset.fileName));
+        });
+
+        it('escapes asset names when the script renders the rows', async () => {
+            const unused = renderTables(await writeReport()).find(table => table.heading === 'Unused assets (3)');
+
+            assert.equal((unused.tbody.innerHTML.match(/<tr>/g) || []).length, 3);
+            assert.ok(unused.tbody.innerHTML.includes('&lt;img src=x onerror=alert(1)&gt;.jpg'));
+            assert.ok(unused.tbody.innerHTML.includes('a&lt;/script&gt;&lt;script&gt;alert(1)&lt;/script&gt;.png'));
+            assert.ok(!/<(img|script|!--)/.test(unused.tbody.innerHTML));
+            assert.equal(unused.count.textContent, '3 of 3 rows');
+            assert.equal(unused.showMore.hidden, true);
+        });
+
+        it('renders large tables a batch at a time, with a button for the next batch', () => {
+            const rows = Array.from({ length: MagnoliaHtmlReport.ROW_LIMIT * 2 + 500 }, (value, index) => ({ fileName: `file-${index}.jpg` }));
+            const [table] = renderTables(new MagnoliaHtmlReport().addTable('Assets', rows).render());
+            const renderedRows = () => (table.tbody.innerHTML.match(/<tr>/g) || []).length;
+
+            assert.equal(renderedRows(), 1000);
+            assert.equal(table.count.textContent, 'Showing 1000 of 2500 matching rows (2500 total)');
+            assert.equal(table.showMore.hidden, false);
+
+            table.showMore.dispatch('click');
+            assert.equal(renderedRows(), 2000);
+            assert.equal(table.showMore.textContent, 'Show 500 more');
+
+            table.showMore.dispatch('click');
+            assert.equal(renderedRows(), 2500);
+            assert.equal(table.showMore.hidden, true);
+
+            table.filter.value = 'file-24';
+            table.filter.dispatch('input');
+            assert.equal(table.count.textContent, '111 of 2500 rows');
+        });
+    });
+});
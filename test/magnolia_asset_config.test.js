@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MagnoliaAssetConfig = require('../magnolia_asset_config');
+const MagnoliaAssetChecker = require('../magnolia_asset_checker');
+const { MagnoliaInputError, MagnoliaParseError } = require('../magnolia_errors');
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+describe('MagnoliaAssetConfig', () => {
+    describe('rules', () => {
+        const config = new MagnoliaAssetConfig({
+            ignore: [
+                { location: '/site/email/**', reason: 'Used by email templates' },
+                { fileName: 'favicon.*' }
+            ],
+            excludeMimeTypes: ['font/*'],
+            allowlist: [
+                { uuid: '3F2A8C1E-0B4D-4E7A-9C1F-6D5E4B3A2C10', reason: 'Linked from the mobile app' },
+                '7c9e6679-7425-40de-944b-e07fc1f90ae7'
+            ],
+            protectedFolders: ['site/brand/']
+        });
+
+        it('matches globs on the DAM folder and the file name', () => {
+            assert.deepEqual(config.match({ location: 'site/email/2024', fileName: 'header.png' }),
+                { type: 'ignore', reason: 'Used by email templates' });
+            assert.deepEqual(config.match({ location: 'site', fileName: 'FAVICON.ICO' }),
+                { type: 'ignore', reason: 'fileName matches favicon.*' });
+            assert.equal(config.match({ location: 'site/emails', fileName: 'header.png' }), null);
+        });
+
+        it('matches MIME types by glob', () => {
+            assert.deepEqual(config.match({ location: 'site', fileName: 'brand.woff2', mimeType: 'font/woff2' }),
+                { type: 'mimeType', reason: 'Excluded MIME type font/*' });
+            assert.equal(config.match({ location: 'site', fileName: 'hero.jpg', mimeType: 'image/jpeg' }), null);
+        });
+
+        it('matches allowlisted UUIDs regardless of case', () => {
+            assert.deepEqual(config.match({ uuid: '3f2a8c1e-0b4d-4e7a-9c1f-6d5e4b3a2c10', location: 'site' }),
+                { type: 'allowlist', reason: 'Linked from the mobile app' });
+            assert.deepEqual(config.match({ uuid: '7c9e6679-7425-40de-944b-e07fc1f90ae7', location: 'site' }),
+                { type: 'allowlist', reason: 'Allowlisted UUID' });
+        });
+
+        it('protects whole folders, but not folders that only share the prefix', () => {
+            assert.equal(config.match({ location: 'jcr:root/site/brand/logos', fileName: 'logo.svg' }).type, 'protectedFolder');
+            assert.equal(config.match({ location: 'site/brand', fileName: 'logo.svg' }).reason, 'Protected folder /site/brand');
+            assert.equal(config.match({ location: 'site/brandnew', fileName: 'logo.svg' }), null);
+        });
+
+        it('checks allowlisted UUIDs first, then protected folders, MIME types and globs', () => {
+            const asset = { uuid: '7c9e6679-7425-40de-944b-e07fc1f90ae7', location: 'site/brand', fileName: 'favicon.ico', mimeType: 'font/woff' };
+            assert.equal(config.match(asset).type, 'allowlist');
+            assert.equal(config.match({ ...asset, uuid: null }).type, 'protectedFolder');
+            assert.equal(config.match({ ...asset, uuid: null, location: 'site' }).type, 'mimeType');
+        });
+    });
+
+    describe('validation', () => {
+        it('rejects malformed configs with a MagnoliaParseError', () => {
+            for (const config of [[], { ignore: 'favicon.*' }, { ignore: [{ reason: 'no glob' }] }, { allowlist: [{}] }, { protectedFolders: [''] }]) {
+                assert.throws(() => new MagnoliaAssetConfig(config), MagnoliaParseError, JSON.stringify(config));
+            }
+        });
+    });
+
+    describe('load', () => {
+        let tempDir;
+
+        before(async () => {
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-config-test-'));
+        });
+
+        after(async () => {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        it('loads a YAML config file found in a directory', async () => {
+            await fs.writeFile(path.join(tempDir, '.magnolia-asset-checker.yml'), 'excludeMimeTypes:\n  - image/x-icon\n');
+
+            const file = await MagnoliaAssetConfig.find(tempDir);
+            const config = await MagnoliaAssetConfig.load(file);
+
+            assert.equal(config.source, file);
+            assert.equal(config.match({ mimeType: 'image/x-icon' }).type, 'mimeType');
+        });
+
+        it('throws a MagnoliaInputError for a missing file and a MagnoliaParseError for invalid YAML', async () => {
+            await assert.rejects(MagnoliaAssetConfig.load(path.join(tempDir, 'missing.yml')), MagnoliaInputError);
+
+            const invalid = path.join(tempDir, 'invalid.yml');
+            await fs.writeFile(invalid, 'ignore: [unclosed\n');
+            await assert.rejects(MagnoliaAssetConfig.load(invalid), MagnoliaParseError);
+        });
+    });
+
+    describe('in an analysis', () => {
+        it('moves matching unused assets into ignoredAssets with the reason, and leaves referenced ones alone', () => {
+            const config = new MagnoliaAssetConfig({ ignore: [{ fileName: 'favicon.*', reason: 'Theme icon' }] });
+            const checker = new MagnoliaAssetChecker({ logger: silentLogger, config });
+            const assets = [
+                { uuid: 'a1', fileName: 'favicon.ico', location: 'site', size: '10' },
+                { uuid: 'a2', fileName: 'favicon.png', location: 'site', size: '20' },
+                { uuid: 'a3', fileName: 'hero.jpg', location: 'site', size: '30' }
+            ];
+
+            const analysis = checker.analyzeAssets(assets, new Set(['a2']));
+
+            assert.deepEqual(analysis.ignoredAssets.map(asset => [asset.uuid, asset.ignoreRule, asset.ignoreReason]), [['a1', 'ignore', 'Theme icon']]);
+            assert.deepEqual(analysis.referencedAssets.map(asset => asset.uuid), ['a2']);
+            assert.deepEqual(analysis.unusedAssets.map(asset => asset.uuid), ['a3']);
+            assert.equal(analysis.storage.ignoredBytes, 10);
+            assert.equal(analysis.storage.unusedBytes, 30);
+        });
+    });
+});
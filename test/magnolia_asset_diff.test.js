@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MagnoliaAssetDiff = require('../magnolia_asset_diff');
+const { MagnoliaInputError } = require('../magnolia_errors');
+
+function asset(n, location = 'site/images') {
+    return { uuid: `a0000000-0000-0000-0000-00000000000${n}`, fileName: `file-${n}.jpg`, location, mimeType: 'image/jpeg', size: '100' };
+}
+
+function run(assets, { unused = [], ignored = [] } = {}) {
+    return {
+        assets,
+        unusedUUIDs: new Set(unused.map(item => item.uuid)),
+        ignoredUUIDs: new Set(ignored.map(item => item.uuid))
+    };
+}
+
+function changesOf(changes) {
+    return changes.map(change => [change.change, change.uuid.slice(-1), change.previousStatus, change.status]);
+}
+
+describe('MagnoliaAssetDiff', () => {
+    const differ = new MagnoliaAssetDiff();
+
+    describe('compare', () => {
+        it('reports assets that became unused or referenced, were added, removed or moved', () => {
+            const [a1, a2, a3, a4] = [1, 2, 3, 4].map(n => asset(n));
+            const previous = run([a1, a2, a3], { unused: [a2] });
+            const current = run([a1, a2, { ...a4 }, { ...a3, location: 'site/archive' }], { unused: [a1] });
+
+            const changes = differ.compare(previous, current);
+
+            assert.deepEqual(changesOf(changes), [
+                ['became_unused', '1', 'referenced', 'unused'],
+                ['became_referenced', '2', 'unused', 'referenced'],
+                ['added', '4', null, 'referenced'],
+                ['moved', '3', 'referenced', 'referenced']
+            ]);
+            assert.equal(changes[3].previousLocation, 'site/images');
+            assert.equal(changes[3].location, 'site/archive');
+        });
+
+        it('reports removed assets with their previous location', () => {
+            const changes = differ.compare(run([asset(1)], { unused: [asset(1)] }), run([]));
+
+            assert.deepEqual(changesOf(changes), [['removed', '1', 'unused', null]]);
+            assert.equal(changes[0].location, null);
+            assert.equal(changes[0].previousLocation, 'site/images');
+        });
+
+        it('gives an asset that moved and changed status a row for each', () => {
+            const changes = differ.compare(run([asset(1)]), run([asset(1, 'site/old')], { unused: [asset(1)] }));
+            assert.deepEqual(changes.map(change => change.change), ['became_unused', 'moved']);
+        });
+
+        it('reports assets an ignore rule took out of the unused list as became_ignored, not became_referenced', () => {
+            const [a1, a2, a3] = [1, 2, 3].map(n => asset(n));
+            const previous = run([a1, a2, a3], { unused: [a1, a2], ignored: [a3] });
+            const current = run([a1, a2, a3], { unused: [a2], ignored: [a1, a3] });
+
+            assert.deepEqual(changesOf(differ.compare(previous, current)), [['became_ignored', '1', 'unused', 'ignored']]);
+        });
+
+        it('reports assets whose ignore rule was removed as became_unused', () => {
+            const previous = run([asset(1)], { ignored: [asset(1)] });
+            const current = run([asset(1)], { unused: [asset(1)] });
+
+            assert.deepEqual(changesOf(differ.compare(previous, current)), [['became_unused', '1', 'ignored', 'unused']]);
+        });
+
+        it('counts the changes per type', () => {
+            const changes = differ.compare(run([asset(1)], { unused: [asset(1)] }), run([asset(1), asset(2)], { ignored: [asset(1)] }));
+
+            assert.deepEqual(differ.summarize(changes),
+                { became_unused: 0, became_referenced: 0, became_ignored: 1, added: 1, removed: 0, moved: 0 });
+        });
+    });
+
+    describe('fromResults', () => {
+        it('reads unused and ignored assets from an /analyze response', () => {
+            const [a1, a2, a3] = [1, 2, 3].map(n => asset(n));
+            const loaded = MagnoliaAssetDiff.fromResults({ assets: { all: [a1, a2, a3], unused: [a2], ignored: [a3] } });
+
+            assert.deepEqual([...loaded.unusedUUIDs], [a2.uuid]);
+            assert.deepEqual([...loaded.ignoredUUIDs], [a3.uuid]);
+        });
+
+        it('classifies an all_assets report by its reference and ignore fields', () => {
+            const report = [
+                { ...asset(1), referencedIn: ['website.xml'], referenceCount: 1 },
+                { ...asset(2) },
+                { ...asset(3), ignoreRule: 'mimeType', ignoreReason: 'Icons are used by the theme' },
+                { ...asset(4), referenceCount: 2 }
+            ];
+            const loaded = MagnoliaAssetDiff.fromResults(report);
+
+            assert.deepEqual([...loaded.unusedUUIDs], [report[1].uuid]);
+            assert.deepEqual([...loaded.ignoredUUIDs], [report[2].uuid]);
+        });
+
+        it('rejects an all_assets report written with --fields that leave out the reference columns', () => {
+            const report = [{ uuid: asset(1).uuid, fileName: 'file-1.jpg' }, { uuid: asset(2).uuid, fileName: 'file-2.jpg' }];
+
+            assert.throws(() => MagnoliaAssetDiff.fromResults(report, 'june_all_assets.json'), error => {
+                assert.ok(error instanceof MagnoliaInputError);
+                assert.equal(error.file, 'june_all_assets.json');
+                assert.match(error.message, /referenceCount/);
+                return true;
+            });
+        });
+
+        it('accepts a --fields report that kept referenceCount', () => {
+            const report = [{ uuid: asset(1).uuid, referenceCount: null }, { uuid: asset(2).uuid, referenceCount: 3 }];
+            assert.deepEqual([...MagnoliaAssetDiff.fromResults(report).unusedUUIDs], [asset(1).uuid]);
+        });
+    });
+
+    describe('loadRun', () => {
+        let tempDir;
+
+        before(async () => {
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-diff-test-'));
+        });
+
+        after(async () => {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        it('loads a saved result JSON file', async () => {
+            const file = path.join(tempDir, 'may_all_assets.json');
+            await fs.writeFile(file, JSON.stringify([{ ...asset(1), referenceCount: 1 }, asset(2)]));
+
+            const loaded = await differ.loadRun([file]);
+
+            assert.equal(loaded.assets.length, 2);
+            assert.deepEqual([...loaded.unusedUUIDs], [asset(2).uuid]);
+        });
+
+        it('rejects a saved report without reference columns with a MagnoliaInputError', async () => {
+            const file = path.join(tempDir, 'trimmed_all_assets.json');
+            await fs.writeFile(file, JSON.stringify([{ uuid: asset(1).uuid, fileName: 'file-1.jpg' }]));
+
+            await assert.rejects(differ.loadRun([file]), MagnoliaInputError);
+        });
+
+        it('analyzes exports and reports skipped files to its logger, not the console', async t => {
+            const notes = path.join(tempDir, 'notes.txt');
+            await fs.writeFile(notes, 'not an export');
+            const warnings = [];
+            const logger = { log() {}, warn: message => warnings.push(message), error() {} };
+            const consoleWarn = t.mock.method(console, 'warn', () => {});
+
+            const loaded = await new MagnoliaAssetDiff({ logger }).loadRun([
+                path.join(__dirname, 'fixtures', 'dam.xml'),
+                path.join(__dirname, 'fixtures', 'website.xml'),
+                notes
+            ]);
+
+            assert.equal(loaded.assets.length, 5);
+            assert.equal(loaded.unusedUUIDs.size, 3);
+            assert.equal(warnings.filter(message => message.includes('Skipped notes.txt')).length, 1);
+            assert.equal(consoleWarn.mock.callCount(), 0);
+        });
+    });
+});
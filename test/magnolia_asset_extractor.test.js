@@ -0,0 +1,206 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { InvalidArgumentError } = require('commander');
+const MagnoliaAssetExtractor = require('../magnolia_asset_extractor');
+
+const DAM_EXPORT = path.join(__dirname, 'fixtures', 'dam.xml');
+const DAM_YAML_EXPORT = path.join(__dirname, 'fixtures', 'dam.yaml');
+const DAM_JSON_EXPORT = path.join(__dirname, 'fixtures', 'dam.json');
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+describe('MagnoliaAssetExtractor', () => {
+    const extractor = new MagnoliaAssetExtractor({ logger: silentLogger });
+    let tempDir;
+
+    before(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-extractor-test-'));
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    describe('YAML and JSON extraction', () => {
+        it('returns the same records as the XML path for a YAML export', async () => {
+            const xml = await extractor.extractAssets(DAM_EXPORT);
+            const records = await extractor.extractAssets(DAM_YAML_EXPORT);
+
+            // Dates keep their time zone and !!binary data is hashed like jcr:data in XML
+            assert.equal(records[0].created, '2023-01-10T08:00:00.000+01:00');
+            assert.deepEqual(records, xml);
+        });
+
+        it('returns the same records as the XML path for a nodes REST endpoint JSON dump', async () => {
+            const xml = await extractor.extractAssets(DAM_EXPORT);
+            const records = await extractor.extractAssets(DAM_JSON_EXPORT);
+
+            // The REST endpoint leaves binaries out, so there is nothing to hash
+            assert.deepEqual(records, xml.map(record => ({ ...record, sha256: null })));
+        });
+
+        it('reads the node-name-keyed JSON structure of YAML exports', async () => {
+            const exportFile = path.join(tempDir, 'keyed.json');
+            await fs.writeFile(exportFile, JSON.stringify({
+                site: {
+                    'jcr:primaryType': 'mgnl:folder',
+                    hero: {
+                        'jcr:primaryType': 'mgnl:asset',
+                        'jcr:uuid': 'a0000000-0000-0000-0000-000000000001',
+                        'jcr:content': { 'jcr:primaryType': 'mgnl:resource', fileName: 'hero.jpg', size: 12 }
+                    }
+                }
+            }));
+
+            const [record] = await extractor.extractAssets(exportFile);
+            assert.equal(record.fileName, 'hero.jpg');
+            assert.equal(record.location, 'site');
+            assert.equal(record.size, '12');
+            assert.equal(record.sha256, null);
+        });
+    });
+
+    describe('streaming vs DOM extraction', () => {
+        it('returns the same records as the DOM path for the fixture export', async () => {
+            const streamed = await extractor.extractAssetsFromXml(DAM_EXPORT);
+            const dom = await extractor.extractAssetsFromXmlDom(DAM_EXPORT);
+
+            assert.equal(streamed.length, 5);
+            assert.deepEqual(streamed, dom);
+        });
+
+        it('returns the same records when binaries and properties span read chunks', async () => {
+            // Binaries far larger than one 64 KB read chunk, with and without line wrapping
+            const nodes = [];
+            for (let i = 0; i < 6; i++) {
+                const bytes = crypto.randomBytes(100000 + i * 7919);
+                let data = bytes.toString('base64');
+                if (i % 2 === 0) {
+                    data = data.replace(/.{76}/g, '$&\n');
+                }
+                nodes.push(`<sv:node sv:name="asset-${i}">
+<sv:property sv:name="jcr:primaryType" sv:type="Name"><sv:value>mgnl:asset</sv:value></sv:property>
+<sv:property sv:name="jcr:uuid" sv:type="String"><sv:value>b0000000-0000-0000-0000-00000000000${i}</sv:value></sv:property>
+<sv:node sv:name="jcr:content">
+<sv:property sv:name="jcr:primaryType" sv:type="Name"><sv:value>mgnl:resource</sv:value></sv:property>
+<sv:property sv:name="fileName" sv:type="String"><sv:value>file-${i}.bin</sv:value></sv:property>
+<sv:property sv:name="jcr:data" sv:type="Binary"><sv:value>${data}</sv:value></sv:property>
+<sv:property sv:name="size" sv:type="String"><sv:value>${bytes.length}</sv:value></sv:property>
+</sv:node>
+</sv:node>`);
+            }
+            const exportFile = path.join(tempDir, 'large.xml');
+            await fs.writeFile(exportFile, `<?xml version="1.0" encoding="UTF-8"?>
+<sv:node sv:name="dam" xmlns:sv="http://www.jcp.org/jcr/sv/1.0">
+<sv:property sv:name="jcr:primaryType" sv:type="Name"><sv:value>rep:root</sv:value></sv:property>
+<sv:node sv:name="media">
+<sv:property sv:name="jcr:primaryType" sv:type="Name"><sv:value>mgnl:folder</sv:value></sv:property>
+${nodes.join('\n')}
+</sv:node>
+</sv:node>
+`);
+
+            const streamed = await extractor.extractAssetsFromXml(exportFile);
+            const dom = await extractor.extractAssetsFromXmlDom(exportFile);
+
+            assert.equal(streamed.length, 6);
+            assert.deepEqual(streamed, dom);
+        });
+
+        it('reads gzip-compressed exports like plain ones', async () => {
+            const compressed = path.join(tempDir, 'dam.xml.gz');
+            await fs.writeFile(compressed, zlib.gzipSync(await fs.readFile(DAM_EXPORT)));
+
+            assert.deepEqual(
+                await extractor.extractAssetsFromXml(compressed),
+                await extractor.extractAssetsFromXmlDom(DAM_EXPORT)
+            );
+        });
+    });
+
+    describe('asset records', () => {
+        it('emits assets in document order with their folder location', async () => {
+            const emitted = [];
+            const count = await extractor.streamAssetsFromXml(DAM_EXPORT, asset => emitted.push(asset));
+
+            assert.equal(count, 5);
+            assert.deepEqual(emitted.map(asset => [asset.location, asset.assetName, asset.fileName]), [
+                ['site/images', 'hero', 'hero.jpg'],
+                ['site/images', 'logo', 'logo.png'],
+                ['site/images', 'hero-copy', 'hero (1).jpg'],
+                ['site/docs', 'brochure', 'brochure-2023.pdf'],
+                ['site', 'favicon', 'favicon.ico']
+            ]);
+        });
+
+        it('skips asset nodes without a jcr:uuid', async () => {
+            const assets = await extractor.extractAssetsFromXml(DAM_EXPORT);
+            assert.ok(!assets.some(asset => asset.assetName === 'draft'));
+        });
+
+        it('prefers metadata on the asset node over its jcr:content resource', async () => {
+            const [hero] = await extractor.extractAssetsFromXml(DAM_EXPORT);
+
+            assert.equal(hero.lastModified, '2024-03-05T10:20:30.000+01:00');
+            assert.equal(hero.created, '2023-01-10T08:00:00.000+01:00');
+            assert.equal(hero.mimeType, 'image/jpeg');
+            assert.equal(hero.size, '12');
+            assert.equal(hero.title, 'Hero & banner');
+            assert.equal(hero.description, null);
+        });
+
+        it('hashes the decoded jcr:data binary', async () => {
+            const assets = await extractor.extractAssetsFromXml(DAM_EXPORT);
+            const byName = Object.fromEntries(assets.map(asset => [asset.assetName, asset]));
+            const sha256 = bytes => crypto.createHash('sha256').update(bytes).digest('hex');
+
+            assert.equal(byName.hero.sha256, sha256(Buffer.from('hello world\n')));
+            assert.equal(byName['hero-copy'].sha256, byName.hero.sha256);
+            assert.equal(byName.logo.sha256, sha256(Buffer.concat([0, 1, 2].map(() => Buffer.from([...Array(256).keys()])))));
+            assert.equal(byName.brochure.sha256, null);
+        });
+    });
+
+    describe('--fields', () => {
+        it('parses a comma-separated list of known fields, keeping its order', () => {
+            assert.deepEqual(MagnoliaAssetExtractor.parseFieldList(' size, fileName ,,uuid'), ['size', 'fileName', 'uuid']);
+        });
+
+        it('rejects unknown field names with an InvalidArgumentError that lists them', () => {
+            assert.throws(() => MagnoliaAssetExtractor.parseFieldList('fileName,sizee,titel'), error => {
+                assert.ok(error instanceof InvalidArgumentError);
+                assert.match(error.message, /^Unknown 'sizee', 'titel'\. Supported: fileName, uuid, /);
+                return true;
+            });
+            assert.throws(() => MagnoliaAssetExtractor.parseFieldList('referenceCount'), InvalidArgumentError);
+            assert.deepEqual(MagnoliaAssetExtractor.parseFieldList('referenceCount', ['referenceCount']), ['referenceCount']);
+        });
+
+        it('selects the requested fields in order, with null for fields a record does not have', () => {
+            const rows = MagnoliaAssetExtractor.selectFields([{ uuid: 'u1', fileName: 'a.jpg', size: '10' }], ['size', 'title', 'uuid']);
+            assert.deepEqual(rows, [{ size: '10', title: null, uuid: 'u1' }]);
+        });
+
+        it('writes only the selected columns', async () => {
+            const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-fields-test-'));
+            try {
+                const outputFile = path.join(tempDir, 'assets.csv');
+                const assets = await extractor.extractAssetsFromXml(DAM_EXPORT);
+
+                await extractor.writeResults(assets, outputFile, 'csv', ['fileName', 'mimeType']);
+
+                const lines = (await fs.readFile(outputFile, 'utf8')).trim().split('\n');
+                assert.equal(lines[0], 'fileName,mimeType');
+                assert.equal(lines[1], 'hero.jpg,image/jpeg');
+                assert.equal(lines.length, assets.length + 1);
+            } finally {
+                await fs.rm(tempDir, { recursive: true, force: true });
+            }
+        });
+    });
+});
@@ -0,0 +1,184 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MagnoliaBinaryExtractor = require('../magnolia_binary_extractor');
+const MagnoliaAssetExtractor = require('../magnolia_asset_extractor');
+
+const DAM_EXPORT = path.join(__dirname, 'fixtures', 'dam.xml');
+
+function createLogger() {
+    const warnings = [];
+    return { warnings, log() {}, warn: (...args) => warnings.push(args.join(' ')), error() {} };
+}
+
+function sha256(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * List every file below a directory, relative to it
+ */
+async function listFiles(directory) {
+    const entries = await fs.readdir(directory, { recursive: true, withFileTypes: true });
+    return entries
+        .filter(entry => entry.isFile())
+        .map(entry => path.relative(directory, path.join(entry.parentPath || entry.path, entry.name)).split(path.sep).join('/'))
+        .sort();
+}
+
+describe('MagnoliaBinaryExtractor', () => {
+    describe('planTargets', () => {
+        const extractor = new MagnoliaBinaryExtractor({ logger: createLogger() });
+
+        it('lays files out like the DAM, without the jcr:root folder', () => {
+            const targets = extractor.planTargets([
+                { uuid: 'u1', location: 'jcr:root/site/images', fileName: 'hero.jpg' },
+                { uuid: 'u2', location: 'root', fileName: 'favicon.ico' },
+                { uuid: 'u3', location: 'site/docs', assetName: 'brochure' }
+            ]);
+
+            assert.deepEqual([...targets.values()], [
+                path.join('site', 'images', 'hero.jpg'),
+                'favicon.ico',
+                path.join('site', 'docs', 'brochure')
+            ]);
+        });
+
+        it('adds the UUID to the name of assets that would share a path, ignoring case', () => {
+            const targets = extractor.planTargets([
+                { uuid: 'u1', location: 'site', fileName: 'Logo.png' },
+                { uuid: 'u2', location: 'site', fileName: 'logo.png' }
+            ]);
+
+            assert.equal(targets.get('u2'), path.join('site', 'logo.u2.png'));
+        });
+
+        it('keeps file names, folders and UUIDs with path separators or dot segments inside the output directory', () => {
+            const outputDir = path.resolve('extract');
+            const targets = extractor.planTargets([
+                { uuid: 'u1', location: 'root', fileName: '../../../tmp/pwn.sh' },
+                { uuid: 'u2', location: '../../etc', fileName: '..' },
+                { uuid: 'u3', location: 'site', fileName: '..\\..\\pwn.bat' },
+                { uuid: '../../u4', location: 'root', fileName: '../../../tmp/pwn.sh' },
+                { uuid: 'u5', location: '/site//images/', fileName: '/etc/passwd' }
+            ]);
+
+            assert.equal(targets.get('u1'), '.._.._.._tmp_pwn.sh');
+            assert.equal(targets.get('u3'), path.join('site', '.._.._pwn.bat'));
+            assert.equal(targets.get('u5'), path.join('site', 'images', '_etc_passwd'));
+            for (const relativePath of targets.values()) {
+                assert.ok(!path.isAbsolute(relativePath), relativePath);
+                assert.ok(path.resolve(outputDir, relativePath).startsWith(outputDir + path.sep), relativePath);
+            }
+        });
+    });
+
+    describe('extractBinaries', () => {
+        let tempDir;
+        let outputDir;
+
+        beforeEach(async () => {
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-binaries-test-'));
+            outputDir = path.join(tempDir, 'out');
+        });
+
+        afterEach(async () => {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        it('writes each binary to its planned path and returns manifest entries with checksums', async () => {
+            const assets = await new MagnoliaAssetExtractor().extractAssetsFromXml(DAM_EXPORT);
+            const extractor = new MagnoliaBinaryExtractor({ logger: createLogger() });
+
+            const entries = await extractor.extractBinaries(DAM_EXPORT, assets, outputDir);
+
+            assert.deepEqual(entries.map(entry => entry.path), ['site/images/hero.jpg', 'site/images/logo.png', 'site/images/hero (1).jpg']);
+            assert.deepEqual(await listFiles(outputDir), ['site/images/hero (1).jpg', 'site/images/hero.jpg', 'site/images/logo.png']);
+            for (const entry of entries) {
+                const bytes = await fs.readFile(path.join(outputDir, entry.path));
+                assert.equal(entry.size, bytes.length);
+                assert.equal(entry.sha256, sha256(bytes));
+                assert.equal(entry.sha256, assets.find(asset => asset.uuid === entry.uuid).sha256);
+            }
+            assert.equal((await fs.readFile(path.join(outputDir, 'site/images/hero.jpg'), 'utf8')), 'hello world\n');
+        });
+
+        it('skips assets whose target path is outside the output directory, with a warning', async () => {
+            const assets = await new MagnoliaAssetExtractor().extractAssetsFromXml(DAM_EXPORT);
+            const logger = createLogger();
+            const extractor = new MagnoliaBinaryExtractor({ logger });
+            const targets = extractor.planTargets(assets);
+            targets.set(assets[0].uuid, path.join('..', 'escaped.jpg'));
+
+            const entries = await extractor.extractBinaries(DAM_EXPORT, assets, outputDir, targets);
+
+            assert.deepEqual(entries.map(entry => entry.uuid), [assets[1].uuid, assets[2].uuid]);
+            assert.deepEqual(await fs.readdir(tempDir), ['out']);
+            assert.equal(logger.warnings.length, 1);
+            assert.match(logger.warnings[0], new RegExp(assets[0].uuid));
+        });
+
+        it('rejects with the error of a file that fails to close, without an unhandled rejection', async () => {
+            const assets = await new MagnoliaAssetExtractor().extractAssetsFromXml(DAM_EXPORT);
+            const extractor = new MagnoliaBinaryExtractor({ logger: createLogger() });
+            const finish = extractor._finish.bind(extractor);
+            let calls = 0;
+            extractor._finish = binary => ++calls === 1 ? Promise.reject(new Error('rename failed')) : finish(binary);
+            const unhandled = [];
+            const onUnhandled = reason => unhandled.push(reason);
+            process.on('unhandledRejection', onUnhandled);
+
+            try {
+                await assert.rejects(extractor.extractBinaries(DAM_EXPORT, assets, outputDir), /rename failed/);
+                await new Promise(resolve => setImmediate(resolve));
+                assert.deepEqual(unhandled, []);
+            } finally {
+                process.off('unhandledRejection', onUnhandled);
+            }
+        });
+
+        it('keeps a file name from the export that climbs out of the DAM inside the output directory', async () => {
+            const exportFile = path.join(tempDir, 'dam.xml');
+            await fs.writeFile(exportFile, `<?xml version="1.0" encoding="UTF-8"?>
+<sv:node sv:name="site" xmlns:sv="http://www.jcp.org/jcr/sv/1.0">
+<sv:property sv:name="jcr:primaryType" sv:type="Name"><sv:value>mgnl:folder</sv:value></sv:property>
+<sv:node sv:name="evil">
+<sv:property sv:name="jcr:primaryType" sv:type="Name"><sv:value>mgnl:asset</sv:value></sv:property>
+<sv:property sv:name="jcr:uuid" sv:type="String"><sv:value>e0000000-0000-0000-0000-000000000001</sv:value></sv:property>
+<sv:node sv:name="jcr:content">
+<sv:property sv:name="jcr:primaryType" sv:type="Name"><sv:value>mgnl:resource</sv:value></sv:property>
+<sv:property sv:name="fileName" sv:type="String"><sv:value>../../../escaped.sh</sv:value></sv:property>
+<sv:property sv:name="jcr:data" sv:type="Binary"><sv:value>${Buffer.from('#!/bin/sh\n').toString('base64')}</sv:value></sv:property>
+</sv:node>
+</sv:node>
+</sv:node>
+`);
+            const assets = await new MagnoliaAssetExtractor().extractAssetsFromXml(exportFile);
+
+            const entries = await new MagnoliaBinaryExtractor({ logger: createLogger() }).extractBinaries(exportFile, assets, outputDir);
+
+            assert.deepEqual(entries.map(entry => entry.path), ['site/.._.._.._escaped.sh']);
+            assert.deepEqual(await listFiles(tempDir), ['dam.xml', 'out/site/.._.._.._escaped.sh']);
+        });
+    });
+
+    describe('writeChecksums', () => {
+        it('writes a SHA256SUMS file in sha256sum -c format', async () => {
+            const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-checksums-test-'));
+            try {
+                const file = await new MagnoliaBinaryExtractor().writeChecksums([
+                    { path: 'site/images/hero.jpg', sha256: 'a'.repeat(64) },
+                    { path: 'favicon.ico', sha256: 'b'.repeat(64) }
+                ], outputDir);
+
+                assert.equal(path.basename(file), MagnoliaBinaryExtractor.CHECKSUM_FILE_NAME);
+                assert.equal(await fs.readFile(file, 'utf8'), `${'a'.repeat(64)}  site/images/hero.jpg\n${'b'.repeat(64)}  favicon.ico\n`);
+            } finally {
+                await fs.rm(outputDir, { recursive: true, force: true });
+            }
+        });
+    });
+});
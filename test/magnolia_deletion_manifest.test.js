@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MagnoliaDeletionManifest = require('../magnolia_deletion_manifest');
+
+// Script calls that change the repository
+const MUTATING_CALLS = /node\.remove\(|session\.move\(|session\.save\(|NodeUtil\.createPath\(/;
+
+const ASSETS = [
+    { uuid: 'a0000000-0000-0000-0000-000000000001', assetName: 'hero', fileName: 'hero.jpg', location: 'site/images', mimeType: 'image/jpeg', size: '12' },
+    { uuid: 'a0000000-0000-0000-0000-000000000002', assetName: "o'brien", fileName: "o'brien.png", location: 'jcr:root/site', mimeType: 'image/png' },
+    { uuid: 'a0000000-0000-0000-0000-000000000003', assetName: 'favicon', fileName: 'favicon.ico', location: 'root' },
+    { uuid: 'N/A', assetName: 'broken', location: 'site' }
+];
+
+/**
+ * The line that opens the block a script line sits in, found by indentation
+ */
+function enclosingBlock(lines, index) {
+    const indent = lines[index].search(/\S/);
+    for (let i = index - 1; i >= 0; i--) {
+        if (lines[i].trim() && lines[i].search(/\S/) < indent) {
+            return lines[i].trim();
+        }
+    }
+    return null;
+}
+
+describe('MagnoliaDeletionManifest', () => {
+    describe('build', () => {
+        it('lists JCR paths and UUIDs and leaves out assets without a UUID', () => {
+            const entries = new MagnoliaDeletionManifest().build(ASSETS);
+
+            assert.deepEqual(entries.map(entry => [entry.path, entry.uuid]), [
+                ['/site/images/hero', 'a0000000-0000-0000-0000-000000000001'],
+                ["/site/o'brien", 'a0000000-0000-0000-0000-000000000002'],
+                ['/favicon', 'a0000000-0000-0000-0000-000000000003']
+            ]);
+            assert.deepEqual(Object.keys(entries[0]), MagnoliaDeletionManifest.MANIFEST_FIELDS);
+        });
+
+        it('puts paths below the path prefix', () => {
+            const manifest = new MagnoliaDeletionManifest({ pathPrefix: 'tenant/' });
+            assert.equal(manifest.build(ASSETS)[0].path, '/tenant/site/images/hero');
+        });
+    });
+
+    describe('toGroovy', () => {
+        it('is a dry run by default', () => {
+            const script = new MagnoliaDeletionManifest().toGroovy(new MagnoliaDeletionManifest().build(ASSETS));
+
+            assert.match(script, /^def dryRun = true$/m);
+            assert.match(script, /^def quarantine = false$/m);
+        });
+
+        it('only changes the repository inside if (!dryRun) blocks', () => {
+            for (const quarantine of [false, true]) {
+                const manifest = new MagnoliaDeletionManifest({ quarantine });
+                const lines = manifest.toGroovy(manifest.build(ASSETS)).split('\n');
+                const mutating = lines.map((line, index) => index).filter(index => MUTATING_CALLS.test(lines[index]));
+
+                assert.ok(mutating.length >= 3);
+                for (const index of mutating) {
+                    assert.equal(enclosingBlock(lines, index), 'if (!dryRun) {', lines[index]);
+                }
+            }
+        });
+
+        it('checks that each node still exists and still has the expected UUID before touching it', () => {
+            const script = new MagnoliaDeletionManifest().toGroovy([]);
+            const existsCheck = script.indexOf('session.nodeExists(asset.path)');
+            const uuidCheck = script.indexOf('node.identifier != asset.uuid');
+
+            assert.ok(existsCheck > 0 && uuidCheck > existsCheck);
+            assert.ok(script.indexOf('node.remove()') > uuidCheck);
+        });
+
+        it('moves to the quarantine folder instead of deleting when quarantine is set', () => {
+            const manifest = new MagnoliaDeletionManifest({ quarantine: true, quarantinePath: '/archive/2024/' });
+            const script = manifest.toGroovy(manifest.build(ASSETS));
+
+            assert.match(script, /^def quarantine = true$/m);
+            assert.match(script, /^def quarantinePath = '\/archive\/2024'$/m);
+        });
+
+        it('quotes asset paths as Groovy string literals', () => {
+            const manifest = new MagnoliaDeletionManifest();
+            const script = manifest.toGroovy(manifest.build(ASSETS));
+
+            assert.ok(script.includes("[path: '/site/o\\'brien', uuid: 'a0000000-0000-0000-0000-000000000002']"));
+        });
+    });
+
+    describe('writeGroovy', () => {
+        it('writes the script and reports it to the logger, not the console', async t => {
+            const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-manifest-test-'));
+            try {
+                const messages = [];
+                const manifest = new MagnoliaDeletionManifest({ logger: { log: message => messages.push(message), warn() {}, error() {} } });
+                const scriptFile = path.join(tempDir, 'scripts', 'cleanup.groovy');
+                const consoleLog = t.mock.method(console, 'log', () => {});
+
+                await manifest.writeGroovy(manifest.build(ASSETS), scriptFile);
+
+                assert.match(await fs.readFile(scriptFile, 'utf8'), /^def dryRun = true$/m);
+                assert.deepEqual(messages, [`Cleanup script written to: ${scriptFile}`]);
+                assert.equal(consoleLog.mock.callCount(), 0);
+            } finally {
+                await fs.rm(tempDir, { recursive: true, force: true });
+            }
+        });
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const yazl = require('yazl');
+const MagnoliaExportBundle = require('../magnolia_export_bundle');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// A page whose component holds a copy of an asset node
+const PAGE_WITH_ASSET = `<?xml version="1.0" encoding="UTF-8"?>
+<sv:node sv:name="home" xmlns:sv="http://www.jcp.org/jcr/sv/1.0">
+  <sv:property sv:name="jcr:primaryType" sv:type="Name"><sv:value>mgnl:page</sv:value></sv:property>
+  <sv:node sv:name="main">
+    <sv:property sv:name="jcr:primaryType" sv:type="Name"><sv:value>mgnl:area</sv:value></sv:property>
+    <sv:node sv:name="hero">
+      <sv:property sv:name="jcr:primaryType" sv:type="Name"><sv:value>mgnl:asset</sv:value></sv:property>
+      <sv:property sv:name="jcr:uuid" sv:type="String"><sv:value>a0000000-0000-0000-0000-000000000001</sv:value></sv:property>
+    </sv:node>
+  </sv:node>
+</sv:node>
+`;
+
+function writeZip(zipPath, files) {
+    return new Promise((resolve, reject) => {
+        const zip = new yazl.ZipFile();
+        for (const [name, content] of Object.entries(files)) {
+            zip.addBuffer(Buffer.from(content), name);
+        }
+        zip.outputStream.pipe(fsSync.createWriteStream(zipPath)).on('close', resolve).on('error', reject);
+        zip.end();
+    });
+}
+
+describe('MagnoliaExportBundle', () => {
+    let tempDir;
+
+    before(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-bundle-test-'));
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    describe('sorting exports', () => {
+        it('sorts by workspace prefix, then by root node type', async () => {
+            const dir = path.join(tempDir, 'exports');
+            await fs.mkdir(dir);
+            await fs.copyFile(path.join(FIXTURES, 'website.xml'), path.join(dir, 'dam.website.xml'));
+            await fs.copyFile(path.join(FIXTURES, 'dam.xml'), path.join(dir, 'assets.xml'));
+            await fs.copyFile(path.join(FIXTURES, 'dam.yaml'), path.join(dir, 'assets.yaml'));
+            await fs.copyFile(path.join(FIXTURES, 'dam.json'), path.join(dir, 'nodes.json'));
+            await fs.copyFile(path.join(FIXTURES, 'website.xml'), path.join(dir, 'pages.xml'));
+            await fs.writeFile(path.join(dir, 'website.home.xml'), PAGE_WITH_ASSET);
+            await fs.writeFile(path.join(dir, 'home.yaml'), `home:\n  'jcr:primaryType': 'mgnl:page'\n  hero:\n    jcr:primaryType: mgnl:asset\n`);
+            await fs.writeFile(path.join(dir, 'notes.txt'), 'mgnl:asset');
+
+            const bundle = new MagnoliaExportBundle();
+            await bundle.add(dir);
+
+            assert.deepEqual(bundle.assetFiles.map(file => file.name), ['assets.xml', 'assets.yaml', 'dam.website.xml', 'nodes.json']);
+            assert.deepEqual(bundle.pageFiles.map(file => file.name), ['home.yaml', 'pages.xml', 'website.home.xml']);
+            assert.deepEqual(bundle.unrecognized.map(file => file.name), ['notes.txt']);
+        });
+    });
+
+    describe('ZIP limits', () => {
+        it('unpacks an archive within the limits', async () => {
+            const zipPath = path.join(tempDir, 'small.zip');
+            await writeZip(zipPath, { 'exports/dam.site.xml': await fs.readFile(path.join(FIXTURES, 'dam.xml')) });
+
+            const bundle = new MagnoliaExportBundle({ maxZipEntries: 1 });
+            try {
+                await bundle.add(zipPath);
+                assert.deepEqual(bundle.assetFiles.map(file => file.name), ['exports/dam.site.xml']);
+            } finally {
+                await bundle.cleanup();
+            }
+        });
+
+        it('rejects an archive with more entries than allowed before unpacking any', async () => {
+            const zipPath = path.join(tempDir, 'many.zip');
+            await writeZip(zipPath, { 'a.xml': 'a', 'b.xml': 'b', 'c.xml': 'c' });
+
+            const bundle = new MagnoliaExportBundle({ maxZipEntries: 2 });
+            try {
+                await assert.rejects(bundle.add(zipPath), /'many\.zip' has 3 entries; at most 2 are allowed/);
+                assert.equal(bundle.assetFiles.length + bundle.pageFiles.length + bundle.unrecognized.length, 0);
+            } finally {
+                await bundle.cleanup();
+            }
+        });
+
+        it('rejects an archive that unpacks to more bytes than allowed', async () => {
+            // Compresses to about a kilobyte
+            const zipPath = path.join(tempDir, 'bomb.zip');
+            await writeZip(zipPath, { 'first.xml': '\0'.repeat(600 * 1024), 'second.xml': '\0'.repeat(600 * 1024) });
+            assert.ok((await fs.stat(zipPath)).size < 16 * 1024);
+
+            const bundle = new MagnoliaExportBundle({ maxZipBytes: 1024 * 1024 });
+            try {
+                await assert.rejects(bundle.add(zipPath), /'bomb\.zip' unpacks to more than 1048576 bytes/);
+            } finally {
+                await bundle.cleanup();
+            }
+            assert.deepEqual(bundle._tempDirs, []);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MagnoliaModuleScanner = require('../magnolia_module_scanner');
+const MagnoliaAssetChecker = require('../magnolia_asset_checker');
+const MagnoliaAssetExtractor = require('../magnolia_asset_extractor');
+
+const DAM_EXPORT = path.join(__dirname, 'fixtures', 'dam.xml');
+
+const HERO = 'a0000000-0000-0000-0000-000000000001';
+const LOGO = 'a0000000-0000-0000-0000-000000000002';
+const BROCHURE = 'a0000000-0000-0000-0000-000000000004';
+const FAVICON = 'a0000000-0000-0000-0000-000000000005';
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+describe('MagnoliaModuleScanner', () => {
+    const scanner = new MagnoliaModuleScanner();
+    let tempDir;
+
+    before(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-modules-test-'));
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    describe('listFiles', () => {
+        it('lists module sources sorted, skipping node_modules and other file types', async () => {
+            const moduleDir = path.join(tempDir, 'list');
+            for (const file of ['my-module/templates/home.ftl', 'my-module/dialogs/hero.yaml', 'my-module/css/site.css',
+                'my-module/README.md', 'my-module/node_modules/lib/index.js']) {
+                await fs.mkdir(path.dirname(path.join(moduleDir, file)), { recursive: true });
+                await fs.writeFile(path.join(moduleDir, file), '');
+            }
+
+            assert.deepEqual(await scanner.listFiles(moduleDir),
+                ['my-module/css/site.css', 'my-module/dialogs/hero.yaml', 'my-module/templates/home.ftl']);
+        });
+    });
+
+    describe('extractSnippets', () => {
+        it('splits string literals and damfn arguments out of a template line', () => {
+            const snippets = scanner.extractSnippets('\n[#assign a = damfn.getAsset("dam", "site/docs/brochure.pdf")]', 'ftl');
+
+            assert.deepEqual(snippets, [
+                { line: 2, text: '[#assign a = damfn.getAsset("dam", "site/docs/brochure.pdf")]' },
+                { line: 2, text: 'dam' },
+                { line: 2, text: 'site/docs/brochure.pdf' },
+                { line: 2, text: '/site/docs/brochure.pdf' }
+            ]);
+        });
+
+        it('adds YAML values without their quotes and skips comments', () => {
+            const snippets = scanner.extractSnippets([
+                '# defaultValue: /site/images/logo.png',
+                'defaultValue: \'/site/images/hero.jpg\'',
+                '  - dam:/site/favicon.ico'
+            ].join('\n'), 'yaml');
+
+            assert.deepEqual(snippets.filter(snippet => snippet.line === 1), [{ line: 1, text: '# defaultValue: /site/images/logo.png' }]);
+            assert.ok(snippets.some(snippet => snippet.line === 2 && snippet.text === '/site/images/hero.jpg'));
+            assert.ok(snippets.some(snippet => snippet.line === 3 && snippet.text === 'dam:/site/favicon.ico'));
+        });
+    });
+
+    describe('module references', () => {
+        const checker = new MagnoliaAssetChecker({ logger: silentLogger });
+        let assets;
+
+        before(async () => {
+            assets = await new MagnoliaAssetExtractor({ logger: silentLogger }).extractAssets(DAM_EXPORT);
+        });
+
+        const scan = async (name, files, scannedAssets = assets) => {
+            const moduleDir = path.join(tempDir, name);
+            for (const [file, content] of Object.entries(files)) {
+                await fs.mkdir(path.dirname(path.join(moduleDir, file)), { recursive: true });
+                await fs.writeFile(path.join(moduleDir, file), content);
+            }
+            return checker.findReferencedAssetsInModules([moduleDir], scannedAssets);
+        };
+
+        it('finds damfn calls, /dam/ URLs and full DAM paths with file and line', async () => {
+            const sites = await scan('full-paths', {
+                'my-module/templates/home.ftl': [
+                    '<img src="${ctx.contextPath}/dam/site/images/logo.png">',
+                    '[#assign brochure = damfn.getAsset("dam", "site/docs/brochure.pdf")]'
+                ].join('\n'),
+                'my-module/css/site.css': 'body { background: url(/dam/jcr:' + HERO + '/hero.jpg); }',
+                'my-module/dialogs/page.yaml': 'icon:\n  defaultValue: dam:/site/favicon.ico'
+            });
+
+            assert.deepEqual([...sites.keys()].sort(), [HERO, LOGO, BROCHURE, FAVICON].sort());
+            assert.deepEqual(sites.get(LOGO), [{ source: 'code', path: 'my-module/templates/home.ftl', line: 1, property: null, type: 'code' }]);
+            assert.deepEqual(sites.get(BROCHURE), [{ source: 'code', path: 'my-module/templates/home.ftl', line: 2, property: null, type: 'code' }]);
+            assert.deepEqual(sites.get(FAVICON), [{ source: 'code', path: 'my-module/dialogs/page.yaml', line: 2, property: null, type: 'code' }]);
+        });
+
+        it('does not match DAM assets by a trailing file name in module code', async () => {
+            // Exported from its own folder, so the asset's whole path is just its name
+            const rootAsset = { uuid: LOGO, assetName: 'logo', fileName: 'logo.png', location: 'root' };
+            const files = {
+                'my-module/templates/home.ftl': '<img src="${ctx.resourcesPath}/.resources/my-module/webresources/img/logo.png">',
+                'my-module/js/site.js': 'const logo = "logo.png";\nconst icon = \'/site/images/favicon.ico\';'
+            };
+
+            assert.equal((await scan('trailing-names', files, [rootAsset])).size, 0);
+            assert.equal((await scan('trailing-names', files)).size, 0);
+        });
+
+        it('still resolves page export paths by their trailing part', () => {
+            const matcher = checker._createAssetMatcher(assets);
+
+            assert.equal(checker._resolveAssetPath('/moved/site/images/logo.png', matcher), LOGO);
+            assert.equal(checker._resolveAssetPath('/moved/site/images/logo.png', matcher, { fullPaths: true }), null);
+            assert.equal(checker._resolveAssetPath('/site/images/logo', matcher, { fullPaths: true }), LOGO);
+        });
+    });
+});
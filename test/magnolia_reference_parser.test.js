@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MagnoliaReferenceParser = require('../magnolia_reference_parser');
+const MagnoliaAssetChecker = require('../magnolia_asset_checker');
+
+const UUID = 'a1b2c3d4-0000-0000-0000-000000000001';
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+describe('MagnoliaReferenceParser', () => {
+    const parser = new MagnoliaReferenceParser();
+
+    describe('link macros', () => {
+        it('parses a plain ${link:} macro into a dam link with UUID and path', () => {
+            const references = parser.parse(`\${link:{uuid:{${UUID}},repository:{dam},path:{/site/img/hero.jpg}}}`);
+
+            assert.deepEqual(references.find(reference => reference.type === 'link'),
+                { type: 'link', uuid: UUID, path: '/site/img/hero.jpg', repository: 'dam' });
+        });
+
+        it('parses HTML-escaped, double-escaped and URL-encoded macros like plain ones', () => {
+            const escaped = [
+                `&lt;a href=&quot;$&#123;link:&#123;uuid:&#123;${UUID}&#125;,repository:&#123;dam&#125;&#125;&#125;&quot;&gt;`,
+                `&amp;#36;&amp;#123;link:&amp;#123;uuid:&amp;#123;${UUID}&amp;#125;,repository:&amp;#123;dam&amp;#125;&amp;#125;&amp;#125;`,
+                `&#x24;&#x7B;link:&#x7B;uuid:&#x7B;${UUID}&#x7D;,repository:&#x7B;dam&#x7D;&#x7D;&#x7D;`,
+                `%24%7Blink:%7Buuid:%7B${UUID}%7D,repository:%7Bdam%7D%7D%7D`
+            ];
+
+            for (const text of escaped) {
+                assert.deepEqual(parser.parse(text).find(reference => reference.type === 'link'),
+                    { type: 'link', uuid: UUID, path: null, repository: 'dam' }, text);
+            }
+        });
+
+        it('ignores link macros into other repositories', () => {
+            const references = parser.parse(`\${link:{uuid:{${UUID}},repository:{website}}}`);
+
+            assert.ok(!references.some(reference => reference.type === 'link'));
+            assert.deepEqual(parser.findDamUUIDs(`\${link:{uuid:{${UUID}},repository:{website}}}`), []);
+        });
+    });
+
+    describe('DAM URLs', () => {
+        it('parses /.imaging/ rendition URLs with theme and variation', () => {
+            const [reference] = parser.parse('<img src="/.imaging/mte/my-theme/960x540/dam/site/img/hero.jpg/jcr:content/hero.jpg">');
+
+            assert.equal(reference.type, 'url');
+            assert.equal(reference.path, '/site/img/hero.jpg');
+            assert.equal(reference.theme, 'my-theme');
+            assert.equal(reference.variation, '960x540');
+        });
+
+        it('parses /dam/jcr:<uuid> and /dam/<path> URLs, also behind a context path', () => {
+            const references = parser.parse(`<img src="/author/dam/jcr:${UUID}/hero.jpg"> <a href="/dam/site/docs/brochure.pdf">`)
+                .filter(reference => reference.type === 'url');
+
+            assert.deepEqual(references.map(reference => [reference.uuid, reference.path]), [
+                [UUID, null],
+                [null, '/site/docs/brochure.pdf']
+            ]);
+        });
+    });
+
+    describe('DAM paths', () => {
+        it('recognises whole values that are a DAM path, with or without the dam: prefix', () => {
+            assert.equal(parser.parseDamPath('/site/img/hero.jpg'), '/site/img/hero.jpg');
+            assert.equal(parser.parseDamPath('dam:/site/img/hero.jpg'), '/site/img/hero.jpg');
+        });
+
+        it('rejects single-segment paths, jcr: paths and text', () => {
+            assert.equal(parser.parseDamPath('/hero.jpg'), null);
+            assert.equal(parser.parseDamPath('/site/jcr:content'), null);
+            assert.equal(parser.parseDamPath('see /site/img/hero.jpg'), null);
+        });
+    });
+
+    describe('findDamUUIDs', () => {
+        it('counts jcr: item keys, /dam/jcr: URLs and dam link macros but not bare UUIDs', () => {
+            assert.deepEqual(parser.findDamUUIDs(`jcr:${UUID}`), [{ uuid: UUID, type: 'uuid' }]);
+            assert.deepEqual(parser.findDamUUIDs(`/dam/jcr:${UUID}/hero.jpg`), [{ uuid: UUID, type: 'url' }]);
+            assert.deepEqual(parser.findDamUUIDs(UUID), []);
+        });
+    });
+
+    describe('decode', () => {
+        it('decodes named, decimal and hex entities and URL-encoded macro characters', () => {
+            assert.equal(parser.decode('&lt;&#123;&#x7D;&dollar;&amp;%7B%3A'), '<{}$&{:');
+        });
+
+        it('leaves numeric entities beyond the Unicode range unchanged', () => {
+            assert.equal(parser.decode('&#99999999; &#x110000; &#123;'), '&#99999999; &#x110000; {');
+            assert.deepEqual(parser.findDamUUIDs(`&#99999999; jcr:${UUID}`), [{ uuid: UUID, type: 'uuid' }]);
+        });
+    });
+
+    describe('in light modules', () => {
+        let tempDir;
+
+        before(async () => {
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-parser-test-'));
+        });
+
+        after(async () => {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        it('keeps scanning past a template line with an out-of-range entity', async () => {
+            const templates = path.join(tempDir, 'my-module', 'templates');
+            await fs.mkdir(templates, { recursive: true });
+            await fs.writeFile(path.join(templates, 'hero.ftl'), [
+                '<p>&#99999999;</p>',
+                `<img src="\${damfn.getAssetLink("jcr:${UUID}")}">`
+            ].join('\n'));
+
+            const checker = new MagnoliaAssetChecker({ logger: silentLogger });
+            const sites = await checker.findReferencedAssetsInModules([tempDir], [{ uuid: UUID, fileName: 'hero.jpg', location: 'site/img' }]);
+
+            assert.deepEqual(sites.get(UUID), [{ source: 'code', path: 'my-module/templates/hero.ftl', line: 2, property: null, type: 'code' }]);
+        });
+    });
+});
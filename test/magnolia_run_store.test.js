@@ -0,0 +1,49 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MagnoliaRunStore = require('../magnolia_run_store');
+
+function createLogger() {
+    const warnings = [];
+    return { warnings, log() {}, warn: (...args) => warnings.push(args.join(' ')), error() {} };
+}
+
+describe('MagnoliaRunStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'magnolia-runs-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('saves a run and lists its summary', async () => {
+        const store = new MagnoliaRunStore({ directory, logger: createLogger() });
+        const summary = await store.save({
+            timestamp: '2024-06-01T10:00:00.000Z',
+            inputs: [{ name: 'dam.xml' }],
+            results: { totalAssets: 5, unusedAssets: 3 }
+        });
+
+        assert.ok(MagnoliaRunStore.isRunId(summary.id));
+        assert.deepEqual(await store.list(), [summary]);
+        assert.equal((await store.get(summary.id)).results.totalAssets, 5);
+    });
+
+    it('skips runs with an unreadable summary and reports them to the logger, not the console', async t => {
+        const logger = createLogger();
+        const store = new MagnoliaRunStore({ directory, logger });
+        const summary = await store.save({ timestamp: '2024-06-01T10:00:00.000Z' });
+        await fs.mkdir(path.join(directory, '20240602T100000Z-abcdef'));
+        const consoleWarn = t.mock.method(console, 'warn', () => {});
+
+        assert.deepEqual(await store.list(), [summary]);
+        assert.equal(logger.warnings.length, 1);
+        assert.match(logger.warnings[0], /20240602T100000Z-abcdef/);
+        assert.equal(consoleWarn.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const yauzl = require('yauzl');
+const MagnoliaXlsxWorkbook = require('../magnolia_xlsx_workbook');
+
+/**
+ * Build the workbook and read back every part of the .xlsx as text, by entry name
+ */
+async function unzip(workbook) {
+    const chunks = [];
+    for await (const chunk of workbook.createReadStream()) {
+        chunks.push(chunk);
+    }
+
+    return new Promise((resolve, reject) => {
+        yauzl.fromBuffer(Buffer.concat(chunks), { lazyEntries: true }, (error, zipFile) => {
+            if (error) return reject(error);
+            const parts = {};
+            zipFile.on('entry', entry => {
+                zipFile.openReadStream(entry, (streamError, entryStream) => {
+                    if (streamError) return reject(streamError);
+                    const entryChunks = [];
+                    entryStream.on('data', chunk => entryChunks.push(chunk));
+                    entryStream.on('end', () => {
+                        parts[entry.fileName] = Buffer.concat(entryChunks).toString('utf8');
+                        zipFile.readEntry();
+                    });
+                });
+            });
+            zipFile.on('end', () => resolve(parts));
+            zipFile.on('error', reject);
+            zipFile.readEntry();
+        });
+    });
+}
+
+const ROWS = [
+    { uuid: '00123', fileName: 'Fish & <Chips>.jpg', size: '245760', lastModified: '2024-01-01T12:00:00.000+01:00' },
+    { uuid: 'a2', fileName: 'tab\there\x01\x1fbell', size: 'unknown', lastModified: 'not a date' }
+];
+
+describe('MagnoliaXlsxWorkbook', () => {
+    it('writes numbers and dates as typed cells, dates as UTC serial numbers', async () => {
+        const parts = await unzip(new MagnoliaXlsxWorkbook().addSheet('Assets', ROWS));
+        const sheet = parts['xl/worksheets/sheet1.xml'];
+        const serial = Date.UTC(2024, 0, 1, 11) / 86400000 + 25569;
+
+        assert.ok(sheet.includes('<c r="A2" t="inlineStr"><is><t xml:space="preserve">00123</t></is></c>'));
+        assert.ok(sheet.includes('<c r="C2"><v>245760</v></c>'));
+        assert.ok(sheet.includes(`<c r="D2" s="2"><v>${serial}</v></c>`));
+        // Values that are not numbers or dates stay text
+        assert.ok(sheet.includes('<c r="C3" t="inlineStr"><is><t xml:space="preserve">unknown</t></is></c>'));
+        assert.ok(sheet.includes('<c r="D3" t="inlineStr"><is><t xml:space="preserve">not a date</t></is></c>'));
+    });
+
+    it('freezes the bold header row and puts an autofilter on the whole table', async () => {
+        const parts = await unzip(new MagnoliaXlsxWorkbook().addSheet('Assets', ROWS).addSheet('Empty', [], ['uuid']));
+        const sheet = parts['xl/worksheets/sheet1.xml'];
+
+        assert.ok(sheet.includes('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'));
+        assert.ok(sheet.includes('<row r="1"><c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">uuid</t></is></c>'));
+        assert.ok(sheet.includes('<autoFilter ref="A1:D3"/>'));
+        assert.ok(parts['xl/worksheets/sheet2.xml'].includes('<autoFilter ref="A1:A1"/>'));
+
+        const workbook = parts['xl/workbook.xml'];
+        assert.ok(workbook.includes(`<definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'Assets'!$A$1:$D$3</definedName>`));
+        assert.ok(workbook.includes(`<definedName name="_xlnm._FilterDatabase" localSheetId="1" hidden="1">'Empty'!$A$1:$A$1</definedName>`));
+    });
+
+    it('escapes markup and drops control characters XML does not allow', async () => {
+        const sheet = (await unzip(new MagnoliaXlsxWorkbook().addSheet('Assets', ROWS)))['xl/worksheets/sheet1.xml'];
+
+        assert.ok(sheet.includes('<t xml:space="preserve">Fish &amp; &lt;Chips&gt;.jpg</t>'));
+        assert.ok(sheet.includes('<t xml:space="preserve">tab\therebell</t>'));
+        assert.ok(!/[\x00-\x08\x0b\x0c\x0e-\x1f]/.test(sheet));
+    });
+
+    it('truncates text longer than Excel allows without splitting a character', async () => {
+        const text = 'x'.repeat(32763) + '\u{1F600}'.repeat(4);
+        const sheet = (await unzip(new MagnoliaXlsxWorkbook().addSheet('Assets', [{ note: text }])))['xl/worksheets/sheet1.xml'];
+        const cell = sheet.match(/<c r="A2" t="inlineStr"><is><t xml:space="preserve">([^<]*)<\/t>/)[1];
+
+        assert.equal(cell, 'x'.repeat(32763) + '...');
+        assert.ok(!/[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/.test(sheet));
+    });
+});
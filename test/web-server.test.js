@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { analyze } = require('../index');
+
+describe('web server', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = require('../web-server');
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    describe('POST /report.xlsx', () => {
+        it('builds the workbook from posted results that have no stored run', async () => {
+            const results = await analyze({
+                assets: path.join(__dirname, 'fixtures', 'dam.xml'),
+                pages: path.join(__dirname, 'fixtures', 'website.xml')
+            });
+
+            const response = await fetch(`${baseUrl}/report.xlsx`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, runId: null, ...results })
+            });
+            const bytes = Buffer.from(await response.arrayBuffer());
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            assert.match(response.headers.get('content-disposition'), /filename="magnolia_assets\.xlsx"/);
+            assert.equal(bytes.subarray(0, 4).toString('binary'), 'PK\x03\x04');
+        });
+
+        it('rejects a body without asset lists and storage with a 400', async () => {
+            const response = await fetch(`${baseUrl}/report.xlsx`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ assets: { unused: [] } })
+            });
+
+            assert.equal(response.status, 400);
+            assert.match((await response.json()).error, /storage/);
+        });
+    });
+
+    describe('POST /diff', () => {
+        const asset = (n, extra = {}) => ({ uuid: `a0000000-0000-0000-0000-00000000000${n}`, fileName: `file-${n}.jpg`, location: 'site', ...extra });
+
+        function postDiff(body) {
+            return fetch(`${baseUrl}/diff`, { method: 'POST', body });
+        }
+
+        it('answers a request without files with a 400, not a 500', async () => {
+            for (const body of [undefined, JSON.stringify({ previousFiles: [] }), new FormData()]) {
+                const response = await postDiff(body);
+
+                assert.equal(response.status, 400);
+                assert.deepEqual(await response.json(), { error: 'Both a previous and a current run are required' });
+            }
+        });
+
+        it('compares two saved result files', async () => {
+            const form = new FormData();
+            form.append('previousFiles', new Blob([JSON.stringify([asset(1, { referenceCount: 1 }), asset(2)])]), 'may_all_assets.json');
+            form.append('currentFiles', new Blob([JSON.stringify([asset(1), asset(3, { referenceCount: 2 })])]), 'june_all_assets.json');
+
+            const response = await postDiff(form);
+            const result = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(result.files, { previous: ['may_all_assets.json'], current: ['june_all_assets.json'] });
+            assert.deepEqual(result.changes.map(change => [change.change, change.uuid.slice(-1)]),
+                [['became_unused', '1'], ['added', '3'], ['removed', '2']]);
+        });
+
+        it('answers a result file without reference columns with a 400', async () => {
+            const form = new FormData();
+            form.append('previousFiles', new Blob([JSON.stringify([{ uuid: asset(1).uuid }])]), 'trimmed.json');
+            form.append('currentFiles', new Blob([JSON.stringify([asset(1, { referenceCount: 1 })])]), 'june.json');
+
+            const response = await postDiff(form);
+
+            assert.equal(response.status, 400);
+            assert.match((await response.json()).error, /referenceCount/);
+        });
+    });
+});
@@ -10,10 +10,31 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const MagnoliaAssetChecker = require('./magnolia_asset_checker');
+const MagnoliaExportBundle = require('./magnolia_export_bundle');
+const MagnoliaInput = require('./magnolia_input');
+const MagnoliaDeletionManifest = require('./magnolia_deletion_manifest');
+const MagnoliaAssetDiff = require('./magnolia_asset_diff');
+const MagnoliaRunStore = require('./magnolia_run_store');
+const MagnoliaAnalysisJob = require('./magnolia_analysis_job');
+const MagnoliaAssetConfig = require('./magnolia_asset_config');
+const { MagnoliaInputError } = require('./magnolia_errors');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Every analysis is kept here for the run history and permalinks
+const runStore = new MagnoliaRunStore({ directory: process.env.RUNS_DIR || 'runs' });
+
+// Analysis jobs by id; finished jobs are forgotten after JOB_RETENTION_MS
+const jobs = new Map();
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// Ignore rules and allowlists from CONFIG_FILE or the project config, loaded when the server starts
+let assetConfig = null;
+
+// Maximum number of page/workspace exports accepted in one analysis
+const MAX_PAGE_FILES = 20;
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: async (req, file, cb) => {
@@ -22,33 +43,63 @@ const storage = multer.diskStorage({
     },
     filename: (req, file, cb) => {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+        // Keep ".xml.gz" intact so the export format is still known after decompression
+        cb(null, file.fieldname + '-' + uniqueSuffix + MagnoliaInput.getFullExtension(file.originalname));
     }
 });
 
-const upload = multer({ 
-    storage: storage,
-    fileFilter: (req, file, cb) => {
+// Check uploaded files by field: DAM exports, page exports, ZIP bundles, light modules and (for /diff) result JSON files
+function exportFileFilter(req, file, cb) {
         const allowedTypes = ['.xml', '.yaml', '.yml'];
-        const ext = path.extname(file.originalname).toLowerCase();
+        const assetTypes = ['.xml', '.yaml', '.yml', '.json'];
+        // Compressed exports are accepted; the size limit applies to the uploaded (compressed) bytes
+        const ext = MagnoliaInput.getFormatExtension(file.originalname);
         
-        if (file.fieldname === 'assetFile' && ext !== '.xml') {
-            return cb(new Error('Asset file must be XML'), false);
+        if (file.fieldname === 'assetFile' && !assetTypes.includes(ext)) {
+            return cb(new Error('Asset file must be XML, YAML or JSON'), false);
         }
         
         if (file.fieldname === 'pageFile' && !allowedTypes.includes(ext)) {
             return cb(new Error('Page file must be XML or YAML'), false);
         }
         
+        if (file.fieldname === 'bundleFile' && path.extname(file.originalname).toLowerCase() !== '.zip') {
+            return cb(new Error('Export bundle must be a ZIP archive'), false);
+        }
+        
+        if (file.fieldname === 'modulesFile' && path.extname(file.originalname).toLowerCase() !== '.zip') {
+            return cb(new Error('Light modules must be uploaded as a ZIP archive'), false);
+        }
+        
+        if (['previousFiles', 'currentFiles'].includes(file.fieldname) &&
+            !assetTypes.includes(ext) && path.extname(file.originalname).toLowerCase() !== '.zip') {
+            return cb(new Error('Runs to compare must be result JSON files, XML/YAML/JSON exports or ZIP bundles'), false);
+        }
+        
         cb(null, true);
-    },
+}
+
+const upload = multer({ 
+    storage: storage,
+    fileFilter: exportFileFilter,
     limits: {
         fileSize: 200 * 1024 * 1024, // 200MB limit
-        files: 2, // Maximum 2 files
+        files: 3 + MAX_PAGE_FILES, // One asset file, one bundle, one light-modules ZIP plus the page exports
         fields: 10 // Maximum 10 fields
     }
 });
 
+// Comparing two runs needs room for two sets of exports
+const diffUpload = multer({
+    storage: storage,
+    fileFilter: exportFileFilter,
+    limits: {
+        fileSize: 200 * 1024 * 1024,
+        files: 2 * (2 + MAX_PAGE_FILES),
+        fields: 10
+    }
+});
+
 // Increase body size limits and timeout
 app.use(express.json({ limit: '200mb' }));
 app.use(express.urlencoded({ limit: '200mb', extended: true }));
@@ -73,7 +124,7 @@ function handleMulterError(err, req, res, next) {
         }
         if (err.code === 'LIMIT_FILE_COUNT') {
             return res.status(400).json({
-                error: 'Too many files. Please upload only one asset file and one page file.'
+                error: `Too many files. Please upload one asset file, one bundle, one light-modules ZIP and at most ${MAX_PAGE_FILES} page files.`
             });
         }
         return res.status(400).json({
@@ -90,82 +141,412 @@ function handleMulterError(err, req, res, next) {
     next(err);
 }
 
-// Main upload route
+// Main upload route: starts an analysis job and answers right away with its id
 app.post('/analyze', upload.fields([
     { name: 'assetFile', maxCount: 1 },
-    { name: 'pageFile', maxCount: 1 }
+    { name: 'pageFile', maxCount: MAX_PAGE_FILES },
+    { name: 'bundleFile', maxCount: 1 },
+    { name: 'modulesFile', maxCount: 1 }
 ]), handleMulterError, async (req, res) => {
+    const files = req.files || {};
+    
+    // Without a bundle the inputs can be checked before starting a job
+    if (!files['bundleFile'] && (!files['assetFile'] || !files['pageFile'])) {
+        await removeUploads(files);
+        return res.status(400).json({
+            error: 'An asset file and at least one page file are required (uploaded directly or inside a ZIP bundle)'
+        });
+    }
+    
+    const job = new MagnoliaAnalysisJob({ config: assetConfig });
+    jobs.set(job.id, job);
+    job.once('finished', () => {
+        setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+    });
+    job.run(currentJob => analyzeUploads(currentJob, files));
+    
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        eventsUrl: `/jobs/${job.id}/events`
+    });
+});
+
+// Analyze the uploaded exports as part of a job; resolves with the /analyze results, which are also stored as a run
+async function analyzeUploads(job, uploadedFiles) {
+    const bundle = new MagnoliaExportBundle();
+    
     try {
-        const assetFile = req.files['assetFile']?.[0];
-        const pageFile = req.files['pageFile']?.[0];
+        const assetFile = uploadedFiles['assetFile']?.[0];
+        const bundleFile = uploadedFiles['bundleFile']?.[0];
+        const modulesFile = uploadedFiles['modulesFile']?.[0];
+        const assetFiles = assetFile ? [{ path: assetFile.path, name: assetFile.originalname }] : [];
+        const pageFiles = (uploadedFiles['pageFile'] || []).map(file => ({ path: file.path, name: file.originalname }));
         
-        if (!assetFile || !pageFile) {
-            return res.status(400).json({
-                error: 'Both asset file and page file are required'
-            });
+        // Sort the bundle contents into DAM and page exports
+        if (bundleFile) {
+            job.updateProgress({ phase: 'unpacking', file: bundleFile.originalname, bytesRead: 0, totalBytes: 1 });
+            await bundle.add(bundleFile.path);
+            assetFiles.push(...bundle.assetFiles);
+            pageFiles.push(...bundle.pageFiles);
+            job.checker.throwIfCancelled();
         }
         
-        console.log(`Processing files: ${assetFile.originalname} and ${pageFile.originalname}`);
-        
-        // Run the asset checker
-        const checker = new MagnoliaAssetChecker();
+        if (modulesFile) {
+            job.updateProgress({ phase: 'unpacking', file: modulesFile.originalname, bytesRead: 0, totalBytes: 1 });
+            await bundle.addModules(modulesFile.path, modulesFile.originalname);
+            job.checker.throwIfCancelled();
+        }
         
-        // Extract assets
-        const assets = await checker.extractAssetsFromXml(assetFile.path);
+        if (assetFiles.length === 0 || pageFiles.length === 0) {
+            const error = new Error('An asset file and at least one page file are required (uploaded directly or inside a ZIP bundle)');
+            error.unrecognizedFiles = bundle.unrecognized;
+            throw error;
+        }
         
-        // Find referenced UUIDs
-        const assetUUIDs = assets.map(asset => asset.uuid);
-        const referencedUUIDs = await checker.findReferencedAssetUUIDs(pageFile.path, assetUUIDs);
+        console.log(`Processing files: ${assetFiles.map(file => file.name).join(', ')} and ${pageFiles.map(file => file.name).join(', ')}`);
         
-        // Analyze results
-        const analysis = checker.analyzeAssets(assets, referencedUUIDs);
+        // The job's checker reports progress and stops when the job is cancelled
+        const analysis = await job.checker.analyzeExports(assetFiles, pageFiles, bundle.moduleDirs);
         
-        // Clean up uploaded files
-        await fs.unlink(assetFile.path).catch(console.error);
-        await fs.unlink(pageFile.path).catch(console.error);
+        // Fingerprint the inputs before they are removed, so stored runs show exactly what was analyzed
+        const inputs = await describeInputs([
+            ...assetFiles.map(file => ({ ...file, role: 'assets' })),
+            ...pageFiles.map(file => ({ ...file, role: 'pages' })),
+            ...(bundleFile ? [{ path: bundleFile.path, name: bundleFile.originalname, role: 'bundle' }] : []),
+            ...(modulesFile ? [{ path: modulesFile.path, name: modulesFile.originalname, role: 'modules' }] : [])
+        ]);
         
         // Generate timestamp for results
         const timestamp = new Date().toISOString();
         
-        // Send results
-        res.json({
-            success: true,
+        const run = {
             timestamp: timestamp,
+            inputs: inputs,
             files: {
-                assetFile: assetFile.originalname,
-                pageFile: pageFile.originalname
+                assetFile: assetFiles.map(file => file.name).join(', '),
+                assetFiles: assetFiles.map(file => file.name),
+                pageFiles: pageFiles.map(file => file.name),
+                bundleFile: bundleFile ? bundleFile.originalname : null,
+                modulesFile: modulesFile ? modulesFile.originalname : null,
+                unrecognizedFiles: bundle.unrecognized
             },
             results: {
                 totalAssets: analysis.allAssets.length,
                 referencedAssets: analysis.referencedAssets.length,
                 unusedAssets: analysis.unusedAssets.length,
-                assetUUIDsSearched: assetUUIDs.length
+                ignoredAssets: analysis.ignoredAssets.length,
+                brokenReferences: analysis.brokenReferences.length,
+                duplicateGroups: analysis.duplicates.length,
+                assetUUIDsSearched: analysis.assetUUIDsSearched
             },
+            config: assetConfig ? { file: path.basename(assetConfig.source), rules: assetConfig.rules.length } : null,
+            storage: analysis.storage,
+            folderRollup: analysis.folderRollup,
+            brokenReferences: analysis.brokenReferences,
+            duplicates: analysis.duplicates,
             assets: {
                 all: analysis.allAssets,
                 referenced: analysis.referencedAssets,
-                unused: analysis.unusedAssets
+                unused: analysis.unusedAssets,
+                ignored: analysis.ignoredAssets
             }
+        };
+        
+        // A run that cannot be stored is still reported, just without a permalink
+        let runId = null;
+        try {
+            runId = (await runStore.save(run)).id;
+        } catch (storeError) {
+            console.error('Could not store run:', storeError.message);
+        }
+        
+        return {
+            success: true,
+            runId: runId,
+            permalink: runId ? `/?run=${runId}` : null,
+            ...run
+        };
+    } finally {
+        // Clean up uploaded files, whether the job completed, failed or was cancelled
+        await removeUploads(uploadedFiles);
+        await bundle.cleanup().catch(() => {});
+    }
+}
+
+// Job status, including the results once the job has completed
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job '${req.params.id}' not found` });
+    }
+    
+    res.json({
+        success: true,
+        ...job.toJSON(),
+        result: job.status === 'completed' ? job.result : null
+    });
+});
+
+// Server-Sent Events: 'progress' while the job runs, then one 'completed', 'failed' or 'cancelled' event
+app.get('/jobs/:id/events', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job '${req.params.id}' not found` });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const onProgress = (status) => send('progress', status);
+    const onFinished = (status) => {
+        send(status.status, status);
+        res.end();
+    };
+    
+    send('progress', job.toJSON());
+    if (job.isFinished()) {
+        return onFinished(job.toJSON());
+    }
+    
+    job.on('progress', onProgress);
+    job.once('finished', onFinished);
+    req.on('close', () => {
+        job.off('progress', onProgress);
+        job.off('finished', onFinished);
+    });
+});
+
+app.post('/jobs/:id/cancel', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job '${req.params.id}' not found` });
+    }
+    
+    if (!job.cancel()) {
+        return res.status(409).json({ error: `Job '${job.id}' has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}` });
+    }
+    
+    res.json({ success: true, ...job.toJSON() });
+});
+
+// Compare two runs, each given as a result JSON file or as DAM/page exports (loose or in a ZIP bundle)
+app.post('/diff', diffUpload.fields([
+    { name: 'previousFiles', maxCount: 2 + MAX_PAGE_FILES },
+    { name: 'currentFiles', maxCount: 2 + MAX_PAGE_FILES }
+]), handleMulterError, async (req, res) => {
+    const files = req.files || {};
+    
+    try {
+        const toInputs = (fieldFiles) => (fieldFiles || []).map(file => ({ path: file.path, name: file.originalname }));
+        const previousFiles = toInputs(files['previousFiles']);
+        const currentFiles = toInputs(files['currentFiles']);
+        
+        if (previousFiles.length === 0 || currentFiles.length === 0) {
+            await removeUploads(files);
+            return res.status(400).json({
+                error: 'Both a previous and a current run are required'
+            });
+        }
+        
+        console.log(`Comparing runs: ${previousFiles.map(file => file.name).join(', ')} -> ${currentFiles.map(file => file.name).join(', ')}`);
+        
+        const differ = new MagnoliaAssetDiff();
+        const previousRun = await differ.loadRun(previousFiles);
+        const currentRun = await differ.loadRun(currentFiles);
+        const changes = differ.compare(previousRun, currentRun);
+        
+        await removeUploads(files);
+        
+        res.json({
+            success: true,
+            timestamp: new Date().toISOString(),
+            files: {
+                previous: previousFiles.map(file => file.name),
+                current: currentFiles.map(file => file.name)
+            },
+            results: {
+                previousAssets: previousRun.assets.length,
+                currentAssets: currentRun.assets.length,
+                ...differ.summarize(changes)
+            },
+            changes: changes
         });
         
     } catch (error) {
-        console.error('Analysis error:', error);
-        
-        // Clean up any uploaded files on error
-        if (req.files) {
-            for (const fieldFiles of Object.values(req.files)) {
-                for (const file of fieldFiles) {
-                    await fs.unlink(file.path).catch(() => {});
-                }
-            }
+        console.error('Diff error:', error);
+        await removeUploads(files);
+        
+        res.status(error instanceof MagnoliaInputError ? 400 : 500).json({
+            error: error.message || 'Comparison failed'
+        });
+    }
+});
+
+// Deletion manifest and Groovy cleanup script for (a filtered selection of) unused assets
+app.post('/manifest', (req, res) => {
+    const { assets, pathPrefix, folders, types, quarantine, quarantinePath } = req.body || {};
+    
+    if (!Array.isArray(assets)) {
+        return res.status(400).json({
+            error: 'An "assets" array of unused assets is required'
+        });
+    }
+    
+    const checker = new MagnoliaAssetChecker();
+    const manifest = new MagnoliaDeletionManifest({ pathPrefix, quarantine, quarantinePath });
+    const selectedAssets = checker.filterAssets(assets, {
+        folders: Array.isArray(folders) ? folders : [],
+        types: Array.isArray(types) ? types : []
+    });
+    const entries = manifest.build(selectedAssets);
+    
+    res.json({
+        success: true,
+        entries: entries,
+        script: manifest.toGroovy(entries)
+    });
+});
+
+// Run history: summaries of all stored runs, oldest first
+app.get('/runs', async (req, res) => {
+    try {
+        res.json({ success: true, runs: await runStore.list() });
+    } catch (error) {
+        console.error('Run history error:', error);
+        res.status(500).json({ error: error.message || 'Could not read the run history' });
+    }
+});
+
+// Full results of one stored run, in the same shape as the /analyze response
+app.get('/runs/:id', async (req, res) => {
+    try {
+        const run = await runStore.get(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: `Run '${req.params.id}' not found` });
         }
         
-        res.status(500).json({
-            error: error.message || 'Analysis failed'
+        res.json({ success: true, runId: run.id, permalink: `/?run=${run.id}`, ...run });
+    } catch (error) {
+        console.error('Run history error:', error);
+        res.status(500).json({ error: error.message || 'Could not read the run' });
+    }
+});
+
+// Excel workbook of one stored run: Summary, All, Referenced, Unused and the other reports as sheets
+app.get('/runs/:id/report.xlsx', async (req, res) => {
+    try {
+        const run = await runStore.get(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: `Run '${req.params.id}' not found` });
+        }
+        
+        sendWorkbook(res, run, `magnolia_assets_${run.id}.xlsx`);
+    } catch (error) {
+        console.error('Run history error:', error);
+        res.status(500).json({ error: error.message || 'Could not build the workbook' });
+    }
+});
+
+// Excel workbook of posted results, for runs that could not be stored
+app.post('/report.xlsx', (req, res) => {
+    const run = req.body || {};
+    const assets = run.assets || {};
+    
+    if (!['all', 'referenced', 'unused'].every(list => Array.isArray(assets[list])) || !run.storage || !Array.isArray(run.storage.categories)) {
+        return res.status(400).json({
+            error: 'Analysis results with "assets" lists and "storage" are required'
         });
     }
+    
+    try {
+        sendWorkbook(res, run, 'magnolia_assets.xlsx');
+    } catch (error) {
+        console.error('Workbook error:', error);
+        res.status(500).json({ error: error.message || 'Could not build the workbook' });
+    }
 });
 
+app.delete('/runs/:id', async (req, res) => {
+    try {
+        if (!await runStore.delete(req.params.id)) {
+            return res.status(404).json({ error: `Run '${req.params.id}' not found` });
+        }
+        
+        res.json({ success: true, deleted: req.params.id });
+    } catch (error) {
+        console.error('Run history error:', error);
+        res.status(500).json({ error: error.message || 'Could not delete the run' });
+    }
+});
+
+// Stream the workbook of a run (a stored run or an /analyze result) as a download
+function sendWorkbook(res, run, fileName) {
+    // Runs stored before broken references and duplicates were reported have neither
+    const analysis = {
+        allAssets: run.assets.all,
+        referencedAssets: run.assets.referenced,
+        unusedAssets: run.assets.unused,
+        ignoredAssets: run.assets.ignored || [],
+        storage: run.storage,
+        folderRollup: run.folderRollup || [],
+        brokenReferences: run.brokenReferences || [],
+        duplicates: run.duplicates || []
+    };
+    const files = run.files || {};
+    const workbook = new MagnoliaAssetChecker().buildWorkbook(analysis, {
+        inputs: {
+            assets: files.assetFiles || (files.assetFile ? [files.assetFile] : []),
+            pages: files.pageFiles || [],
+            modules: files.modulesFile ? [files.modulesFile] : []
+        },
+        config: run.config ? run.config.file : null,
+        generated: run.timestamp
+    });
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    workbook.createReadStream()
+        .on('error', error => {
+            console.error('Workbook error:', error);
+            res.destroy(error);
+        })
+        .pipe(res);
+}
+
+// Name, role, size and SHA-256 of each analyzed input file
+async function describeInputs(files) {
+    const inputs = [];
+    for (const file of files) {
+        const stats = await fs.stat(file.path);
+        inputs.push({
+            name: file.name,
+            role: file.role,
+            size: stats.size,
+            sha256: await MagnoliaRunStore.hashFile(file.path)
+        });
+    }
+    return inputs;
+}
+
+// Remove every uploaded file of a request
+async function removeUploads(files) {
+    if (!files) return;
+    
+    for (const fieldFiles of Object.values(files)) {
+        for (const file of fieldFiles) {
+            await fs.unlink(file.path).catch(() => {});
+        }
+    }
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -180,6 +561,12 @@ async function ensurePublicDir() {
 async function startServer() {
     await ensurePublicDir();
     
+    const configFile = process.env.CONFIG_FILE || await MagnoliaAssetConfig.find();
+    if (configFile) {
+        assetConfig = await MagnoliaAssetConfig.load(configFile);
+        console.log(`⚙️  Config: ${configFile} (${assetConfig.rules.length} rule(s))`);
+    }
+    
     app.listen(port, () => {
         console.log(`🌐 Magnolia Asset Checker Web Interface`);
         console.log(`🚀 Server running at http://localhost:${port}`);
@@ -188,12 +575,12 @@ async function startServer() {
     });
 }
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-});
-
 if (require.main === module) {
+    // Only when run directly: a library must not install process-wide handlers
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    });
+
     startServer().catch(error => {
         console.error('Failed to start server:', error.message);
         process.exit(1);